@@ -0,0 +1,836 @@
+/*
+  Bundled rules data for the Mythras Character Generator.
+
+  This is a copy of skills.json, careers.json, cultures.json,
+  combat_styles.json, species.json, magic.json, background.json and
+  equipment.json from this folder.  script.js uses it for any file
+  that cannot be fetched or fails validation, which includes every
+  file when index.html is opened directly from disk (browsers do not
+  allow fetch() from file:// pages).  When you change one of the JSON
+  files, copy the change here as well.
+*/
+window.MYTHRAS_BUNDLED_DATA = {
+  "skills": {
+    "standard": [
+      { "name": "Athletics", "base": "STR+DEX" },
+      { "name": "Boating", "base": "STR+CON" },
+      { "name": "Brawn", "base": "STR+SIZ" },
+      { "name": "Combat Style", "base": "STR+DEX" },
+      { "name": "Conceal", "base": "DEX+POW" },
+      { "name": "Customs", "base": "INT*2", "bonus": 40 },
+      { "name": "Dance", "base": "DEX+CHA" },
+      { "name": "Deceit", "base": "INT+CHA" },
+      { "name": "Drive", "base": "DEX+POW" },
+      { "name": "Endurance", "base": "CON*2" },
+      { "name": "Evade", "base": "DEX*2" },
+      { "name": "First Aid", "base": "INT+DEX" },
+      { "name": "Influence", "base": "CHA*2" },
+      { "name": "Insight", "base": "INT+POW" },
+      { "name": "Locale", "base": "INT*2" },
+      { "name": "Native Tongue", "base": "INT+CHA", "bonus": 40 },
+      { "name": "Perception", "base": "INT+POW" },
+      { "name": "Ride", "base": "DEX+POW" },
+      { "name": "Sing", "base": "CHA+POW" },
+      { "name": "Stealth", "base": "DEX+INT" },
+      { "name": "Swim", "base": "STR+CON" },
+      { "name": "Unarmed", "base": "STR+DEX" },
+      { "name": "Willpower", "base": "POW*2" }
+    ],
+    "professional": [
+      { "name": "Acting", "base": "CHA*2" },
+      { "name": "Acrobatics", "base": "STR+DEX" },
+      { "name": "Art", "base": "POW+CHA" },
+      { "name": "Binding", "base": "POW+CHA" },
+      { "name": "Bureaucracy", "base": "INT*2" },
+      { "name": "Commerce", "base": "INT+CHA" },
+      { "name": "Courtesy", "base": "INT+CHA" },
+      { "name": "Craft", "base": "DEX+INT" },
+      { "name": "Culture", "base": "INT*2" },
+      { "name": "Devotion", "base": "POW+CHA" },
+      { "name": "Disguise", "base": "INT+CHA" },
+      { "name": "Engineering", "base": "INT*2" },
+      { "name": "Exhort", "base": "INT+CHA" },
+      { "name": "Folk Magic", "base": "POW+CHA" },
+      { "name": "Gambling", "base": "INT+POW" },
+      { "name": "Healing", "base": "INT+POW" },
+      { "name": "Invocation", "base": "INT*2" },
+      { "name": "Language", "base": "INT+CHA" },
+      { "name": "Literacy", "base": "INT*2" },
+      { "name": "Lockpicking", "base": "DEX*2" },
+      { "name": "Lore", "base": "INT*2" },
+      { "name": "Mechanisms", "base": "DEX+INT" },
+      { "name": "Meditation", "base": "INT+CON" },
+      { "name": "Musicianship", "base": "DEX+CHA" },
+      { "name": "Mysticism", "base": "POW+CON" },
+      { "name": "Navigation", "base": "INT+POW" },
+      { "name": "Oratory", "base": "POW+CHA" },
+      { "name": "Seamanship", "base": "INT+CON" },
+      { "name": "Seduction", "base": "INT+CHA" },
+      { "name": "Shaping", "base": "INT+POW" },
+      { "name": "Sleight", "base": "DEX+CHA" },
+      { "name": "Streetwise", "base": "POW+CHA" },
+      { "name": "Survival", "base": "CON+POW" },
+      { "name": "Teach", "base": "INT+CHA" },
+      { "name": "Track", "base": "INT+CON" },
+      { "name": "Trance", "base": "INT+CON" }
+    ],
+    "passions": [
+      { "name": "Devotion", "base": "POW*2", "bonus": 30 },
+      { "name": "Fear", "base": "POW+INT", "bonus": 30 },
+      { "name": "Hate", "base": "POW+INT", "bonus": 30 },
+      { "name": "Honour", "base": "POW+CHA", "bonus": 30 },
+      { "name": "Love", "base": "POW+CHA", "bonus": 30 },
+      { "name": "Loyalty", "base": "POW+CHA", "bonus": 30 }
+    ]
+  },
+  "careers": {
+    "agent": {"displayName": "Agent", "standardSkills": ["Conceal", "Deceit", "Evade", "Insight", "Perception", "Stealth"], "professionalSkills": ["Culture (any)", "Disguise", "Language (any)", "Sleight", "Streetwise", "Survival", "Track"]},
+    "alchemist": {"displayName": "Alchemist", "standardSkills": ["Customs", "Endurance", "First Aid", "Insight", "Locale", "Perception", "Willpower"], "professionalSkills": ["Commerce", "Craft (Alchemy)", "Healing", "Language (any)", "Literacy", "Lore (Specific Alchemical Speciality)", "Streetwise"]},
+    "beastHandler": {"displayName": "Beast Handler", "standardSkills": ["Drive", "Endurance", "First Aid", "Influence", "Locale", "Ride", "Willpower"], "professionalSkills": ["Commerce", "Craft (Animal Husbandry)", "Healing (Specific Species)", "Lore (Specific Species)", "Survival", "Teach (Specific Species)", "Track"]},
+    "courtesan": {"displayName": "Courtesan", "standardSkills": ["Customs", "Dance", "Deceit", "Influence", "Insight", "Perception", "Sing"], "professionalSkills": ["Art (any)", "Courtesy", "Culture (any)", "Gambling", "Language (any)", "Musicianship", "Seduction"]},
+    "courtier": {"displayName": "Courtier", "standardSkills": ["Customs", "Dance", "Deceit", "Influence", "Insight", "Locale", "Perception"], "professionalSkills": ["Art (any)", "Bureaucracy", "Courtesy", "Culture (any)", "Language (any)", "Lore (any)", "Oratory"], "passions": [{"type": "Loyalty", "target": "Patron"}]},
+    "crafter": {"displayName": "Crafter", "standardSkills": ["Brawn", "Drive", "Influence", "Insight", "Locale", "Perception", "Willpower"], "professionalSkills": ["Art (any)", "Commerce", "Craft (Primary)", "Craft (Secondary)", "Engineering", "Mechanisms", "Streetwise"]},
+    "entertainer": {"displayName": "Entertainer", "standardSkills": ["Athletics", "Brawn", "Dance", "Deceit", "Influence", "Insight", "Sing"], "professionalSkills": ["Acrobatics", "Acting", "Oratory", "Musicianship", "Seduction", "Sleight", "Streetwise"]},
+    "farmer": {"displayName": "Farmer", "standardSkills": ["Athletics", "Brawn", "Drive", "Endurance", "Locale", "Perception", "Ride"], "professionalSkills": ["Commerce", "Craft (any)", "Lore (Agriculture)", "Lore (Animal Husbandry)", "Navigation", "Survival", "Track"]},
+    "fisher": {"displayName": "Fisher", "standardSkills": ["Athletics", "Boating", "Endurance", "Locale", "Perception", "Stealth", "Swim"], "professionalSkills": ["Commerce", "Craft (any)", "Lore (Primary Catch)", "Lore (Secondary Catch)", "Navigation", "Seamanship", "Survival"]},
+    "herder": {"displayName": "Herder", "standardSkills": ["Endurance", "First Aid", "Insight", "Locale", "Perception", "Ride"], "professionalSkills": ["Commerce", "Craft (Animal Husbandry)", "Healing (Specific Species)", "Navigation", "Musicianship", "Survival", "Track"]},
+    "hunter": {"displayName": "Hunter", "standardSkills": ["Athletics", "Endurance", "Locale", "Perception", "Ride", "Stealth"], "professionalSkills": ["Commerce", "Craft (Hunting Related)", "Lore (Regional or Specific Species)", "Mechanisms", "Navigation", "Survival", "Track"], "combatStyles": ["Huntsman"]},
+    "merchant": {"displayName": "Merchant", "standardSkills": ["Boating", "Drive", "Deceit", "Insight", "Influence", "Locale", "Ride"], "professionalSkills": ["Courtesy", "Culture (any)", "Language (any)", "Navigation", "Seamanship", "Streetwise"]},
+    "miner": {"displayName": "Miner", "standardSkills": ["Athletics", "Brawn", "Endurance", "Locale", "Perception", "Sing", "Willpower"], "professionalSkills": ["Commerce", "Craft (Mining)", "Engineering", "Lore (Minerals)", "Mechanisms", "Navigation (Underground)", "Survival"]},
+    "mystic": {"displayName": "Mystic", "standardSkills": ["Athletics", "Endurance", "Evade", "Insight", "Perception", "Willpower"], "professionalSkills": ["Art (any)", "Folk Magic", "Literacy", "Lore (any)", "Meditation", "Musicianship", "Mysticism"]},
+    "official": {"displayName": "Official", "standardSkills": ["Customs", "Deceit", "Influence", "Insight", "Locale", "Perception", "Willpower"], "professionalSkills": ["Bureaucracy", "Commerce", "Courtesy", "Language (any)", "Literacy", "Lore (any)", "Oratory"]},
+    "physician": {"displayName": "Physician", "standardSkills": ["Dance", "First Aid", "Influence", "Insight", "Locale", "Sing", "Willpower"], "professionalSkills": ["Commerce", "Craft (Specific Physiological Speciality)", "Healing", "Language (any)", "Literacy", "Lore (Specific Alchemical Speciality)", "Streetwise"]},
+    "priest": {"displayName": "Priest", "standardSkills": ["Customs", "Dance", "Deceit", "Influence", "Insight", "Locale", "Willpower"], "professionalSkills": ["Bureaucracy", "Devotion (Pantheon, Cult or God)", "Exhort", "Folk Magic", "Literacy", "Lore (any)", "Oratory"], "passions": [{"type": "Devotion", "target": "Cult"}]},
+    "sailor": {"displayName": "Sailor", "standardSkills": ["Athletics", "Boating", "Brawn", "Endurance", "Locale", "Swim"], "professionalSkills": ["Craft (Specific Shipboard Speciality)", "Culture (any)", "Language (any)", "Lore (any)", "Navigation", "Seamanship", "Survival"], "combatStyles": ["Marine"]},
+    "scholar": {"displayName": "Scholar", "standardSkills": ["Customs", "Influence", "Insight", "Locale", "Native Tongue", "Perception", "Willpower"], "professionalSkills": ["Culture (any)", "Language (any)", "Literacy", "Lore (Primary)", "Lore (Secondary)", "Oratory", "Teach"]},
+    "scout": {"displayName": "Scout", "standardSkills": ["Athletics", "Endurance", "First Aid", "Perception", "Stealth", "Swim"], "professionalSkills": ["Culture (any)", "Healing", "Language (any)", "Lore (any)", "Navigation", "Survival", "Track"]},
+    "shaman": {"displayName": "Shaman", "standardSkills": ["Customs", "Dance", "Deceit", "Influence", "Insight", "Locale", "Willpower"], "professionalSkills": ["Binding (Cult, Totem or Tradition)", "Folk Magic", "Healing", "Lore (any)", "Oratory", "Sleight", "Trance"], "passions": [{"type": "Devotion", "target": "Tribal Spirits"}]},
+    "sorcerer": {"displayName": "Sorcerer", "standardSkills": ["Customs", "Deceit", "Influence", "Insight", "Locale", "Perception", "Willpower"], "professionalSkills": ["Folk Magic", "Invocation (Cult, School or Grimoire)", "Language (any)", "Literacy", "Lore (any)", "Shaping", "Sleight"]},
+    "thief": {"displayName": "Thief", "standardSkills": ["Athletics", "Deceit", "Evade", "Insight", "Perception", "Stealth"], "professionalSkills": ["Acting", "Commerce", "Disguise", "Lockpicking", "Mechanisms", "Sleight", "Streetwise"], "combatStyles": ["Footpad"]},
+    "warrior": {"displayName": "Warrior", "standardSkills": ["Athletics", "Brawn", "Endurance", "Evade", "Unarmed"], "professionalSkills": ["Craft (any)", "Engineering", "Gambling", "Lore (Military History)", "Lore (Strategy and Tactics)", "Oratory", "Survival"], "martial": true, "passions": [{"type": "Loyalty", "target": "Commander"}]}
+  },
+  "cultures": {
+    "Barbarian": {"displayName": "Barbarian", "standardSkills": ["Athletics", "Brawn", "Endurance", "First Aid", "Locale", "Perception", "Boating", "Ride"], "professionalSkills": ["Craft", "Healing", "Lore", "Musicianship", "Navigation", "Seamanship", "Survival", "Track"], "combatStyles": ["Barbarian Fyrdman", "Berserker", "Horse Eater", "Seaborne Reiver", "Weapon Thegn", "Wolf Hunter"], "moneyDice": "4d6*50", "folkMagic": {"spells": 3, "available": ["Alarm", "Beastcall", "Bladesharp", "Bludgeon", "Demoralise", "Extinguish", "Fanaticism", "Heal", "Ignite", "Might", "Mobility", "Protection", "Vigour", "Warmth"]}, "passions": [{"type": "Loyalty", "target": "Clan Chieftain"}, {"type": "Love", "target": "Friend or Sibling"}, {"type": "Hate", "target": "Rival Clan"}], "socialClasses": [{"name": "Thrall", "min": 1, "max": 20, "mult": 0.5}, {"name": "Clanfolk", "min": 21, "max": 60, "mult": 1.0}, {"name": "Warrior", "min": 61, "max": 90, "mult": 1.25}, {"name": "Chieftain", "min": 91, "max": 100, "mult": 2.0}]},
+    "Civilised": {"displayName": "Civilised", "standardSkills": ["Conceal", "Deceit", "Drive", "Influence", "Insight", "Locale", "Willpower"], "professionalSkills": ["Art", "Commerce", "Craft", "Courtesy", "Language", "Lore", "Musicianship", "Streetwise"], "combatStyles": ["Citizen Legionary", "City‑state Phalangite", "Levied Archer", "Light Skirmisher", "Street Thug", "Town Militia"], "moneyDice": "4d6*75", "folkMagic": {"spells": 2, "available": ["Avert", "Bladesharp", "Calculate", "Cleanse", "Coordination", "Find", "Glamour", "Heal", "Ignite", "Light", "Lock", "Mindspeech", "Polish", "Preserve", "Repair", "Voice"]}, "passions": [{"type": "Loyalty", "target": "City"}, {"type": "Love", "target": "Family"}, {"type": "Devotion", "target": "City God"}], "socialClasses": [{"name": "Peasant", "min": 1, "max": 30, "mult": 0.75}, {"name": "Yeoman", "min": 31, "max": 60, "mult": 1.0}, {"name": "Townsman", "min": 61, "max": 80, "mult": 1.25}, {"name": "Patrician", "min": 81, "max": 95, "mult": 1.5}, {"name": "Senator", "min": 96, "max": 100, "mult": 2.0}]},
+    "Nomadic": {"displayName": "Nomadic", "standardSkills": ["Endurance", "First Aid", "Locale", "Perception", "Stealth", "Athletics", "Boating", "Swim", "Drive", "Ride"], "professionalSkills": ["Craft", "Culture", "Language", "Lore", "Musicianship", "Navigation", "Survival", "Track"], "combatStyles": ["Camel Cavalry", "Feathered Death Flinger", "Horse Lord", "Whale Hunter", "Wheeled Warrior", "Wolf Runner"], "moneyDice": "4d6*25", "folkMagic": {"spells": 3, "available": ["Alarm", "Beastcall", "Bladesharp", "Calm", "Dry", "Fate", "Find", "Heal", "Mobility", "Pierce", "Speedart", "Voice", "Warmth", "Witchsight"]}, "passions": [{"type": "Loyalty", "target": "Tribal Chieftain"}, {"type": "Love", "target": "Family"}, {"type": "Hate", "target": "Rival Tribe"}], "socialClasses": [{"name": "Rider", "min": 1, "max": 25, "mult": 0.75}, {"name": "Nomad", "min": 26, "max": 60, "mult": 1.0}, {"name": "Clan Leader", "min": 61, "max": 85, "mult": 1.5}, {"name": "Khan", "min": 86, "max": 100, "mult": 2.0}]},
+    "Primitive": {"displayName": "Primitive", "standardSkills": ["Brawn", "Endurance", "Evade", "Locale", "Perception", "Stealth", "Athletics", "Boating", "Swim"], "professionalSkills": ["Craft", "Healing", "Lore", "Musicianship", "Navigation", "Survival", "Track"], "combatStyles": ["Flint Death Dealer", "Ghost Warrior", "Head Hunter", "Jaguar Brother", "Jungle Savage", "Savannah Hunter"], "moneyDice": "4d6*10", "folkMagic": {"spells": 4, "available": ["Beastcall", "Bludgeon", "Calm", "Darkwall", "Demoralise", "Fanaticism", "Fate", "Heal", "Ignite", "Incognito", "Protection", "Speedart", "Vigour", "Witchsight"]}, "passions": [{"type": "Loyalty", "target": "Tribal Elders"}, {"type": "Devotion", "target": "Ancestors"}, {"type": "Fear", "target": "Sorcery"}], "socialClasses": [{"name": "Gatherer", "min": 1, "max": 40, "mult": 0.5}, {"name": "Hunter", "min": 41, "max": 70, "mult": 1.0}, {"name": "Shaman", "min": 71, "max": 90, "mult": 1.5}, {"name": "Chief", "min": 91, "max": 100, "mult": 2.0}]}
+  },
+  "combatStyles": {
+    "Barbarian Fyrdman": {"weapons": ["Shortspear", "Battleaxe (one-handed)", "Viking", "Javelin", "Dagger"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "Berserker": {"weapons": ["Battleaxe (two-handed)", "Great axe", "Great club", "Broadsword"], "trait": "Intimidating Scream", "traitEffect": "A war cry at the start of a fight forces opponents to pass Willpower or lose their first Action Point."},
+    "Horse Eater": {"weapons": ["Longspear", "Shortspear", "Peltast", "Recurve bow"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "Seaborne Reiver": {"weapons": ["Broadsword", "Hatchet", "Viking", "Dagger", "Javelin"], "trait": "Daredevil", "traitEffect": "May Evade without ending up prone, provided there is room to move."},
+    "Weapon Thegn": {"weapons": ["Broadsword", "Battleaxe (one-handed)", "Kite", "Longspear"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "Wolf Hunter": {"weapons": ["Shortspear", "Long bow", "Hatchet", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Citizen Legionary": {"weapons": ["Shortsword", "Scutum", "Javelin", "Dagger"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "City\u2011state Phalangite": {"weapons": ["Longspear", "Hoplite", "Shortsword"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "Levied Archer": {"weapons": ["Long bow", "Shortsword", "Dagger"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Light Skirmisher": {"weapons": ["Javelin", "Sling", "Peltast", "Shortsword"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Street Thug": {"weapons": ["Club", "Knife", "Dagger", "Garrotte"], "trait": "Ambush", "traitEffect": "The first attack from concealment against an unaware target gains a free special effect."},
+    "Town Militia": {"weapons": ["Shortspear", "Heater", "Mace", "Light crossbow"], "trait": "Formation Fighting", "traitEffect": "Fighting in close order with others of the style, the fighter is not penalised for being outnumbered while the formation holds."},
+    "Camel Cavalry": {"weapons": ["Lance", "Scimitar", "Target", "Recurve bow"], "trait": "Mounted Combat", "traitEffect": "The style is not limited by the Ride skill when fighting from a mount or vehicle."},
+    "Feathered Death Flinger": {"weapons": ["Short bow", "Atlatl", "Javelin", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Horse Lord": {"weapons": ["Recurve bow", "Sabre", "Lance", "Target"], "trait": "Mounted Combat", "traitEffect": "The style is not limited by the Ride skill when fighting from a mount or vehicle."},
+    "Whale Hunter": {"weapons": ["Trident", "Shortspear", "Javelin", "Knife"], "trait": "Daredevil", "traitEffect": "May Evade without ending up prone, provided there is room to move."},
+    "Wheeled Warrior": {"weapons": ["Javelin", "Shortspear", "Recurve bow", "Peltast"], "trait": "Mounted Combat", "traitEffect": "The style is not limited by the Ride skill when fighting from a mount or vehicle."},
+    "Wolf Runner": {"weapons": ["Shortspear", "Sling", "Bolas", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Flint Death Dealer": {"weapons": ["Club", "Shortspear", "Atlatl", "Knife"], "trait": "Intimidating Scream", "traitEffect": "A war cry at the start of a fight forces opponents to pass Willpower or lose their first Action Point."},
+    "Ghost Warrior": {"weapons": ["Club", "Knife", "Blowgun", "Garrotte"], "trait": "Ambush", "traitEffect": "The first attack from concealment against an unaware target gains a free special effect."},
+    "Head Hunter": {"weapons": ["Great club", "Shortspear", "Target", "Knife"], "trait": "Intimidating Scream", "traitEffect": "A war cry at the start of a fight forces opponents to pass Willpower or lose their first Action Point."},
+    "Jaguar Brother": {"weapons": ["Club", "Shortspear", "Peltast", "Sling"], "trait": "Ambush", "traitEffect": "The first attack from concealment against an unaware target gains a free special effect."},
+    "Jungle Savage": {"weapons": ["Blowgun", "Shortspear", "Dart", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Savannah Hunter": {"weapons": ["Shortspear", "Javelin", "Sling", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Huntsman": {"weapons": ["Short bow", "Shortspear", "Sling", "Knife"], "trait": "Skirmishing", "traitEffect": "May move and make a ranged attack in the same turn without penalty."},
+    "Footpad": {"weapons": ["Club", "Dagger", "Knife", "Garrotte"], "trait": "Ambush", "traitEffect": "The first attack from concealment against an unaware target gains a free special effect."},
+    "Marine": {"weapons": ["Hatchet", "Shortsword", "Buckler", "Dagger"], "trait": "Daredevil", "traitEffect": "May Evade without ending up prone, provided there is room to move."}
+  },
+  "species": {
+    "human": {
+      "displayName": "Human",
+      "description": "The standard Mythras species. Every other species is measured against humans.",
+      "attributes": {
+        "STR": { "dice": "3d6" }, "CON": { "dice": "3d6" }, "SIZ": { "dice": "2d6+6" }, "DEX": { "dice": "3d6" },
+        "INT": { "dice": "2d6+6" }, "POW": { "dice": "3d6" }, "CHA": { "dice": "3d6" }
+      },
+      "movement": 6,
+      "hitLocations": [
+        { "range": "1–3",   "name": "Right Leg", "hp": "leg" },
+        { "range": "4–6",   "name": "Left Leg",  "hp": "leg" },
+        { "range": "7–9",   "name": "Abdomen",   "hp": "abdomen" },
+        { "range": "10–12", "name": "Chest",     "hp": "chest" },
+        { "range": "13–15", "name": "Right Arm", "hp": "arm" },
+        { "range": "16–18", "name": "Left Arm",  "hp": "arm" },
+        { "range": "19–20", "name": "Head",      "hp": "head" }
+      ],
+      "abilities": [],
+      "skills": {}
+    },
+    "elf": {
+      "displayName": "Elf",
+      "description": "Slender, long-lived forest folk, quicker and more perceptive than humans but less robust.",
+      "attributes": {
+        "STR": { "dice": "2d6+3" }, "CON": { "dice": "2d6+3" }, "SIZ": { "dice": "2d6+3" }, "DEX": { "dice": "3d6+3" },
+        "INT": { "dice": "2d6+6" }, "POW": { "dice": "2d6+6" }, "CHA": { "dice": "3d6" }
+      },
+      "movement": 6,
+      "hitLocations": [
+        { "range": "1–3",   "name": "Right Leg", "hp": "leg" },
+        { "range": "4–6",   "name": "Left Leg",  "hp": "leg" },
+        { "range": "7–9",   "name": "Abdomen",   "hp": "abdomen" },
+        { "range": "10–12", "name": "Chest",     "hp": "chest" },
+        { "range": "13–15", "name": "Right Arm", "hp": "arm" },
+        { "range": "16–18", "name": "Left Arm",  "hp": "arm" },
+        { "range": "19–20", "name": "Head",      "hp": "head" }
+      ],
+      "abilities": [
+        { "name": "Night Sight", "description": "Sees in starlight or moonlight as a human does at dusk." },
+        { "name": "Long-lived", "description": "Ages slowly; an elf in the Adult category may be a century old." }
+      ],
+      "skills": { "Perception": 10, "Stealth": 10 }
+    },
+    "dwarf": {
+      "displayName": "Dwarf",
+      "description": "Short, broad mountain folk with great stamina and an ancestral gift for stone and metal.",
+      "attributes": {
+        "STR": { "dice": "2d6+6" }, "CON": { "dice": "2d6+6" }, "SIZ": { "dice": "1d6+6" }, "DEX": { "dice": "2d6+3" },
+        "INT": { "dice": "2d6+6" }, "POW": { "dice": "3d6" }, "CHA": { "dice": "3d6" }
+      },
+      "movement": 4,
+      "hitLocations": [
+        { "range": "1–3",   "name": "Right Leg", "hp": "leg" },
+        { "range": "4–6",   "name": "Left Leg",  "hp": "leg" },
+        { "range": "7–9",   "name": "Abdomen",   "hp": "abdomen" },
+        { "range": "10–12", "name": "Chest",     "hp": "chest" },
+        { "range": "13–15", "name": "Right Arm", "hp": "arm" },
+        { "range": "16–18", "name": "Left Arm",  "hp": "arm" },
+        { "range": "19–20", "name": "Head",      "hp": "head" }
+      ],
+      "abilities": [
+        { "name": "Dark Sight", "description": "Sees in complete darkness as a human does at dusk, though without colour." },
+        { "name": "Stonecunning", "description": "Notices sloping passages, unsound stonework and hidden doors in stone without searching for them." }
+      ],
+      "skills": { "Endurance": 10, "Craft": 10 }
+    },
+    "centaur": {
+      "displayName": "Centaur",
+      "description": "A human torso on a horse's body: fast, strong and hard to knock down, but awkward indoors.",
+      "attributes": {
+        "STR": { "dice": "3d6+6" }, "CON": { "dice": "3d6" }, "SIZ": { "dice": "2d6+12" }, "DEX": { "dice": "3d6" },
+        "INT": { "dice": "2d6+6" }, "POW": { "dice": "3d6" }, "CHA": { "dice": "3d6" }
+      },
+      "movement": 10,
+      "hitLocations": [
+        { "range": "1–2",   "name": "Right Hind Leg", "hp": "leg" },
+        { "range": "3–4",   "name": "Left Hind Leg",  "hp": "leg" },
+        { "range": "5–7",   "name": "Hindquarters",   "hp": "abdomen", "hpModifier": 1 },
+        { "range": "8–10",  "name": "Forequarters",   "hp": "abdomen", "hpModifier": 1 },
+        { "range": "11–12", "name": "Right Fore Leg", "hp": "leg" },
+        { "range": "13–14", "name": "Left Fore Leg",  "hp": "leg" },
+        { "range": "15–16", "name": "Chest",          "hp": "chest" },
+        { "range": "17",    "name": "Right Arm",      "hp": "arm" },
+        { "range": "18",    "name": "Left Arm",       "hp": "arm" },
+        { "range": "19–20", "name": "Head",           "hp": "head" }
+      ],
+      "abilities": [
+        { "name": "Quadruped", "description": "Cannot be knocked prone by Trip and may carry a rider of SIZ no more than half its own." },
+        { "name": "Trample", "description": "May charge over a smaller opponent, striking with the fore hooves for 1d8 plus the damage modifier." }
+      ],
+      "skills": { "Athletics": 10, "Endurance": 10 }
+    }
+  },
+  "magic": {
+    "folkMagic": {
+      "Alarm": "Wards a small area; the caster knows when anything crosses it.",
+      "Avert": "Turns aside one kind of natural harm, such as rain, cold or insects.",
+      "Beastcall": "Attracts a nearby animal of a chosen species.",
+      "Bladesharp": "Sharpens a blade: +1 damage and better chance to hit.",
+      "Bludgeon": "Makes a blunt weapon hit harder: +1 damage.",
+      "Calculate": "Performs a sum or measurement in the caster's head without error.",
+      "Calm": "Soothes the emotions of one creature.",
+      "Cleanse": "Removes dirt, stains and smells from a person or object.",
+      "Coordination": "Improves balance and fine control for the duration.",
+      "Darkwall": "Creates a wall of darkness that blocks sight.",
+      "Demoralise": "Fills a target with doubt, making attacks harder for them.",
+      "Dry": "Removes water from a person or object.",
+      "Extinguish": "Puts out a fire of up to a campfire's size.",
+      "Fanaticism": "Drives the target into a frenzy: easier attacks, no parrying.",
+      "Fate": "Gives a glimpse of whether an undertaking will go well.",
+      "Find": "Shows the direction of the nearest source of a chosen substance.",
+      "Glamour": "Makes the caster more attractive and persuasive.",
+      "Heal": "Heals 1d3 hit points to a location, or stops bleeding.",
+      "Ignite": "Sets a flammable object alight.",
+      "Incognito": "Makes the caster unremarkable and easy to overlook.",
+      "Light": "Makes an object shed light like a torch.",
+      "Lock": "Magically holds a door, lid or lock shut.",
+      "Might": "Temporarily increases the caster's damage modifier one step.",
+      "Mindspeech": "Lets the caster speak silently with one person in sight.",
+      "Mobility": "Increases the caster's Movement.",
+      "Pierce": "Lets a weapon ignore some of the target's armour.",
+      "Polish": "Makes an object gleam as if freshly made.",
+      "Preserve": "Keeps food or a body from decaying.",
+      "Protection": "Adds armour points to every location.",
+      "Repair": "Mends a small break in a simple object.",
+      "Speedart": "Improves the accuracy and damage of a missile.",
+      "Vigour": "Restores fatigue and stamina.",
+      "Voice": "Makes the caster's voice carry loud and clear.",
+      "Warmth": "Keeps the caster warm in the cold.",
+      "Witchsight": "Lets the caster see magic and spirits."
+    },
+    "spiritTypes": [
+      "Ancestor",
+      "Animal",
+      "Disease",
+      "Elemental",
+      "Guardian",
+      "Healing",
+      "Nature",
+      "Passion",
+      "Power",
+      "Wraith"
+    ],
+    "miracles": {
+      "Absorption": "Absorbs incoming spells, turning their Magic Points into the caster's own.",
+      "Bless Crops": "Ensures a good harvest from the fields the caster walks.",
+      "Consecrate": "Makes an area holy ground for the cult; other magic there is hindered.",
+      "Dismiss Elemental": "Sends a summoned elemental back to its plane.",
+      "Excommunicate": "Severs a member of the cult from its magic and its community.",
+      "Exorcism": "Drives a possessing spirit out of a body.",
+      "Extension": "Lengthens the duration of another miracle cast with it.",
+      "Heal Body": "Restores every hit location, even a severed limb.",
+      "Heal Wound": "Heals a single wound, however serious.",
+      "Illuminate": "Lights the area around the caster and reveals things hidden by magic.",
+      "Lightning Strike": "Hurls a bolt of lightning that ignores armour.",
+      "Mindlink": "Links the minds of the caster and a willing target.",
+      "Reflection": "Turns incoming spells back on their caster.",
+      "Resurrect": "Returns a recently dead worshipper to life.",
+      "Sanctify": "Protects a place from hostile spirits and the undead.",
+      "Shield": "Surrounds the caster with armour and magical protection.",
+      "Soul Sight": "Shows the nature, POW and Magic Points of those the caster looks at.",
+      "Spirit Block": "Bars spirits from touching or attacking the target.",
+      "Summon Elemental": "Calls an elemental to serve the caster.",
+      "True Weapon": "Doubles the damage of the cult's favoured weapon.",
+      "Turn Undead": "Drives the undead away from the caster.",
+      "Wrack": "Harms a single target with pain, ignoring armour."
+    },
+    "sorcery": {
+      "Abjure": {
+        "description": "Lets the caster go without food, drink, air or sleep.",
+        "shaping": [
+          "Duration",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Animate": {
+        "description": "Gives movement to an inanimate object of a chosen substance.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Combine"
+        ]
+      },
+      "Banish": {
+        "description": "Drives a summoned creature or spirit away.",
+        "shaping": [
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Bypass Armour": {
+        "description": "Lets the caster's attacks ignore armour.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Combine"
+        ]
+      },
+      "Create Ward": {
+        "description": "Wards an area against a chosen kind of creature.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Combine"
+        ]
+      },
+      "Damage Boosting": {
+        "description": "Adds to the damage a weapon deals.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Damage Resistance": {
+        "description": "Stops weak blows from harming the target.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Diminish": {
+        "description": "Reduces one characteristic of the target.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Dominate": {
+        "description": "Takes control of a creature of a chosen species.",
+        "shaping": [
+          "Duration",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Enhance": {
+        "description": "Increases one characteristic of the target.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Fly": {
+        "description": "Lets the target fly.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Haste": {
+        "description": "Speeds the target's movement and actions.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Holdfast": {
+        "description": "Fixes an object or creature in place.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Mystic Vision": {
+        "description": "Shows the caster magic and Magic Points around them.",
+        "shaping": [
+          "Duration",
+          "Combine"
+        ]
+      },
+      "Neutralise Magic": {
+        "description": "Dispels other spells.",
+        "shaping": [
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Palsy": {
+        "description": "Paralyses the target.",
+        "shaping": [
+          "Duration",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Project Sense": {
+        "description": "Sends one of the caster's senses to a distant point.",
+        "shaping": [
+          "Duration",
+          "Range",
+          "Combine"
+        ]
+      },
+      "Protective Ward": {
+        "description": "Raises a barrier that stops anything crossing it.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Combine"
+        ]
+      },
+      "Spell Resistance": {
+        "description": "Protects the target against hostile spells.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Tap": {
+        "description": "Drains a characteristic from the target into the caster.",
+        "shaping": [
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Teleport": {
+        "description": "Moves the target instantly to a place within range.",
+        "shaping": [
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      },
+      "Wrack": {
+        "description": "Harms the target with an element, ignoring armour.",
+        "shaping": [
+          "Duration",
+          "Magnitude",
+          "Range",
+          "Targets",
+          "Combine"
+        ]
+      }
+    },
+    "talents": {
+      "Augment": "Adds a fifth of Mysticism to one skill.",
+      "Avoid Fatigue": "Lets the mystic ignore the effects of fatigue.",
+      "Deflect Missiles": "Lets the mystic parry arrows, bolts and thrown weapons.",
+      "Enhance Characteristic": "Raises one characteristic by the talent's intensity.",
+      "Enhanced Senses": "Sharpens one sense far beyond the normal.",
+      "Fast Healing": "Raises the Healing Rate by the talent's intensity.",
+      "Harden Body": "Gives the mystic natural armour on every location.",
+      "Ignore Pain": "Lets the mystic act on through serious wounds.",
+      "Immunity": "Protects the mystic from one kind of poison or disease.",
+      "Increase Action Points": "Gives the mystic an extra Action Point.",
+      "Increase Damage Modifier": "Raises the mystic's Damage Modifier by one step per intensity.",
+      "Increase Initiative": "Adds the talent's intensity to Initiative.",
+      "Increase Movement": "Adds a metre of Movement per intensity.",
+      "Inner Sight": "Lets the mystic see auras, magic and spirits.",
+      "Sustain": "Lets the mystic go without food, water or sleep."
+    }
+  },
+  "background": {
+    "events": {
+      "common": [
+        "Survived a serious illness that left a faint scar.",
+        "Saved a stranger from drowning.",
+        "Was falsely accused of theft and cleared only by luck.",
+        "Witnessed something strange in the wilds and never spoke of it.",
+        "Spent a season as a servant in a wealthy household.",
+        "Lost a close friend to violence.",
+        "Found a small, old coin of unknown origin and still carries it.",
+        "Was cursed, or believes they were, by a wandering seer.",
+        "Won a local contest of skill.",
+        "Fell in love with someone far above or below their station.",
+        "Broke an oath and has tried to make amends ever since.",
+        "Was taken in by a travelling troupe for a year."
+      ],
+      "Barbarian": [
+        "Killed their first wolf alone during a hard winter.",
+        "Fought in a feud against a neighbouring clan.",
+        "Was fostered for two years in the chieftain's hall.",
+        "Lost the family's herd to raiders and swore to win it back.",
+        "Took part in a great raid across the sea.",
+        "Was outlawed for a season after a brawl at a feast.",
+        "Spent a night alone at the barrow of an ancestor.",
+        "Was blessed by the clan's shaman after a strange dream.",
+        "Carried word of a death to a distant steading.",
+        "Won a wrestling match against a famous champion.",
+        "Saw their home burned in a raid.",
+        "Was given a weapon by a dying warrior."
+      ],
+      "Civilised": [
+        "Was apprenticed to a master who went bankrupt.",
+        "Lived through a riot in the city's poor quarter.",
+        "Served as a clerk for a corrupt magistrate.",
+        "Inherited a small debt from a relative.",
+        "Was caught up in a temple scandal.",
+        "Travelled with a merchant caravan to a foreign city.",
+        "Lost a lawsuit that ruined the family's fortunes.",
+        "Was the only survivor of a building collapse.",
+        "Won a small fortune at dice and lost it the same night.",
+        "Was conscripted into the city militia during a siege.",
+        "Studied for a year at a temple school.",
+        "Was robbed and left for dead in an alley."
+      ],
+      "Nomadic": [
+        "Tamed a wild horse that no one else could ride.",
+        "Got lost in the deep desert for three days.",
+        "Was given as a hostage to a rival tribe as a child.",
+        "Guided traders across dangerous country.",
+        "Lost a parent in a stampede.",
+        "Was the first to find water in a drought year.",
+        "Fought off raiders at a waterhole.",
+        "Was initiated early after a vision.",
+        "Traded for a precious stone at a great gathering.",
+        "Followed the herds further than any of their kin.",
+        "Was separated from the tribe during a storm.",
+        "Won a race at the yearly gathering."
+      ],
+      "Primitive": [
+        "Survived a season alone in the forest.",
+        "Was marked by the spirits as a child.",
+        "Hunted a great beast with the elders.",
+        "Was captured by a neighbouring tribe and escaped.",
+        "Found a sacred place forbidden to others.",
+        "Lost a sibling to a wild animal.",
+        "Dreamed the death of a chief before it happened.",
+        "Was chosen to carry the tribe's fire during a migration.",
+        "Traded with strangers from beyond the hills.",
+        "Broke a taboo and was punished.",
+        "Was healed by a shaman after a fever.",
+        "Saw a spirit walk in daylight."
+      ]
+    },
+    "eventCount": "1d3",
+    "parents": [
+      "Both parents alive and well.",
+      "Both parents alive but estranged from the character.",
+      "Father dead, mother alive.",
+      "Mother dead, father alive.",
+      "Both parents dead.",
+      "Raised by grandparents.",
+      "Raised by an aunt or uncle.",
+      "A foundling; parents unknown."
+    ],
+    "siblingCount": "1d6-1",
+    "siblings": [
+      "Older brother",
+      "Older sister",
+      "Younger brother",
+      "Younger sister",
+      "Half-brother",
+      "Half-sister"
+    ],
+    "reputation": [
+      "Disgraced: the family name is spoken with contempt.",
+      "Poor: the family is of little account.",
+      "Unremarkable: the family is neither known nor notorious.",
+      "Respected: the family is trusted by its neighbours.",
+      "Renowned: the family is famous far beyond its home."
+    ],
+    "connections": {
+      "allies": {
+        "count": "1d3-1",
+        "descriptions": [
+          "A childhood friend who would risk their life for the character.",
+          "A retired soldier who owes the character a debt of honour.",
+          "A priest who sheltered the character once.",
+          "A cousin who shares the character's ambitions.",
+          "A healer the character saved from a mob.",
+          "A fellow apprentice, now a rising craftsman."
+        ]
+      },
+      "contacts": {
+        "count": "1d3",
+        "descriptions": [
+          "A tavern keeper who hears every rumour.",
+          "A merchant who trades in hard-to-find goods.",
+          "A guard captain willing to look the other way, for a price.",
+          "A scholar with an interest in old ruins.",
+          "A smuggler who knows the hidden paths.",
+          "A minor official with access to records."
+        ]
+      },
+      "rivals": {
+        "count": "1d2-1",
+        "descriptions": [
+          "A former friend who blames the character for a betrayal.",
+          "A competitor for the same position or lover.",
+          "A bully from childhood, now grown powerful.",
+          "A family whose feud with the character's kin is old and bloody.",
+          "A thief the character once exposed.",
+          "A noble the character publicly embarrassed."
+        ]
+      }
+    }
+  },
+  "equipment": [
+    { "name": "Natural/Cured Furs", "category": "Armor", "cost": 20, "enc": 2, "armour": {"ap": 1, "locations": ["chest", "abdomen", "arm", "leg"]} },
+    { "name": "Padded/Quilted Aketon", "category": "Armor", "cost": 80, "enc": 3, "armour": {"ap": 2, "locations": ["chest", "abdomen", "arm"]} },
+    { "name": "Flexible Laminated Linothorax", "category": "Armor", "cost": 180, "enc": 3, "armour": {"ap": 3, "locations": ["chest", "abdomen"]} },
+    { "name": "Scaled Brigandine", "category": "Armor", "cost": 320, "enc": 6, "armour": {"ap": 4, "locations": ["chest", "abdomen", "arm"]} },
+    { "name": "Half Plate", "category": "Armor", "cost": 500, "enc": 6, "armour": {"ap": 5, "locations": ["chest", "abdomen"]} },
+    { "name": "Mail", "category": "Armor", "cost": 900, "enc": 10, "armour": {"ap": 5, "locations": ["head", "chest", "abdomen", "arm", "leg"]} },
+    { "name": "Rigid Plated Mail", "category": "Armor", "cost": 1400, "enc": 11, "armour": {"ap": 6, "locations": ["chest", "abdomen", "arm", "leg"]} },
+    { "name": "Articulated Plate", "category": "Armor", "cost": 2400, "enc": 14, "armour": {"ap": 7, "locations": ["head", "chest", "abdomen", "arm", "leg"]} },
+    { "name": "Buckler", "category": "Shields", "cost": 50, "enc": 1, "weapon": {"damage": "1d3", "size": "M", "reach": "S", "effects": ["Bash", "Passive Blocks 1"], "ap": 6, "hp": 9} },
+    { "name": "Heater", "category": "Shields", "cost": 150, "enc": 2, "weapon": {"damage": "1d4", "size": "L", "reach": "S", "effects": ["Bash", "Passive Blocks 3"], "ap": 6, "hp": 12} },
+    { "name": "Hoplite", "category": "Shields", "cost": 300, "enc": 4, "weapon": {"damage": "1d4", "size": "H", "reach": "S", "effects": ["Bash", "Passive Blocks 4"], "ap": 6, "hp": 18} },
+    { "name": "Kite", "category": "Shields", "cost": 300, "enc": 3, "weapon": {"damage": "1d4", "size": "H", "reach": "S", "effects": ["Bash", "Passive Blocks 4"], "ap": 4, "hp": 18} },
+    { "name": "Peltast", "category": "Shields", "cost": 150, "enc": 2, "weapon": {"damage": "1d3", "size": "L", "reach": "S", "effects": ["Bash", "Passive Blocks 3"], "ap": 4, "hp": 12} },
+    { "name": "Scutum", "category": "Shields", "cost": 450, "enc": 4, "weapon": {"damage": "1d4", "size": "H", "reach": "S", "effects": ["Bash", "Passive Blocks 5"], "ap": 4, "hp": 18} },
+    { "name": "Target", "category": "Shields", "cost": 150, "enc": 2, "weapon": {"damage": "1d3", "size": "L", "reach": "S", "effects": ["Bash", "Passive Blocks 3"], "ap": 4, "hp": 12} },
+    { "name": "Viking", "category": "Shields", "cost": 300, "enc": 2, "weapon": {"damage": "1d4", "size": "L", "reach": "S", "effects": ["Bash", "Passive Blocks 3"], "ap": 4, "hp": 12} },
+    { "name": "Ball & chain", "category": "Melee Weapons", "cost": 250, "enc": 2, "weapon": {"damage": "1d6+1", "size": "M", "reach": "M", "effects": ["Bash", "Entangle", "Stun Location"], "ap": 6, "hp": 8} },
+    { "name": "Battleaxe (one-handed)", "category": "Melee Weapons", "cost": 100, "enc": 1, "weapon": {"damage": "1d6+1", "size": "M", "reach": "M", "effects": ["Bleed", "Sunder"], "ap": 4, "hp": 8} },
+    { "name": "Battleaxe (two-handed)", "category": "Melee Weapons", "cost": 100, "enc": 1, "weapon": {"damage": "1d8+1", "size": "L", "reach": "M", "effects": ["Bleed", "Sunder"], "ap": 4, "hp": 8} },
+    { "name": "Broadsword", "category": "Melee Weapons", "cost": 175, "enc": 2, "weapon": {"damage": "1d8", "size": "M", "reach": "M", "effects": ["Bleed"], "ap": 6, "hp": 10} },
+    { "name": "Chain", "category": "Melee Weapons", "cost": 10, "enc": 2, "weapon": {"damage": "1d4", "size": "S", "reach": "L", "effects": ["Entangle", "Stun Location"], "ap": 8, "hp": 6} },
+    { "name": "Club", "category": "Melee Weapons", "cost": 5, "enc": 1, "weapon": {"damage": "1d6", "size": "M", "reach": "S", "effects": ["Bash", "Stun Location"], "ap": 4, "hp": 4} },
+    { "name": "Dagger", "category": "Melee Weapons", "cost": 30, "enc": 0, "weapon": {"damage": "1d4+1", "size": "S", "reach": "S", "effects": ["Bleed", "Impale"], "ap": 6, "hp": 8} },
+    { "name": "Falchion", "category": "Melee Weapons", "cost": 200, "enc": 1, "weapon": {"damage": "1d6+2", "size": "M", "reach": "M", "effects": ["Bleed"], "ap": 6, "hp": 10} },
+    { "name": "Flail", "category": "Melee Weapons", "cost": 25, "enc": 1, "weapon": {"damage": "1d6", "size": "M", "reach": "M", "effects": ["Bash", "Entangle"], "ap": 3, "hp": 6} },
+    { "name": "Garrotte", "category": "Melee Weapons", "cost": 15, "enc": 0, "weapon": {"damage": "1d2", "size": "S", "reach": "T", "effects": ["Grip"], "ap": 1, "hp": 2} },
+    { "name": "Glaive/Rhomphaia", "category": "Melee Weapons", "cost": 250, "enc": 3, "weapon": {"damage": "1d10+2", "size": "L", "reach": "L", "effects": ["Bleed", "Sunder"], "ap": 4, "hp": 10} },
+    { "name": "Great axe", "category": "Melee Weapons", "cost": 125, "enc": 2, "weapon": {"damage": "2d6+2", "size": "H", "reach": "L", "effects": ["Bleed", "Sunder"], "ap": 4, "hp": 10} },
+    { "name": "Great club", "category": "Melee Weapons", "cost": 50, "enc": 2, "weapon": {"damage": "2d6", "size": "H", "reach": "L", "effects": ["Bash", "Stun Location"], "ap": 4, "hp": 10} },
+    { "name": "Great hammer", "category": "Melee Weapons", "cost": 250, "enc": 3, "weapon": {"damage": "1d10+3", "size": "H", "reach": "L", "effects": ["Bash", "Stun Location", "Sunder"], "ap": 3, "hp": 10} },
+    { "name": "Greatsword", "category": "Melee Weapons", "cost": 300, "enc": 3, "weapon": {"damage": "2d8", "size": "H", "reach": "L", "effects": ["Bleed", "Impale", "Sunder"], "ap": 6, "hp": 12} },
+    { "name": "Halberd/Poleaxe", "category": "Melee Weapons", "cost": 200, "enc": 4, "weapon": {"damage": "1d8+2", "size": "L", "reach": "VL", "effects": ["Entangle", "Impale", "Sunder"], "ap": 4, "hp": 10} },
+    { "name": "Hatchet", "category": "Melee Weapons", "cost": 25, "enc": 0, "weapon": {"damage": "1d6", "size": "S", "reach": "S", "effects": ["Bleed"], "ap": 3, "hp": 6} },
+    { "name": "Knife", "category": "Melee Weapons", "cost": 10, "enc": 0, "weapon": {"damage": "1d3", "size": "S", "reach": "S", "effects": ["Bleed", "Impale"], "ap": 5, "hp": 4} },
+    { "name": "Lance", "category": "Melee Weapons", "cost": 150, "enc": 3, "weapon": {"damage": "1d10+2", "size": "H", "reach": "VL", "effects": ["Impale", "Sunder"], "ap": 4, "hp": 10} },
+    { "name": "Longspear", "category": "Melee Weapons", "cost": 30, "enc": 2, "weapon": {"damage": "1d10+1", "size": "L", "reach": "VL", "effects": ["Impale"], "ap": 4, "hp": 10} },
+    { "name": "Longsword (one-handed)", "category": "Melee Weapons", "cost": 250, "enc": 2, "weapon": {"damage": "1d8", "size": "M", "reach": "L", "effects": ["Bleed", "Impale"], "ap": 6, "hp": 12} },
+    { "name": "Longsword (two-handed)", "category": "Melee Weapons", "cost": 250, "enc": 2, "weapon": {"damage": "1d10", "size": "L", "reach": "L", "effects": ["Bleed", "Impale"], "ap": 6, "hp": 12} },
+    { "name": "Mace", "category": "Melee Weapons", "cost": 100, "enc": 1, "weapon": {"damage": "1d8", "size": "M", "reach": "S", "effects": ["Bash", "Stun Location"], "ap": 6, "hp": 6} },
+    { "name": "Main Gauche", "category": "Melee Weapons", "cost": 180, "enc": 0, "weapon": {"damage": "1d4", "size": "S", "reach": "S", "effects": ["Bleed", "Impale", "Trap Weapon"], "ap": 6, "hp": 6} },
+    { "name": "Military flail", "category": "Melee Weapons", "cost": 250, "enc": 2, "weapon": {"damage": "1d10", "size": "L", "reach": "M", "effects": ["Bash", "Entangle", "Stun Location"], "ap": 3, "hp": 10} },
+    { "name": "Military pick", "category": "Melee Weapons", "cost": 180, "enc": 3, "weapon": {"damage": "1d6+1", "size": "M", "reach": "M", "effects": ["Stun Location", "Sunder"], "ap": 6, "hp": 10} },
+    { "name": "Pike/Sarissa", "category": "Melee Weapons", "cost": 90, "enc": 3, "weapon": {"damage": "2d6", "size": "H", "reach": "VL", "effects": ["Impale"], "ap": 4, "hp": 12} },
+    { "name": "Quarterstaff", "category": "Melee Weapons", "cost": 20, "enc": 2, "weapon": {"damage": "1d8", "size": "M", "reach": "L", "effects": ["Stun Location", "Trip Opponent"], "ap": 4, "hp": 8} },
+    { "name": "Rapier", "category": "Melee Weapons", "cost": 100, "enc": 1, "weapon": {"damage": "1d8", "size": "M", "reach": "L", "effects": ["Bleed", "Impale"], "ap": 5, "hp": 8} },
+    { "name": "Sabre", "category": "Melee Weapons", "cost": 225, "enc": 1, "weapon": {"damage": "1d6+1", "size": "M", "reach": "M", "effects": ["Bleed", "Impale"], "ap": 6, "hp": 8} },
+    { "name": "Scimitar", "category": "Melee Weapons", "cost": 200, "enc": 2, "weapon": {"damage": "1d8", "size": "M", "reach": "M", "effects": ["Bleed"], "ap": 6, "hp": 10} },
+    { "name": "Shortspear", "category": "Melee Weapons", "cost": 20, "enc": 2, "weapon": {"damage": "1d8+1", "size": "M", "reach": "L", "effects": ["Impale"], "ap": 4, "hp": 5} },
+    { "name": "Shortsword", "category": "Melee Weapons", "cost": 100, "enc": 1, "weapon": {"damage": "1d6", "size": "M", "reach": "S", "effects": ["Bleed", "Impale"], "ap": 6, "hp": 8} },
+    { "name": "Trident", "category": "Melee Weapons", "cost": 155, "enc": 2, "weapon": {"damage": "1d8", "size": "M", "reach": "L", "effects": ["Impale", "Trip Opponent"], "ap": 4, "hp": 10} },
+    { "name": "Xyston", "category": "Melee Weapons", "cost": 100, "enc": 2, "weapon": {"damage": "1d8+1", "size": "L", "reach": "VL", "effects": ["Impale"], "ap": 4, "hp": 8} },
+    { "name": "Atlatl", "category": "Ranged Weapons", "cost": 10, "enc": 1, "weapon": {"damage": "1d10", "size": "L", "range": "10/40/100", "effects": ["Impale"], "ap": 2, "hp": 5} },
+    { "name": "Blowgun", "category": "Ranged Weapons", "cost": 30, "enc": 0, "weapon": {"damage": "1d2", "size": "S", "range": "5/15/25", "effects": ["Impale"], "ap": 1, "hp": 4, "damageModifier": false} },
+    { "name": "Bolas", "category": "Ranged Weapons", "cost": 10, "enc": 0, "weapon": {"damage": "1d4", "size": "S", "range": "5/10/20", "effects": ["Entangle"], "ap": 2, "hp": 2} },
+    { "name": "Dart", "category": "Ranged Weapons", "cost": 10, "enc": 0, "weapon": {"damage": "1d4", "size": "S", "range": "5/10/20", "effects": ["Impale"], "ap": 2, "hp": 1} },
+    { "name": "Discus", "category": "Ranged Weapons", "cost": 30, "enc": 1, "weapon": {"damage": "1d4", "size": "M", "range": "10/20/40", "effects": ["Bash", "Stun Location"], "ap": 2, "hp": 4} },
+    { "name": "Heavy crossbow", "category": "Ranged Weapons", "cost": 350, "enc": 2, "weapon": {"damage": "1d12", "size": "H", "range": "20/150/500", "effects": ["Impale", "Sunder"], "ap": 6, "hp": 10, "damageModifier": false} },
+    { "name": "Javelin", "category": "Ranged Weapons", "cost": 20, "enc": 1, "weapon": {"damage": "1d8+1", "size": "H", "range": "10/20/50", "effects": ["Impale", "Pin Weapon"], "ap": 3, "hp": 8} },
+    { "name": "Light crossbow", "category": "Ranged Weapons", "cost": 150, "enc": 1, "weapon": {"damage": "1d8", "size": "L", "range": "20/150/400", "effects": ["Impale"], "ap": 4, "hp": 8, "damageModifier": false} },
+    { "name": "Long bow", "category": "Ranged Weapons", "cost": 200, "enc": 1, "weapon": {"damage": "1d8", "size": "L", "range": "15/175/300", "effects": ["Impale"], "ap": 4, "hp": 7} },
+    { "name": "Recurve bow", "category": "Ranged Weapons", "cost": 225, "enc": 1, "weapon": {"damage": "1d8", "size": "L", "range": "15/150/300", "effects": ["Impale"], "ap": 4, "hp": 8} },
+    { "name": "Short bow", "category": "Ranged Weapons", "cost": 75, "enc": 1, "weapon": {"damage": "1d6", "size": "L", "range": "10/80/150", "effects": ["Impale"], "ap": 4, "hp": 4} },
+    { "name": "Sling", "category": "Ranged Weapons", "cost": 5, "enc": 0, "weapon": {"damage": "1d8", "size": "L", "range": "10/150/300", "effects": ["Stun Location"], "ap": 1, "hp": 2} },
+    { "name": "Staff sling", "category": "Ranged Weapons", "cost": 20, "enc": 2, "weapon": {"damage": "2d6", "size": "L", "range": "10/200/400", "effects": ["Stun Location"], "ap": 3, "hp": 6} },
+    { "name": "Arrows (dozen)", "category": "Ammunition", "cost": 4, "enc": 0 },
+    { "name": "Quarrels (dozen)", "category": "Ammunition", "cost": 3, "enc": 0 },
+    { "name": "Lead sling bullets (20)", "category": "Ammunition", "cost": 1, "enc": 1 },
+    { "name": "Blowgun darts (6)", "category": "Ammunition", "cost": 2, "enc": 0 },
+    { "name": "Thrown darts (dozen)", "category": "Ammunition", "cost": 2, "enc": 1 },
+    { "name": "Abacus", "category": "Tools", "cost": 8, "enc": 1 },
+    { "name": "Astrolabe", "category": "Tools", "cost": 200, "enc": 1 },
+    { "name": "Backpack/Satchel", "category": "Tools", "cost": 5, "enc": 1 },
+    { "name": "Bedroll", "category": "Tools", "cost": 1, "enc": 1 },
+    { "name": "Bit & Bridle", "category": "Tools", "cost": 15, "enc": 1 },
+    { "name": "Block & tackle", "category": "Tools", "cost": 15, "enc": 2 },
+    { "name": "Bottle, glass/earthenware", "category": "Tools", "cost": 2, "enc": 0 },
+    { "name": "Candle (6h)", "category": "Tools", "cost": 1, "enc": 0 },
+    { "name": "Chain (2m)", "category": "Tools", "cost": 40, "enc": 2 },
+    { "name": "Chest, Large", "category": "Tools", "cost": 80, "enc": 4 },
+    { "name": "Chest, Small", "category": "Tools", "cost": 40, "enc": 2 },
+    { "name": "Cooking Pot", "category": "Tools", "cost": 3, "enc": 1 },
+    { "name": "Craft tools", "category": "Tools", "cost": 75, "enc": 2 },
+    { "name": "Crop (riding)", "category": "Tools", "cost": 15, "enc": 0 },
+    { "name": "Crowbar", "category": "Tools", "cost": 25, "enc": 1 },
+    { "name": "Doorjamb", "category": "Tools", "cost": 5, "enc": 0 },
+    { "name": "Driver’s whip", "category": "Tools", "cost": 25, "enc": 0 },
+    { "name": "Falconer’s Kit", "category": "Tools", "cost": 30, "enc": 1 },
+    { "name": "Feed or mount rations", "category": "Tools", "cost": 5, "enc": 1 },
+    { "name": "Fine wine goblet", "category": "Tools", "cost": 8, "enc": 0 },
+    { "name": "First aid kit", "category": "Tools", "cost": 25, "enc": 1 },
+    { "name": "Fish hooks", "category": "Tools", "cost": 1, "enc": 0 },
+    { "name": "Fishing kit", "category": "Tools", "cost": 15, "enc": 1 },
+    { "name": "Fishing Net", "category": "Tools", "cost": 10, "enc": 1 },
+    { "name": "Flint & tinder", "category": "Tools", "cost": 1, "enc": 0 },
+    { "name": "Game snares and traps", "category": "Tools", "cost": 1, "enc": 1 },
+    { "name": "Goad", "category": "Tools", "cost": 25, "enc": 1 },
+    { "name": "Grappling hook", "category": "Tools", "cost": 5, "enc": 1 },
+    { "name": "Hammer/Saw/Mallet/Chisel", "category": "Tools", "cost": 1, "enc": 1 },
+    { "name": "Healer’s kit", "category": "Tools", "cost": 150, "enc": 1 },
+    { "name": "Hourglass", "category": "Tools", "cost": 20, "enc": 0 },
+    { "name": "Knife (tool)", "category": "Tools", "cost": 5, "enc": 0 },
+    { "name": "Ladder (3m)", "category": "Tools", "cost": 2, "enc": 3 },
+    { "name": "Lantern (basic)", "category": "Tools", "cost": 10, "enc": 1 },
+    { "name": "Lock picks", "category": "Tools", "cost": 75, "enc": 0 },
+    { "name": "Lockbox", "category": "Tools", "cost": 50, "enc": 1 },
+    { "name": "Lodestone", "category": "Tools", "cost": 5, "enc": 0 },
+    { "name": "Milling stone", "category": "Tools", "cost": 8, "enc": 2 },
+    { "name": "Mirror (hand glass)", "category": "Tools", "cost": 12, "enc": 0 },
+    { "name": "Mug/Beaker/Dish/Plate", "category": "Tools", "cost": 5, "enc": 0 },
+    { "name": "Musical instrument", "category": "Tools", "cost": 70, "enc": 1 },
+    { "name": "Nails or tacks", "category": "Tools", "cost": 2, "enc": 0 },
+    { "name": "Oil flask", "category": "Tools", "cost": 1, "enc": 0 },
+    { "name": "Papyrus or paper sheet", "category": "Tools", "cost": 5, "enc": 0 },
+    { "name": "Pickaxe", "category": "Tools", "cost": 35, "enc": 2 },
+    { "name": "Pole (3m)", "category": "Tools", "cost": 1, "enc": 1 },
+    { "name": "Quills and ink", "category": "Tools", "cost": 30, "enc": 0 },
+    { "name": "Quiver", "category": "Tools", "cost": 2, "enc": 0 },
+    { "name": "Razor (folding)", "category": "Tools", "cost": 3, "enc": 0 },
+    { "name": "Rope (10m)", "category": "Tools", "cost": 10, "enc": 1 },
+    { "name": "Sack (large)", "category": "Tools", "cost": 5, "enc": 1 },
+    { "name": "Sack (small)", "category": "Tools", "cost": 2, "enc": 0 },
+    { "name": "Saddle (riding)", "category": "Tools", "cost": 60, "enc": 2 },
+    { "name": "Saddle (war)", "category": "Tools", "cost": 90, "enc": 3 },
+    { "name": "Saddlebag", "category": "Tools", "cost": 20, "enc": 1 },
+    { "name": "Saw (hand)", "category": "Tools", "cost": 1, "enc": 1 },
+    { "name": "Scythe/Sickle", "category": "Tools", "cost": 30, "enc": 1 },
+    { "name": "Sextant", "category": "Tools", "cost": 25, "enc": 1 },
+    { "name": "Ship’s Compass", "category": "Tools", "cost": 70, "enc": 0 },
+    { "name": "Shoes, horse", "category": "Tools", "cost": 10, "enc": 1 },
+    { "name": "Spade/Hoe/Pitchfork", "category": "Tools", "cost": 25, "enc": 2 },
+    { "name": "Torch (1h)", "category": "Tools", "cost": 4, "enc": 0 },
+    { "name": "Torch (6h)", "category": "Tools", "cost": 8, "enc": 1 },
+    { "name": "Waterskin or Canteen", "category": "Tools", "cost": 5, "enc": 1 },
+    { "name": "Wax (block)", "category": "Tools", "cost": 2, "enc": 0 },
+    { "name": "Boots", "category": "Clothing", "cost": 50, "enc": 1 },
+    { "name": "Cap or Hat", "category": "Clothing", "cost": 6, "enc": 0 },
+    { "name": "Gloves/Socks/Underwear", "category": "Clothing", "cost": 10, "enc": 0 },
+    { "name": "Coat or Cloak", "category": "Clothing", "cost": 45, "enc": 1 },
+    { "name": "Vest or Tabard", "category": "Clothing", "cost": 20, "enc": 0 },
+    { "name": "Tunic or Dress", "category": "Clothing", "cost": 30, "enc": 0 },
+    { "name": "Sandals", "category": "Clothing", "cost": 8, "enc": 0 },
+    { "name": "Shoes", "category": "Clothing", "cost": 45, "enc": 0 },
+    { "name": "Trousers/Skirt/Kilt", "category": "Clothing", "cost": 25, "enc": 0 },
+    { "name": "Shirt/Smock/Shift", "category": "Clothing", "cost": 16, "enc": 0 },
+    { "name": "Winter Coat/Cloak", "category": "Clothing", "cost": 75, "enc": 2 },
+    { "name": "Meal (tavern)", "category": "Food & Drink", "cost": 3, "enc": 0 },
+    { "name": "Ale or Beer", "category": "Food & Drink", "cost": 1, "enc": 0 },
+    { "name": "Wine or Spirits", "category": "Food & Drink", "cost": 4, "enc": 0 },
+    { "name": "Trail rations (7d)", "category": "Food & Drink", "cost": 9, "enc": 1 },
+    { "name": "Donkey or Mule", "category": "Livestock", "cost": 100, "enc": 0 },
+    { "name": "Horse (riding)", "category": "Livestock", "cost": 250, "enc": 0 },
+    { "name": "Horse (war)", "category": "Livestock", "cost": 1000, "enc": 0 },
+    { "name": "Camel", "category": "Livestock", "cost": 300, "enc": 0 },
+    { "name": "Ox", "category": "Livestock", "cost": 150, "enc": 0 },
+    { "name": "Cow", "category": "Livestock", "cost": 100, "enc": 0 },
+    { "name": "Pig", "category": "Livestock", "cost": 20, "enc": 0 },
+    { "name": "Goat or Sheep", "category": "Livestock", "cost": 10, "enc": 0 },
+    { "name": "Dog (guard)", "category": "Livestock", "cost": 30, "enc": 0 },
+    { "name": "Elephant (trained)", "category": "Livestock", "cost": 5000, "enc": 0 },
+    { "name": "Cart (2-wheeled)", "category": "Vehicles", "cost": 100, "enc": 0 },
+    { "name": "Wagon (4-wheeled)", "category": "Vehicles", "cost": 250, "enc": 0 },
+    { "name": "Carriage (coach)", "category": "Vehicles", "cost": 500, "enc": 0 },
+    { "name": "Chariot (war)", "category": "Vehicles", "cost": 300, "enc": 0 },
+    { "name": "Rowboat (small)", "category": "Vehicles", "cost": 200, "enc": 0 }
+  ]
+};
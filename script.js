@@ -9,8 +9,8 @@
   aborts, leaving the navigation buttons inert and preventing the age
   category from updating the bonus skill pool.  Rather than patching
   thousands of lines of minified code, this script rebuilds the key
-  functionality from the published Mythras rules using embedded data
-  tables derived from the JSON files in the project's `data/` folder.
+  functionality from the published Mythras rules using the data tables
+  in the project's `data/` folder.
 
   The implementation emphasises clarity and completeness over sheer
   feature count.  All standard and professional skills are defined with
@@ -18,12 +18,13 @@
   included, and both roll and point‑buy methods for characteristics are
   supported.  Derived statistics such as damage modifier, healing rate,
   luck points and hit points per location are calculated using the same
-  formulas as the printed rulebook.  A simple equipment list and
-  starting silver roll based on culture and social class are provided.
+  formulas as the printed rulebook.  A starting silver roll based on
+  culture and social class and a shop covering the whole equipment list
+  are provided.
 
   This script uses vanilla JavaScript and requires no external
-  dependencies.  It should be placed alongside `index.html` and
-  `style.css` in the root of your project.
+  dependencies.  It should be placed alongside `index.html`, `style.css`
+  and the `data/` folder in the root of your project.
 */
 
 (function() {
@@ -32,17 +33,14 @@
   /* ----------------------------------------------------------------------
    * Data definitions
    *
-   * The following objects are distilled from the JSON files in the
-   * mythras‑char‑gen‑v2 repository (`data/skills.json`,
-   * `data/careers.json`, `data/cultures.json`) as well as the System
-   * Reference Document.  They are embedded here to avoid cross‑origin
-   * requests and to ensure the generator works offline.  If you wish to
-   * extend these tables with your own entries simply follow the same
-   * structure.
+   * Age categories are defined here; the skill, career, culture and
+   * equipment tables are loaded at start‑up from the JSON files in the
+   * `data/` folder (see "Rules data loading" below).  To extend them with
+   * your own entries edit those files and follow the same structure.
    */
 
-  // Age categories with bonus pools and per‑skill caps.  The random age
-  // ranges are provided for flavour only.
+  // Age categories with bonus pools and per‑skill caps.  The age dice are
+  // rolled for the character's age in years.
   const ageCategories = {
     Young:  { bonus: 100, max: 10, age: '10+1d6' },
     Adult:  { bonus: 150, max: 15, age: '15+2d6' },
@@ -51,1033 +49,6063 @@
     Old:    { bonus: 300, max: 30, age: '60+5d6' }
   };
 
-  // Standard skill definitions.  Each entry defines a base formula in
-  // terms of the seven attributes STR, CON, SIZ, DEX, INT, POW and CHA.
-  const standardSkills = {
-    'Athletics':     { formula: a => a.STR + a.DEX },
-    'Boating':       { formula: a => a.STR + a.CON },
-    'Brawn':         { formula: a => a.STR + a.SIZ },
-    'Conceal':       { formula: a => a.DEX + a.POW },
-    'Customs':       { formula: a => a.INT * 2 + 40 },
-    'Dance':         { formula: a => a.DEX + a.CHA },
-    'Deceit':        { formula: a => a.INT + a.CHA },
-    'Drive':         { formula: a => a.DEX + a.POW },
-    'Endurance':     { formula: a => a.CON * 2 },
-    'Evade':         { formula: a => a.DEX * 2 },
-    'First Aid':     { formula: a => a.INT + a.DEX },
-    'Influence':     { formula: a => a.CHA * 2 },
-    'Insight':       { formula: a => a.INT + a.POW },
-    'Locale':        { formula: a => a.INT * 2 },
-    'Native Tongue': { formula: a => a.INT + a.CHA + 40 },
-    'Perception':    { formula: a => a.INT + a.POW },
-    'Ride':          { formula: a => a.DEX + a.POW },
-    'Sing':          { formula: a => a.CHA + a.POW },
-    'Stealth':       { formula: a => a.DEX + a.INT },
-    'Swim':          { formula: a => a.STR + a.CON },
-    'Unarmed':       { formula: a => a.STR + a.DEX },
-    'Willpower':     { formula: a => a.POW * 2 }
-  };
-
-  // Human‑readable formula strings for each skill.  These are used to
-  // display how a base percentage is derived.  Entries not listed
-  // default to an empty string.
-  const skillFormulaStrings = {
-    // Standard skills
-    'Athletics': 'STR+DEX',
-    'Boating': 'STR+CON',
-    'Brawn': 'STR+SIZ',
-    'Conceal': 'DEX+POW',
-    'Customs': 'INT*2 +40',
-    'Dance': 'DEX+CHA',
-    'Deceit': 'INT+CHA',
-    'Drive': 'DEX+POW',
-    'Endurance': 'CON*2',
-    'Evade': 'DEX*2',
-    'First Aid': 'INT+DEX',
-    'Influence': 'CHA*2',
-    'Insight': 'INT+POW',
-    'Locale': 'INT*2',
-    'Native Tongue': 'INT+CHA +40',
-    'Perception': 'INT+POW',
-    'Ride': 'DEX+POW',
-    'Sing': 'CHA+POW',
-    'Stealth': 'DEX+INT',
-    'Swim': 'STR+CON',
-    'Unarmed': 'STR+DEX',
-    'Willpower': 'POW*2',
-    // Professional skills
-    'Acting': 'CHA*2',
-    'Acrobatics': 'STR+DEX',
-    'Art': 'POW+CHA',
-    'Bureaucracy': 'INT*2',
-    'Commerce': 'INT+CHA',
-    'Courtesy': 'INT+CHA',
-    'Craft': 'DEX+INT',
-    'Culture': 'INT*2',
-    'Disguise': 'INT+CHA',
-    'Engineering': 'INT*2',
-    'Gambling': 'INT+POW',
-    'Healing': 'INT+POW',
-    'Language': 'INT+CHA',
-    'Literacy': 'INT*2',
-    'Lockpicking': 'DEX*2',
-    'Lore': 'INT*2',
-    'Mechanisms': 'DEX+INT',
-    'Musicianship': 'DEX+CHA',
-    'Navigation': 'INT+POW',
-    'Oratory': 'POW+CHA',
-    'Seamanship': 'INT+CON',
-    'Seduction': 'INT+CHA',
-    'Sleight': 'DEX+CHA',
-    'Streetwise': 'POW+CHA',
-    'Survival': 'CON+POW',
-    'Teach': 'INT+CHA',
-    'Track': 'INT+CON'
-  };
-
-  // Professional skill definitions.  Unknown professional skills default
-  // to a base of 0.  Feel free to add or override entries here.
-  const professionalSkills = {
-    'Acting':        { formula: a => a.CHA * 2 },
-    'Acrobatics':    { formula: a => a.STR + a.DEX },
-    'Art':           { formula: a => a.POW + a.CHA },
-    'Bureaucracy':   { formula: a => a.INT * 2 },
-    'Commerce':      { formula: a => a.INT + a.CHA },
-    'Courtesy':      { formula: a => a.INT + a.CHA },
-    'Craft':         { formula: a => a.DEX + a.INT },
-    'Culture':       { formula: a => a.INT * 2 },
-    'Disguise':      { formula: a => a.INT + a.CHA },
-    'Engineering':   { formula: a => a.INT * 2 },
-    'Gambling':      { formula: a => a.INT + a.POW },
-    'Healing':       { formula: a => a.INT + a.POW },
-    'Language':      { formula: a => a.INT + a.CHA },
-    'Literacy':      { formula: a => a.INT * 2 },
-    'Lockpicking':   { formula: a => a.DEX * 2 },
-    'Lore':          { formula: a => a.INT * 2 },
-    'Mechanisms':    { formula: a => a.DEX + a.INT },
-    'Musicianship':  { formula: a => a.DEX + a.CHA },
-    'Navigation':    { formula: a => a.INT + a.POW },
-    'Oratory':       { formula: a => a.POW + a.CHA },
-    'Seamanship':    { formula: a => a.INT + a.CON },
-    'Seduction':     { formula: a => a.INT + a.CHA },
-    'Sleight':       { formula: a => a.DEX + a.CHA },
-    'Streetwise':    { formula: a => a.POW + a.CHA },
-    'Survival':      { formula: a => a.CON + a.POW },
-    'Teach':         { formula: a => a.INT + a.CHA },
-    'Track':         { formula: a => a.INT + a.CON }
-  };
-
-  // Careers from the SRD.  Each career has a human‑readable name,
-  // standard skills and professional skills drawn from the rulebook.  The
-  // keys correspond to the JSON keys in careers.json.
-  const careers = {
-    agent:        { name: 'Agent',        standard: ['Conceal','Deceit','Evade','Insight','Perception','Stealth'], professional: ['Culture (any)','Disguise','Language (any)','Sleight','Streetwise','Survival','Track'] },
-    alchemist:    { name: 'Alchemist',    standard: ['Customs','Endurance','First Aid','Insight','Locale','Perception','Willpower'], professional: ['Commerce','Craft (Alchemy)','Healing','Language (any)','Literacy','Lore (Specific Alchemical Speciality)','Streetwise'] },
-    beastHandler: { name: 'Beast Handler',standard: ['Drive','Endurance','First Aid','Influence','Locale','Ride','Willpower'], professional: ['Commerce','Craft (Animal Husbandry)','Healing (Specific Species)','Lore (Specific Species)','Survival','Teach (Specific Species)','Track'] },
-    courtesan:    { name: 'Courtesan',    standard: ['Customs','Dance','Deceit','Influence','Insight','Perception','Sing'], professional: ['Art (any)','Courtesy','Culture (any)','Gambling','Language (any)','Musicianship','Seduction'] },
-    courtier:     { name: 'Courtier',     standard: ['Customs','Dance','Deceit','Influence','Insight','Locale','Perception'], professional: ['Art (any)','Bureaucracy','Courtesy','Culture (any)','Language (any)','Lore (any)','Oratory'] },
-    crafter:      { name: 'Crafter',      standard: ['Brawn','Drive','Influence','Insight','Locale','Perception','Willpower'], professional: ['Art (any)','Commerce','Craft (Primary)','Craft (Secondary)','Engineering','Mechanisms','Streetwise'] },
-    entertainer:  { name: 'Entertainer',  standard: ['Athletics','Brawn','Dance','Deceit','Influence','Insight','Sing'], professional: ['Acrobatics','Acting','Oratory','Musicianship','Seduction','Sleight','Streetwise'] },
-    farmer:       { name: 'Farmer',       standard: ['Athletics','Brawn','Drive','Endurance','Locale','Perception','Ride'], professional: ['Commerce','Craft (any)','Lore (Agriculture)','Lore (Animal Husbandry)','Navigation','Survival','Track'] },
-    fisher:       { name: 'Fisher',       standard: ['Athletics','Boating','Endurance','Locale','Perception','Stealth','Swim'], professional: ['Commerce','Craft (any)','Lore (Primary Catch)','Lore (Secondary Catch)','Navigation','Seamanship','Survival'] },
-    herder:       { name: 'Herder',       standard: ['Endurance','First Aid','Insight','Locale','Perception','Ride'], professional: ['Commerce','Craft (Animal Husbandry)','Healing (Specific Species)','Navigation','Musicianship','Survival','Track'] },
-    hunter:       { name: 'Hunter',       standard: ['Athletics','Endurance','Locale','Perception','Ride','Stealth'], professional: ['Commerce','Craft (Hunting Related)','Lore (Regional or Specific Species)','Mechanisms','Navigation','Survival','Track'] },
-    merchant:     { name: 'Merchant',     standard: ['Boating','Drive','Deceit','Insight','Influence','Locale','Ride'], professional: ['Courtesy','Culture (any)','Language (any)','Navigation','Seamanship','Streetwise'] },
-    miner:        { name: 'Miner',        standard: ['Athletics','Brawn','Endurance','Locale','Perception','Sing','Willpower'], professional: ['Commerce','Craft (Mining)','Engineering','Lore (Minerals)','Mechanisms','Navigation (Underground)','Survival'] },
-    mystic:       { name: 'Mystic',       standard: ['Athletics','Endurance','Evade','Insight','Perception','Willpower'], professional: ['Art (any)','Folk Magic','Literacy','Lore (any)','Meditation','Musicianship','Mysticism'] },
-    official:     { name: 'Official',     standard: ['Customs','Deceit','Influence','Insight','Locale','Perception','Willpower'], professional: ['Bureaucracy','Commerce','Courtesy','Language (any)','Literacy','Lore (any)','Oratory'] },
-    physician:    { name: 'Physician',    standard: ['Dance','First Aid','Influence','Insight','Locale','Sing','Willpower'], professional: ['Commerce','Craft (Specific Physiological Speciality)','Healing','Language (any)','Literacy','Lore (Specific Alchemical Speciality)','Streetwise'] },
-    priest:       { name: 'Priest',       standard: ['Customs','Dance','Deceit','Influence','Insight','Locale','Willpower'], professional: ['Bureaucracy','Devotion (Pantheon, Cult or God)','Exhort','Folk Magic','Literacy','Lore (any)','Oratory'] },
-    sailor:       { name: 'Sailor',       standard: ['Athletics','Boating','Brawn','Endurance','Locale','Swim'], professional: ['Craft (Specific Shipboard Speciality)','Culture (any)','Language (any)','Lore (any)','Navigation','Seamanship','Survival'] },
-    scholar:      { name: 'Scholar',      standard: ['Customs','Influence','Insight','Locale','Native Tongue','Perception','Willpower'], professional: ['Culture (any)','Language (any)','Literacy','Lore (Primary)','Lore (Secondary)','Oratory','Teach'] },
-    scout:        { name: 'Scout',        standard: ['Athletics','Endurance','First Aid','Perception','Stealth','Swim'], professional: ['Culture (any)','Healing','Language (any)','Lore (any)','Navigation','Survival','Track'] },
-    shaman:       { name: 'Shaman',       standard: ['Customs','Dance','Deceit','Influence','Insight','Locale','Willpower'], professional: ['Binding (Cult, Totem or Tradition)','Folk Magic','Healing','Lore (any)','Oratory','Sleight','Trance'] },
-    sorcerer:     { name: 'Sorcerer',     standard: ['Customs','Deceit','Influence','Insight','Locale','Perception','Willpower'], professional: ['Folk Magic','Invocation (Cult, School or Grimoire)','Language (any)','Literacy','Lore (any)','Shaping','Sleight'] },
-    thief:        { name: 'Thief',        standard: ['Athletics','Deceit','Evade','Insight','Perception','Stealth'], professional: ['Acting','Commerce','Disguise','Lockpicking','Mechanisms','Sleight','Streetwise'] },
-    warrior:      { name: 'Warrior',      standard: ['Athletics','Brawn','Endurance','Evade','Unarmed'], professional: ['Craft (any)','Engineering','Gambling','Lore (Military History)','Lore (Strategy and Tactics)','Oratory','Survival'] }
-  };
+  // Locations armour is assigned to.  Both arms, and both legs, wear the
+  // same piece.  The same keys name the columns of the hit point table
+  // (hitPointsPerLocation()) that a species' hit locations draw on.
+  const ARMOUR_LOCATIONS = [
+    { key: 'head',    name: 'Head' },
+    { key: 'arm',     name: 'Arms' },
+    { key: 'chest',   name: 'Chest' },
+    { key: 'abdomen', name: 'Abdomen' },
+    { key: 'leg',     name: 'Legs' }
+  ];
 
-  // Cultures.  Each culture defines its own standard skills, professional
-  // skills, combat styles, money dice (for starting silver) and social
-  // classes.  A social class determines the multiplier used when rolling
-  // starting silver.
-  const cultures = {
-    Barbarian: {
-      name: 'Barbarian',
-      standard: ['Athletics','Brawn','Endurance','First Aid','Locale','Perception','Boating','Ride'],
-      professional: ['Craft','Healing','Lore','Musicianship','Navigation','Seamanship','Survival','Track'],
-      combatStyles: ['Barbarian Fyrdman','Berserker','Horse Eater','Seaborne Reiver','Weapon Thegn','Wolf Hunter'],
-      moneyDice: '4d6*50',
-      socialClasses: [ { name:'Thrall', min:1, max:20, mult:0.5 }, { name:'Clanfolk', min:21, max:60, mult:1.0 }, { name:'Warrior', min:61, max:90, mult:1.25 }, { name:'Chieftain', min:91, max:100, mult:2.0 } ]
-    },
-    Civilised: {
-      name: 'Civilised',
-      standard: ['Conceal','Deceit','Drive','Influence','Insight','Locale','Willpower'],
-      professional: ['Art','Commerce','Craft','Courtesy','Language','Lore','Musicianship','Streetwise'],
-      combatStyles: ['Citizen Legionary','City‑state Phalangite','Levied Archer','Light Skirmisher','Street Thug','Town Militia'],
-      moneyDice: '4d6*75',
-      socialClasses: [ { name:'Peasant', min:1, max:30, mult:0.75 }, { name:'Yeoman', min:31, max:60, mult:1.0 }, { name:'Townsman', min:61, max:80, mult:1.25 }, { name:'Patrician', min:81, max:95, mult:1.5 }, { name:'Senator', min:96, max:100, mult:2.0 } ]
-    },
-    Nomadic: {
-      name: 'Nomadic',
-      standard: ['Endurance','First Aid','Locale','Perception','Stealth','Athletics','Boating','Swim','Drive','Ride'],
-      professional: ['Craft','Culture','Language','Lore','Musicianship','Navigation','Survival','Track'],
-      combatStyles: ['Camel Cavalry','Feathered Death Flinger','Horse Lord','Whale Hunter','Wheeled Warrior','Wolf Runner'],
-      moneyDice: '4d6*25',
-      socialClasses: [ { name:'Rider', min:1, max:25, mult:0.75 }, { name:'Nomad', min:26, max:60, mult:1.0 }, { name:'Clan Leader', min:61, max:85, mult:1.5 }, { name:'Khan', min:86, max:100, mult:2.0 } ]
-    },
-    Primitive: {
-      name: 'Primitive',
-      standard: ['Brawn','Endurance','Evade','Locale','Perception','Stealth','Athletics','Boating','Swim'],
-      professional: ['Craft','Healing','Lore','Musicianship','Navigation','Survival','Track'],
-      combatStyles: ['Flint Death Dealer','Ghost Warrior','Head Hunter','Jaguar Brother','Jungle Savage','Savannah Hunter'],
-      moneyDice: '4d6*10',
-      socialClasses: [ { name:'Gatherer', min:1, max:40, mult:0.5 }, { name:'Hunter', min:41, max:70, mult:1.0 }, { name:'Shaman', min:71, max:90, mult:1.5 }, { name:'Chief', min:91, max:100, mult:2.0 } ]
-    }
-  };
+  // Encumbrance levels by total ENC as a multiple of STR+SIZ.  `grade` is
+  // the difficulty grade of skills based on STR or DEX (combat styles
+  // included) and `movement` adjusts the Movement rate.
+  const ENCUMBRANCE_LEVELS = [
+    { name: 'Unburdened', limit: 1,        grade: null,         movement: m => m },
+    { name: 'Burdened',   limit: 2,        grade: 'Hard',       movement: m => Math.max(0, m - 2) },
+    { name: 'Overloaded', limit: 3,        grade: 'Formidable', movement: m => Math.floor(m / 2) },
+    { name: 'Immobile',   limit: Infinity, grade: 'Herculean',  movement: () => 0 }
+  ];
 
-  // Equipment categories.  Due to space constraints we include a
-  // representative subset from the SRD.  Feel free to expand this
-  // dictionary with additional entries from equipment.json.
-  const equipment = {
-    Armour: [
-      { name: 'Natural/Cured Furs', cost: 20 },
-      { name: 'Padded/Quilted Aketon', cost: 80 },
-      { name: 'Scaled Brigandine', cost: 320 },
-      { name: 'Mail', cost: 900 },
-      { name: 'Articulated Plate', cost: 2400 }
-    ],
-    Shields: [
-      { name: 'Buckler', cost: 50 },
-      { name: 'Heater', cost: 150 },
-      { name: 'Scutum', cost: 450 }
-    ],
-    Weapons: [
-      { name: 'Dagger', cost: 30 },
-      { name: 'Short Sword', cost: 100 },
-      { name: 'Long Sword', cost: 250 },
-      { name: 'Axe', cost: 40 },
-      { name: 'Bow and 20 Arrows', cost: 200 }
-    ],
-    Ranged: [
-      { name: 'Javelin', cost: 20 },
-      { name: 'Short bow', cost: 75 },
-      { name: 'Long bow', cost: 200 },
-      { name: 'Heavy crossbow', cost: 350 }
-    ],
-    Misc: [
-      { name: 'Backpack', cost: 10 },
-      { name: 'Bedroll', cost: 5 },
-      { name: 'Lantern', cost: 15 },
-      { name: 'Rope (50 ft)', cost: 10 },
-      { name: 'Flint & Steel', cost: 2 }
-    ]
-  };
+  // Rules tables filled in by loadRulesData() from the JSON files in
+  // `data/` (or from the bundled copy in `data/fallback.js` when they
+  // cannot be fetched).  They are declared here so that every function
+  // below can refer to them; their contents are replaced in place, never
+  // reassigned.
+  //
+  // standardSkills / professionalSkills:  name -> { formula: attrs => n }
+  // skillFormulaStrings:                  name -> 'INT*2 +40'
+  // passionTypes: name -> { formula: attrs => n, formulaString }
+  // careers:  key -> { name, standard: [...], professional: [...],
+  //                    combatStyles: [...], martial, passions }
+  // cultures: key -> { name, standard, professional, combatStyles,
+  //                    moneyDice, socialClasses: [{ name, min, max, mult }],
+  //                    folkMagic: { spells, available: [...] }, passions }
+  //           where passions are suggestions: [{ type, target }]
+  // combatStyles: name -> { weapons: [...], trait, traitEffect }
+  // species:  key -> { name, description,
+  //                    attributes: { STR: { dice, min, max }, … },
+  //                    movement, hitLocations: [{ range, name, hp,
+  //                    armour, hpModifier }], abilities: [{ name,
+  //                    description }], skills: { skill: modifier } }
+  //           where hit locations are in 1d20 order, hp names the column
+  //           of the hit point table and armour the ARMOUR_LOCATIONS key
+  // equipment: category -> [{ id, name, cost, enc, weapon, armour }]
+  //            where id is the data's id or one derived from the name
+  //            (see equipmentId()), enc is 0 when the data gives none and
+  //            weapon, for weapons and shields only, is { damage, size,
+  //            reach or range, effects: [...], ap, hp, damageModifier }
+  //            and armour, for armour only, is { ap, locations: [...] }
+  const standardSkills = {};
+  const professionalSkills = {};
+  const skillFormulaStrings = {};
+  const passionTypes = {};
+  const careers = {};
+  const cultures = {};
+  const combatStyles = {};
+  const species = {};
+  const equipment = {};
+  // folkMagicSpells: name -> description; spiritTypes: ['Ancestor', …]
+  const folkMagicSpells = {};
+  const spiritTypes = [];
+  // miracles and mysticTalents: name -> description
+  // sorcerySpells: name -> { description, shaping: ['Duration', …] }
+  const miracles = {};
+  const sorcerySpells = {};
+  const mysticTalents = {};
+  // backgroundTables: { events: { common, <culture key>: [...] },
+  //   eventCount, parents, siblingCount, siblings, reputation,
+  //   connections: { allies, contacts, rivals: { count, descriptions } } }
+  const backgroundTables = {};
+  // The ways a sorcerer can shape a spell, each costing a Shaping point.
+  const SHAPING_COMPONENTS = ['Combine', 'Duration', 'Magnitude', 'Range', 'Targets'];
 
   /* ----------------------------------------------------------------------
-   * Character state
+   * Rules data loading
    *
-   * A single object stores all mutable state for the currently edited
-   * character.  This approach makes it easy to recompute derived
-   * statistics whenever a value changes and simplifies the update logic.
+   * The rules data lives in data/skills.json, careers.json, cultures.json,
+   * combat_styles.json, species.json, magic.json, background.json and
+   * equipment.json.
+   * Each file is fetched, checked for HTML error pages masquerading as
+   * JSON, parsed and validated.  A file that fails any of these steps is
+   * replaced by its bundled copy from data/fallback.js and the problem is
+   * reported in #dataStatus.  Browsers refuse to fetch files for pages
+   * opened from file://, in which case the bundled copy is used for
+   * everything.
    */
-  const character = {
-    name: '',
-    culture: 'Barbarian',
-    career: 'warrior',
-    age: 'Adult',
-    socialClass: null,
-    combatStyle: null,
-    attributes: { STR: 10, CON: 10, SIZ: 10, DEX: 10, INT: 10, POW: 10, CHA: 10 },
-    pools: { culture: 0, career: 0, bonus: 0 },
-    skillAlloc: {},
-    money: 0,
-    equipment: []
-  };
-
-  // Point buy settings
-  // When using the point‑buy method for Characteristics the player has a
-  // fixed pool of points to distribute across all seven attributes.  Each
-  // attribute must meet its Mythras minimum: SIZ and INT must be at least
-  // 8 (generated by 2d6+6), whilst STR, CON, DEX, POW and CHA must be at
-  // least 3.  The entire cost of raising an attribute from its minimum
-  // value comes out of the pool – there is no free baseline of 10.  For
-  // example, increasing SIZ from 8 to 13 costs 5 points.  The value of
-  // pointPoolTotal is read from the HTML via a data attribute on
-  // #pointPool and defaults to 75.
-  character.pointPoolTotal = 75;
-  character.pointPoolRemaining = 75;
-
-  // Selected professional skills for culture and career.  Users
-  // may choose up to three professional skills from their culture and
-  // career lists to allocate Culture or Career points.  These sets
-  // contain the skill names chosen via the checkboxes rendered by
-  // renderProfessionalSelectors().
-  let selectedCultureProfs = new Set();
-  let selectedCareerProfs = new Set();
 
-  // Selected bonus skill.  A player may choose a single bonus skill as
-  // allowed by the optional rules.  This skill automatically gains a
-  // predefined number of bonus points (see BONUS_SKILL_POINTS).  Changing
-  // the bonus skill will refund points from the previous selection before
-  // applying them to the new selection.
-  let selectedBonusSkill = null;
+  const ATTRIBUTE_KEYS = ['STR', 'CON', 'SIZ', 'DEX', 'INT', 'POW', 'CHA'];
 
-  // Number of bonus points automatically allocated to the bonus skill.  If
-  // the player has enough bonus pool remaining this amount will be
-  // deducted from character.pools.bonus and added to the chosen skill.  If
-  // the pool does not contain enough points the allocation will be as
-  // high as possible.  You can adjust this constant to match your
-  // preferred interpretation of the rules; 20 points reflects the common
-  // suggestion for a hobby skill.
-  const BONUS_SKILL_POINTS = 20;
+  // The validated contents of the data files, keyed as in dataFiles.  Kept
+  // so the runtime tables can be rebuilt when homebrew content changes.
+  let loadedRulesData = {};
 
-  /* ----------------------------------------------------------------------
-   * Utility functions
-   */
+  // The data files and the validator for each.  `optional` files may be
+  // absent; data/equipment_local.json holds extra items for a local game
+  // and is merged into the equipment list.
+  const dataFiles = [
+    { key: 'skills',         path: 'data/skills.json',          validate: validateSkillsData },
+    { key: 'careers',        path: 'data/careers.json',         validate: validateCareersData },
+    { key: 'cultures',       path: 'data/cultures.json',        validate: validateCulturesData },
+    { key: 'combatStyles',   path: 'data/combat_styles.json',   validate: validateCombatStylesData },
+    { key: 'species',        path: 'data/species.json',         validate: validateSpeciesData },
+    { key: 'magic',          path: 'data/magic.json',           validate: validateMagicData },
+    { key: 'background',     path: 'data/background.json',      validate: validateBackgroundData },
+    { key: 'equipment',      path: 'data/equipment.json',       validate: validateEquipmentData },
+    { key: 'equipmentLocal', path: 'data/equipment_local.json', validate: validateEquipmentData, optional: true }
+  ];
 
-  // Roll NdM dice and return the sum.  Not cryptographically secure but
-  // sufficient for a game generator.
-  function rollDice(count, sides) {
-    let total = 0;
-    for (let i = 0; i < count; i++) {
-      total += Math.floor(Math.random() * sides) + 1;
+  // Parse a skill base such as 'INT*2' or 'STR+DEX' plus an optional flat
+  // bonus into a function of the attributes.  Terms may be an attribute,
+  // an attribute multiplied by a number, or a plain number, joined by +
+  // or -.  Throws on anything else.
+  function parseSkillFormula(base, bonus) {
+    const source = String(base).replace(/\s+/g, '');
+    const terms = [];
+    const re = /([+-]?)([A-Za-z]+|\d+)(?:\*(\d+))?/y;
+    let match;
+    while (re.lastIndex < source.length) {
+      if (!(match = re.exec(source)) || (terms.length > 0 && !match[1])) {
+        throw new Error(`cannot parse skill base "${base}"`);
+      }
+      const sign = match[1] === '-' ? -1 : 1;
+      const mult = match[3] ? parseInt(match[3], 10) : 1;
+      if (/^\d+$/.test(match[2])) {
+        terms.push({ attr: null, value: sign * parseInt(match[2], 10) * mult });
+      } else {
+        const attr = match[2].toUpperCase();
+        if (!ATTRIBUTE_KEYS.includes(attr)) throw new Error(`unknown attribute "${match[2]}" in skill base "${base}"`);
+        terms.push({ attr, value: sign * mult });
+      }
     }
-    return total;
+    if (terms.length === 0) throw new Error('empty skill base');
+    const flat = Number(bonus) || 0;
+    return a => terms.reduce((sum, t) => sum + (t.attr ? a[t.attr] * t.value : t.value), flat);
   }
 
-  // Evaluate a dice expression of the form '4d6*50'.
-  function rollMoney(expr) {
-    const [dicePart, multPart] = expr.split('*');
-    const [count, sidesPart] = dicePart.toLowerCase().split('d');
-    const sides = parseInt(sidesPart, 10);
-    const n = parseInt(count, 10);
-    const multiplier = parseInt(multPart, 10);
-    return rollDice(n, sides) * multiplier;
+  // Human‑readable form of a skill base, e.g. 'INT*2 +40'.
+  function formatSkillFormula(base, bonus) {
+    return bonus ? `${base} +${bonus}` : String(base);
   }
 
-  // Damage modifier table from the Mythras SRD.  Returns a string such
-  // as '+1d4' based on total STR+SIZ.
-  function damageModifier(total) {
-    if (total <= 5) return '-1d8';
-    if (total <= 10) return '-1d6';
-    if (total <= 15) return '-1d4';
-    if (total <= 20) return '-1d2';
-    if (total <= 25) return '0';
-    if (total <= 30) return '+1d2';
-    if (total <= 35) return '+1d4';
-    if (total <= 40) return '+1d6';
-    if (total <= 45) return '+1d8';
-    if (total <= 50) return '+1d10';
-    if (total <= 60) return '+1d12';
-    if (total <= 70) return '+2d6';
-    if (total <= 80) return '+1d8+1d6';
-    if (total <= 90) return '+2d8';
-    if (total <= 100) return '+1d10+1d8';
-    if (total <= 110) return '+2d10';
-    if (total <= 120) return '+2d10+1d2';
-    const extra = Math.floor((total - 120) / 10);
-    return `+2d10+${extra}d2`;
+  // Small helpers for the validators below.  Each pushes a message onto
+  // `errors` and returns false when the check fails.
+  function expectString(errors, value, where) {
+    if (typeof value === 'string' && value.trim()) return true;
+    errors.push(`${where} must be a non‑empty string`);
+    return false;
   }
-
-  // Experience modifier based on CHA.
-  function experienceModifier(cha) {
-    if (cha <= 6) return -1;
-    if (cha <= 12) return 0;
-    if (cha <= 18) return 1;
-    return 1 + Math.floor((cha - 13) / 6);
+  function expectNumber(errors, value, where) {
+    if (typeof value === 'number' && isFinite(value)) return true;
+    errors.push(`${where} must be a number`);
+    return false;
   }
-
-  // Healing rate based on CON.
-  function healingRate(con) {
-    if (con <= 6) return 1;
-    if (con <= 12) return 2;
-    if (con <= 18) return 3;
-    return 3 + Math.floor((con - 13) / 6);
+  function expectStringList(errors, value, where) {
+    if (Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim())) return true;
+    errors.push(`${where} must be a list of skill names`);
+    return false;
   }
-
-  // Luck points based on POW.
-  function luckPoints(pow) {
-    if (pow <= 6) return 1;
-    if (pow <= 12) return 2;
-    if (pow <= 18) return 3;
-    return 3 + Math.floor((pow - 13) / 6);
+  function expectObject(errors, value, where) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return true;
+    errors.push(`${where} must be an object`);
+    return false;
   }
-
-  // Hit points per location table based on CON+SIZ.
-  function hitPointsPerLocation(total) {
-    const idx = Math.min(Math.floor((total - 1) / 5), 7);
-    const base = [
-      { head:1, chest:3, abdomen:2, arm:1, leg:1 },
-      { head:2, chest:4, abdomen:3, arm:1, leg:2 },
-      { head:3, chest:5, abdomen:4, arm:2, leg:3 },
-      { head:4, chest:6, abdomen:5, arm:3, leg:4 },
-      { head:5, chest:7, abdomen:6, arm:4, leg:5 },
-      { head:6, chest:8, abdomen:7, arm:5, leg:6 },
-      { head:7, chest:9, abdomen:8, arm:6, leg:7 },
-      { head:8, chest:10, abdomen:9, arm:7, leg:8 }
-    ][idx];
-    const extra = Math.max(0, Math.floor((total - 40) / 5));
-    return {
-      head: base.head + extra,
-      chest: base.chest + extra,
-      abdomen: base.abdomen + extra,
-      arm: base.arm + extra,
-      leg: base.leg + extra
-    };
+  function expectPassionList(errors, value, where) {
+    if (Array.isArray(value) && value.every(p => p && typeof p.type === 'string' && p.type.trim() && typeof p.target === 'string')) return true;
+    errors.push(`${where} must be a list of passions like { "type": "Loyalty", "target": "Clan" }`);
+    return false;
   }
 
-  // Compute the base value of a skill.  Looks up in standardSkills
-  // first, then professionalSkills, defaulting to 0 if unknown.
-  function computeSkillBase(skillName, attrs) {
-    // Normalise to remove parentheses e.g. 'Lore (any)' -> 'Lore'
-    const key = skillName.split('(')[0].trim();
-    let val = 0;
-    if (standardSkills[key]) {
-      val = standardSkills[key].formula(attrs);
-    } else if (professionalSkills[key]) {
-      val = professionalSkills[key].formula(attrs);
-    } else {
-      val = 0;
+  // Validate the contents of skills.json: { standard: [...], professional: [...] }
+  // where every entry has a name and a parseable base.
+  function validateSkillsData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    ['standard', 'professional'].forEach(group => {
+      if (!Array.isArray(data[group])) {
+        errors.push(`"${group}" must be a list of skills`);
+        return;
+      }
+      data[group].forEach((skill, i) => {
+        const where = `${group}[${i}]`;
+        if (!expectObject(errors, skill, where)) return;
+        expectString(errors, skill.name, `${where}.name`);
+        if (skill.bonus !== undefined) expectNumber(errors, skill.bonus, `${where}.bonus`);
+        try {
+          parseSkillFormula(skill.base, skill.bonus);
+        } catch (err) {
+          errors.push(`${where} (${skill.name}): ${err.message}`);
+        }
+      });
+    });
+    if (data.passions !== undefined) {
+      if (!Array.isArray(data.passions)) {
+        errors.push('"passions" must be a list of passion types');
+      } else {
+        data.passions.forEach((passion, i) => {
+          const where = `passions[${i}]`;
+          if (!expectObject(errors, passion, where)) return;
+          expectString(errors, passion.name, `${where}.name`);
+          try {
+            parseSkillFormula(passion.base, passion.bonus);
+          } catch (err) {
+            errors.push(`${where} (${passion.name}): ${err.message}`);
+          }
+        });
+      }
     }
-    // Mythras rule: any skill has at least 5%.  Customs and Native Tongue
-    // already include their bonuses via the formula definition.
-    return Math.max(5, val);
-  }
-
-  // Format a percentage value with two digits of padding.  E.g. 5 -> '05%'
-  function pct(value) {
-    return `${value.toString().padStart(2, '0')}%`;
+    return errors;
   }
 
-  /* ----------------------------------------------------------------------
-   * Point‑buy helper functions
-   */
-
-  // Compute and update the remaining points when using the point‑buy
-  // method.  The baseline total for attributes is 70 (10 points per
-  // attribute).  Remaining = poolTotal + baselineSum − sum(attributes).
-  function updatePointPoolDisplay() {
-    // Compute the remaining points.  The player spends from the pool to
-    // raise attributes above their minimum values.  First compute the sum
-    // of minimum values across all seven attributes: INT and SIZ have a
-    // minimum of 8; the remainder have a minimum of 3.  The remaining
-    // points equal pointPoolTotal minus the total cost paid so far.
-    const minSum = (3 * 5) + (8 * 2); // = 31
-    const sumVals = Object.values(character.attributes).reduce((a, b) => a + b, 0);
-    const costSoFar = sumVals - minSum;
-    const remaining = character.pointPoolTotal - costSoFar;
-    character.pointPoolRemaining = remaining;
-    const poolElem = $('pointPool');
-    poolElem.textContent = `Point Pool: ${remaining}`;
-    if (remaining < 0) {
-      poolElem.style.color = 'red';
-    } else {
-      poolElem.style.color = '';
-    }
+  // Validate the contents of careers.json: key -> { displayName,
+  // standardSkills, professionalSkills } with optional combatStyles (the
+  // styles the career grants) and martial (career points may go to the
+  // cultural combat style).
+  function validateCareersData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    Object.entries(data).forEach(([key, career]) => {
+      if (!expectObject(errors, career, key)) return;
+      expectString(errors, career.displayName, `${key}.displayName`);
+      expectStringList(errors, career.standardSkills, `${key}.standardSkills`);
+      expectStringList(errors, career.professionalSkills, `${key}.professionalSkills`);
+      if (career.combatStyles !== undefined && !(Array.isArray(career.combatStyles) && career.combatStyles.every(s => typeof s === 'string' && s.trim()))) {
+        errors.push(`${key}.combatStyles must be a list of combat style names`);
+      }
+      if (career.martial !== undefined && typeof career.martial !== 'boolean') {
+        errors.push(`${key}.martial must be true or false`);
+      }
+      if (career.passions !== undefined) expectPassionList(errors, career.passions, `${key}.passions`);
+    });
+    if (Object.keys(data).length === 0) errors.push('no careers are defined');
+    return errors;
   }
 
-  // Render checkboxes for selecting up to three professional skills for
-  // both culture and career.  This function populates the
-  // #cultureProfs and #careerProfs containers with checkboxes and
-  // attaches change listeners to enforce the selection limit.
-  function renderProfessionalSelectors() {
-    const cul = cultures[character.culture];
-    const car = careers[character.career];
-    const culContainer = $('cultureProfs');
-    const carContainer = $('careerProfs');
-    // Clear existing
-    culContainer.innerHTML = '';
-    carContainer.innerHTML = '';
-    // Helper to create checkboxes
-    function createCheckbox(skill, type) {
-      const id = `${type}-${skill.replace(/\s+/g, '_').replace(/[^\w]/g, '')}`;
-      const label = document.createElement('label');
-      label.style.display = 'inline-block';
-      label.style.marginRight = '0.5rem';
-      const cb = document.createElement('input');
-      cb.type = 'checkbox';
-      cb.id = id;
-      cb.value = skill;
-      // Set checked state based on selection set
-      if (type === 'culture') {
-        cb.checked = selectedCultureProfs.has(skill);
-      } else {
-        cb.checked = selectedCareerProfs.has(skill);
+  // Validate the contents of cultures.json.  Besides the skill lists each
+  // culture needs combat styles, a money dice expression and social
+  // classes whose d100 ranges are numeric.
+  function validateCulturesData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    Object.entries(data).forEach(([key, culture]) => {
+      if (!expectObject(errors, culture, key)) return;
+      expectString(errors, culture.displayName, `${key}.displayName`);
+      expectStringList(errors, culture.standardSkills, `${key}.standardSkills`);
+      expectStringList(errors, culture.professionalSkills, `${key}.professionalSkills`);
+      if (!Array.isArray(culture.combatStyles) || culture.combatStyles.length === 0) {
+        errors.push(`${key}.combatStyles must list at least one combat style`);
       }
-      cb.addEventListener('change', () => {
-        if (type === 'culture') {
-          if (cb.checked) {
-            // add
-            if (selectedCultureProfs.size >= 3) {
-              // limit reached: revert
-              cb.checked = false;
-              alert('You may select up to 3 culture professional skills');
-              return;
-            }
-            selectedCultureProfs.add(skill);
-          } else {
-            selectedCultureProfs.delete(skill);
-            // Reset any allocations for this skill to culture pool
-            if (character.skillAlloc[skill]) {
-              character.pools.culture += character.skillAlloc[skill].culture;
-              character.skillAlloc[skill].culture = 0;
-            }
-          }
-        } else {
-          if (cb.checked) {
-            if (selectedCareerProfs.size >= 3) {
-              cb.checked = false;
-              alert('You may select up to 3 career professional skills');
-              return;
-            }
-            selectedCareerProfs.add(skill);
-          } else {
-            selectedCareerProfs.delete(skill);
-            if (character.skillAlloc[skill]) {
-              character.pools.career += character.skillAlloc[skill].career;
-              character.skillAlloc[skill].career = 0;
-            }
-          }
+      if (expectString(errors, culture.moneyDice, `${key}.moneyDice`)) {
+        try {
+          parseDiceExpression(culture.moneyDice);
+        } catch (err) {
+          errors.push(`${key}.moneyDice: ${err.message}`);
         }
-        updatePoolsDisplay();
-        updateSkillTable();
-        updateSummary();
+      }
+      if (culture.passions !== undefined) expectPassionList(errors, culture.passions, `${key}.passions`);
+      if (culture.folkMagic !== undefined && expectObject(errors, culture.folkMagic, `${key}.folkMagic`)) {
+        expectNumber(errors, culture.folkMagic.spells, `${key}.folkMagic.spells`);
+        if (!Array.isArray(culture.folkMagic.available) || !culture.folkMagic.available.every(s => typeof s === 'string' && s.trim())) {
+          errors.push(`${key}.folkMagic.available must be a list of spell names`);
+        }
+      }
+      if (!Array.isArray(culture.socialClasses) || culture.socialClasses.length === 0) {
+        errors.push(`${key}.socialClasses must list at least one social class`);
+        return;
+      }
+      culture.socialClasses.forEach((cls, i) => {
+        const where = `${key}.socialClasses[${i}]`;
+        if (!expectObject(errors, cls, where)) return;
+        expectString(errors, cls.name, `${where}.name`);
+        expectNumber(errors, cls.min, `${where}.min`);
+        expectNumber(errors, cls.max, `${where}.max`);
+        expectNumber(errors, cls.mult, `${where}.mult`);
       });
-      label.appendChild(cb);
-      const span = document.createElement('span');
-      span.textContent = ` ${skill}`;
-      label.appendChild(span);
-      return label;
-    }
-    // Culture professional skills
-    cul.professional.forEach(skill => {
-      culContainer.appendChild(createCheckbox(skill, 'culture'));
-    });
-    // Career professional skills
-    car.professional.forEach(skill => {
-      carContainer.appendChild(createCheckbox(skill, 'career'));
     });
+    if (Object.keys(data).length === 0) errors.push('no cultures are defined');
+    return errors;
   }
 
-  // Handle change of generation method (roll vs point buy).  Show
-  // appropriate controls and initialise point pool when necessary.
-  function methodChanged() {
-    const methodSel = $('method');
-    const selected = methodSel.value;
-    if (selected === 'roll') {
-      $('rollBtnContainer').style.display = 'block';
-      $('pointPool').style.display = 'none';
-    } else {
-      // point buy
-      $('rollBtnContainer').style.display = 'none';
-      $('pointPool').style.display = 'block';
-      // Initialise pool from data attribute if provided, else keep existing
-      const defaultPool = parseInt($('pointPool').dataset.pool, 10) || 75;
-      character.pointPoolTotal = defaultPool;
-      // Reset attributes to their minimum values (3 for most, 8 for SIZ and INT)
-      ['STR','CON','DEX','POW','CHA'].forEach(key => {
-        character.attributes[key] = 3;
-        $(key).value = 3;
+  // Validate the contents of magic.json: { folkMagic, miracles, talents:
+  // { name: description }, sorcery: { name: { description, shaping } },
+  // spiritTypes: [...] }.
+  function validateMagicData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    ['folkMagic', 'miracles', 'talents'].forEach(key => {
+      if (!expectObject(errors, data[key], key)) return;
+      Object.entries(data[key]).forEach(([name, text]) => {
+        if (typeof text !== 'string') errors.push(`${key}.${name} must be a description`);
       });
-      ['SIZ','INT'].forEach(key => {
-        character.attributes[key] = 8;
-        $(key).value = 8;
+    });
+    if (expectObject(errors, data.sorcery, 'sorcery')) {
+      Object.entries(data.sorcery).forEach(([name, spell]) => {
+        if (!expectObject(errors, spell, `sorcery.${name}`)) return;
+        if (typeof spell.description !== 'string') errors.push(`sorcery.${name}.description must be text`);
+        if (!Array.isArray(spell.shaping) || !spell.shaping.every(c => SHAPING_COMPONENTS.includes(c))) {
+          errors.push(`sorcery.${name}.shaping must list components from ${SHAPING_COMPONENTS.join(', ')}`);
+        }
       });
-      updatePointPoolDisplay();
-      updateDerivedDisplay();
-      updateSkillTable();
-      updatePoolsDisplay();
-      updateSummary();
     }
+    if (!Array.isArray(data.spiritTypes) || !data.spiritTypes.every(t => typeof t === 'string' && t.trim())) {
+      errors.push('spiritTypes must be a list of names');
+    }
+    return errors;
   }
 
-  /* ----------------------------------------------------------------------
-   * DOM helpers
-   */
-
-  function $(id) { return document.getElementById(id); }
+  // Validate the contents of background.json: lists of table entries and
+  // dice expressions for how many entries to roll.
+  function validateBackgroundData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    const textList = (value, where) => {
+      if (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim())) return;
+      errors.push(`${where} must be a list of entries`);
+    };
+    const dice = (value, where) => {
+      if (!expectString(errors, value, where)) return;
+      try {
+        parseDiceExpression(value);
+      } catch (err) {
+        errors.push(`${where}: ${err.message}`);
+      }
+    };
+    if (expectObject(errors, data.events, 'events')) {
+      if (!data.events.common) errors.push('events.common is missing');
+      Object.entries(data.events).forEach(([key, list]) => textList(list, `events.${key}`));
+    }
+    dice(data.eventCount, 'eventCount');
+    textList(data.parents, 'parents');
+    dice(data.siblingCount, 'siblingCount');
+    textList(data.siblings, 'siblings');
+    textList(data.reputation, 'reputation');
+    if (expectObject(errors, data.connections, 'connections')) {
+      ['allies', 'contacts', 'rivals'].forEach(kind => {
+        const where = `connections.${kind}`;
+        if (!expectObject(errors, data.connections[kind], where)) return;
+        dice(data.connections[kind].count, `${where}.count`);
+        textList(data.connections[kind].descriptions, `${where}.descriptions`);
+      });
+    }
+    return errors;
+  }
 
-  // Populate a select element with options.  Accepts an array of
-  // objects with `value` and `label` properties.
-  function populateSelect(selectElem, options) {
-    selectElem.innerHTML = '';
-    options.forEach(opt => {
-      const el = document.createElement('option');
-      el.value = opt.value;
-      el.textContent = opt.label;
-      selectElem.appendChild(el);
+  // Validate the contents of combat_styles.json: name -> { weapons,
+  // trait, traitEffect }.
+  function validateCombatStylesData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    Object.entries(data).forEach(([name, style]) => {
+      if (!expectObject(errors, style, name)) return;
+      if (!Array.isArray(style.weapons) || !style.weapons.every(w => typeof w === 'string' && w.trim())) {
+        errors.push(`${name}.weapons must be a list of weapon names`);
+      }
+      expectString(errors, style.trait, `${name}.trait`);
+      if (style.traitEffect !== undefined && typeof style.traitEffect !== 'string') {
+        errors.push(`${name}.traitEffect must be text`);
+      }
     });
+    return errors;
   }
 
-  // Populate the Bonus Skill dropdown with all known skills.  This list
-  // includes every Standard skill and every Professional skill from
-  // every culture and career.  The select is sorted alphabetically and
-  // provides an empty option.  When the selection changes the previous
-  // bonus allocation is refunded and the new skill receives an
-  // automatic allocation from the bonus pool (up to BONUS_SKILL_POINTS).
-  function populateBonusSkillSelect() {
-    const sel = $('bonusSkill');
-    if (!sel) return;
-    const skills = new Set(Object.keys(standardSkills));
-    Object.values(cultures).forEach(c => {
-      c.standard.forEach(s => skills.add(s));
-      c.professional.forEach(s => skills.add(s));
-    });
-    Object.values(careers).forEach(c => {
-      c.standard.forEach(s => skills.add(s));
-      c.professional.forEach(s => skills.add(s));
-    });
-    const sorted = Array.from(skills).sort();
-    sel.innerHTML = '';
-    const empty = document.createElement('option');
-    empty.value = '';
-    empty.textContent = '— Select —';
-    sel.appendChild(empty);
-    sorted.forEach(skill => {
-      const opt = document.createElement('option');
-      opt.value = skill;
-      opt.textContent = skill;
-      sel.appendChild(opt);
-    });
-    sel.addEventListener('change', () => {
-      const newSkill = sel.value || null;
-      // Refund previous allocation
-      if (selectedBonusSkill && character.skillAlloc[selectedBonusSkill]) {
-        const alloc = character.skillAlloc[selectedBonusSkill];
-        const spent = alloc.bonus;
-        character.pools.bonus += spent;
-        alloc.bonus = 0;
-      }
-      selectedBonusSkill = newSkill;
-      if (newSkill) {
-        if (!character.skillAlloc[newSkill]) {
-          character.skillAlloc[newSkill] = { culture: 0, career: 0, bonus: 0 };
+  // The 1d20 results a hit location range such as '4–6' or '17' covers,
+  // as [low, high], or null when the range cannot be read.
+  function locationRange(range) {
+    const m = /^\s*(\d+)\s*(?:[–-]\s*(\d+))?\s*$/.exec(String(range));
+    if (!m) return null;
+    const low = parseInt(m[1], 10);
+    const high = m[2] ? parseInt(m[2], 10) : low;
+    return low >= 1 && low <= high && high <= 20 ? [low, high] : null;
+  }
+
+  // Validate the contents of species.json: key -> { displayName,
+  // description, attributes, movement, hitLocations, abilities, skills }.
+  // Every characteristic needs a dice expression and may give the lowest
+  // and highest value allowed (otherwise those of the dice).  The hit
+  // locations must cover 1 to 20 on the d20 exactly once.
+  function validateSpeciesData(data) {
+    const errors = [];
+    if (!expectObject(errors, data, 'the file')) return errors;
+    const keys = ARMOUR_LOCATIONS.map(loc => loc.key);
+    Object.entries(data).forEach(([key, sp]) => {
+      if (!expectObject(errors, sp, key)) return;
+      expectString(errors, sp.displayName, `${key}.displayName`);
+      if (sp.description !== undefined && typeof sp.description !== 'string') {
+        errors.push(`${key}.description must be text`);
+      }
+      if (expectObject(errors, sp.attributes, `${key}.attributes`)) {
+        ATTRIBUTE_KEYS.forEach(attr => {
+          const where = `${key}.attributes.${attr}`;
+          const def = sp.attributes[attr];
+          if (!expectObject(errors, def, where) || !expectString(errors, def.dice, `${where}.dice`)) return;
+          let range;
+          try {
+            range = diceExpressionRange(def.dice);
+          } catch (err) {
+            errors.push(`${where}.dice: ${err.message}`);
+            return;
+          }
+          const min = def.min === undefined ? range.min : def.min;
+          const max = def.max === undefined ? range.max : def.max;
+          if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || min > max) {
+            errors.push(`${where} must have a whole-number min of at least 1 and no more than its max`);
+          }
+        });
+      }
+      if (expectNumber(errors, sp.movement, `${key}.movement`) && sp.movement < 0) {
+        errors.push(`${key}.movement must not be negative`);
+      }
+      if (!Array.isArray(sp.hitLocations) || sp.hitLocations.length === 0) {
+        errors.push(`${key}.hitLocations must list the hit locations`);
+      } else {
+        const covered = [];
+        sp.hitLocations.forEach((loc, i) => {
+          const where = `${key}.hitLocations[${i + 1}]`;
+          if (!expectObject(errors, loc, where)) return;
+          expectString(errors, loc.name, `${where}.name`);
+          const range = locationRange(loc.range);
+          if (range) {
+            for (let n = range[0]; n <= range[1]; n++) covered.push(n);
+          } else {
+            errors.push(`${where}.range must be a 1d20 range such as "4–6"`);
+          }
+          if (!keys.includes(loc.hp)) errors.push(`${where}.hp must be one of ${keys.join(', ')}`);
+          if (loc.armour !== undefined && !keys.includes(loc.armour)) errors.push(`${where}.armour must be one of ${keys.join(', ')}`);
+          if (loc.hpModifier !== undefined && !Number.isInteger(loc.hpModifier)) errors.push(`${where}.hpModifier must be a whole number`);
+        });
+        covered.sort((a, b) => a - b);
+        if (covered.length !== 20 || covered.some((n, i) => n !== i + 1)) {
+          errors.push(`${key}.hitLocations must cover 1 to 20 on the d20 exactly once`);
         }
-        const alloc = character.skillAlloc[newSkill];
-        const available = character.pools.bonus;
-        const allocation = Math.min(BONUS_SKILL_POINTS, available);
-        alloc.bonus += allocation;
-        character.pools.bonus -= allocation;
       }
-      updatePoolsDisplay();
-      updateSkillTable();
-      updateSummary();
+      if (sp.abilities !== undefined && !(Array.isArray(sp.abilities) &&
+          sp.abilities.every(a => a && typeof a.name === 'string' && a.name.trim() && typeof a.description === 'string'))) {
+        errors.push(`${key}.abilities must be a list like { "name": "Night Sight", "description": "…" }`);
+      }
+      if (sp.skills !== undefined && expectObject(errors, sp.skills, `${key}.skills`) &&
+          !Object.values(sp.skills).every(v => Number.isInteger(v))) {
+        errors.push(`${key}.skills must give a whole-number modifier for each skill`);
+      }
     });
+    if (Object.keys(data).length === 0) errors.push('no species are defined');
+    return errors;
   }
 
-  // Update the Age Info display and pools when the age category changes.
-  function updateAgeInfo() {
-    const ageSel = $('ageCat');
-    const cat = ageSel.value;
-    const data = ageCategories[cat];
-    const info = `${data.bonus} bonus points, max increase ${data.max}% (typical age ${data.age})`;
-    $('ageInfo').textContent = info;
-    character.age = cat;
-    // Reset bonus pool and allocations when age changes
-    character.pools.bonus = data.bonus;
-    updatePoolsDisplay();
-    updateSkillTable();
+  // Check the statistics of a weapon or shield: damage dice, size (or
+  // force), reach for close combat or range for missile weapons, combat
+  // effects, armour and hit points.  damageModifier is false for weapons
+  // that ignore the wielder's damage modifier, such as crossbows.
+  function validateWeaponStats(errors, weapon, where) {
+    if (!expectObject(errors, weapon, where)) return;
+    if (expectString(errors, weapon.damage, `${where}.damage`)) {
+      try {
+        parseDiceExpression(weapon.damage);
+      } catch (err) {
+        errors.push(`${where}.damage: ${err.message}`);
+      }
+    }
+    expectString(errors, weapon.size, `${where}.size`);
+    if (weapon.reach === undefined && weapon.range === undefined) {
+      errors.push(`${where} needs a reach (close combat) or a range (missile weapons)`);
+    }
+    if (weapon.reach !== undefined) expectString(errors, weapon.reach, `${where}.reach`);
+    if (weapon.range !== undefined) expectString(errors, weapon.range, `${where}.range`);
+    if (!Array.isArray(weapon.effects) || !weapon.effects.every(e => typeof e === 'string')) {
+      errors.push(`${where}.effects must be a list of combat effects`);
+    }
+    expectNumber(errors, weapon.ap, `${where}.ap`);
+    expectNumber(errors, weapon.hp, `${where}.hp`);
+    if (weapon.damageModifier !== undefined && typeof weapon.damageModifier !== 'boolean') {
+      errors.push(`${where}.damageModifier must be true or false`);
+    }
   }
 
-  // Update the social class and combat style options when culture changes.
-  function updateCultureOptions() {
-    const cultureSel = $('culture');
-    const cultureKey = cultureSel.value;
-    character.culture = cultureKey;
-    const def = cultures[cultureKey];
-    // Populate social class select based on random 1d100 result
-    const roll = Math.floor(Math.random() * 100) + 1;
-    let chosen = def.socialClasses[0];
-    for (const cls of def.socialClasses) {
-      if (roll >= cls.min && roll <= cls.max) {
-        chosen = cls;
-        break;
-      }
+  // Check the statistics of an armour piece: its AP and the armour
+  // locations (keys of ARMOUR_LOCATIONS) it can cover.
+  function validateArmourStats(errors, armour, where) {
+    if (!expectObject(errors, armour, where)) return;
+    expectNumber(errors, armour.ap, `${where}.ap`);
+    const keys = ARMOUR_LOCATIONS.map(loc => loc.key);
+    if (!Array.isArray(armour.locations) || armour.locations.length === 0 || !armour.locations.every(l => keys.includes(l))) {
+      errors.push(`${where}.locations must list some of ${keys.join(', ')}`);
     }
-    character.socialClass = chosen.name;
-    // Populate combat style select
-    populateSelect($('combatStyle'), def.combatStyles.map(s => ({ value: s, label: s })));
-    $('combatStyle').value = def.combatStyles[0];
-    character.combatStyle = def.combatStyles[0];
-    // Update culture pool: characters receive 100 points to distribute among
-    // cultural standard skills and up to three selected professional skills.
-    character.pools.culture = 100;
-    updatePoolsDisplay();
-    updateSkillTable();
-    updateSummary();
-    // Reset selected culture professional skills and render selectors
-    selectedCultureProfs.clear();
-    renderProfessionalSelectors();
   }
 
-  // Update the career options when a career is selected.
-  function updateCareerOptions() {
-    const careerSel = $('career');
-    const key = careerSel.value;
-    character.career = key;
-    const def = careers[key];
-    // Set career pool to 100 points as per Mythras rules
-    character.pools.career = 100;
-    updatePoolsDisplay();
-    updateSkillTable();
-    updateSummary();
-    // Reset selected career professional skills and render selectors
-    selectedCareerProfs.clear();
-    renderProfessionalSelectors();
+  // Validate the contents of equipment.json: a list of { name, category,
+  // cost } with optional id and enc and, for weapons and armour, their
+  // statistics.
+  function validateEquipmentData(data) {
+    const errors = [];
+    if (!Array.isArray(data)) {
+      errors.push('the file must contain a list of items');
+      return errors;
+    }
+    data.forEach((item, i) => {
+      const where = `item ${i + 1}`;
+      if (!expectObject(errors, item, where)) return;
+      expectString(errors, item.name, `${where}.name`);
+      if (item.id !== undefined) expectString(errors, item.id, `${where} (${item.name}).id`);
+      expectString(errors, item.category, `${where} (${item.name}).category`);
+      expectNumber(errors, item.cost, `${where} (${item.name}).cost`);
+      if (item.enc !== undefined) expectNumber(errors, item.enc, `${where} (${item.name}).enc`);
+      if (item.weapon !== undefined) validateWeaponStats(errors, item.weapon, `${where} (${item.name}).weapon`);
+      if (item.armour !== undefined) validateArmourStats(errors, item.armour, `${where} (${item.name}).armour`);
+    });
+    return errors;
   }
 
-  // Normalize a skill name by stripping any parenthetical qualifier.
-  // For example, "Craft (any)" and "Craft (Alchemy)" both normalise
-  // to "Craft".  This allows the allocation logic to treat all
-  // variations of a base skill as the same for the purposes of
-  // determining whether culture or career points may be spent on it.
-  function normalizeSkillName(name) {
-    return name.replace(/\s*\(.*\)/, '').trim();
+  // Fetch a data file and parse it as JSON.  Rejects with a readable
+  // message for network failures, HTTP errors, HTML pages served in place
+  // of JSON and JSON syntax errors.  A missing file rejects with
+  // `notFound` set so optional files can be skipped quietly.
+  async function fetchJsonFile(path) {
+    let res;
+    try {
+      res = await fetch(path);
+    } catch (err) {
+      throw new Error('could not be fetched');
+    }
+    if (!res.ok) {
+      const err = new Error(`could not be fetched (HTTP ${res.status})`);
+      err.notFound = res.status === 404;
+      throw err;
+    }
+    const text = await res.text();
+    const trimmed = text.trim();
+    if (trimmed.startsWith('<')) {
+      throw new Error('contains an HTML page instead of JSON');
+    }
+    try {
+      return JSON.parse(trimmed);
+    } catch (err) {
+      // Show the start of the content, which usually explains the problem
+      // (an error message saved in place of the real file, for instance).
+      const preview = trimmed.slice(0, 60).replace(/\s+/g, ' ');
+      throw new Error(`is not valid JSON (${err.message}); it begins "${preview}${trimmed.length > 60 ? '…' : ''}"`);
+    }
   }
 
-  // Build the skills table based on selected culture, career and any
-  // allocations.  Each skill shows its base value and editable fields
-  // for culture, career and bonus allocations.  Remaining pool
-  // counters are updated accordingly.
-  function updateSkillTable() {
-    const tableBody = $('skillsTableBody');
-    tableBody.innerHTML = '';
-    // Determine which skills should appear: all standard skills plus
-    // selected culture and career skills.  We'll also include any
-    // skills that the user has allocated points to already.
-    const skillSet = new Set(Object.keys(standardSkills));
-    const cul = cultures[character.culture];
-    const car = careers[character.career];
-    cul.standard.forEach(s => skillSet.add(s));
-    cul.professional.forEach(s => skillSet.add(s));
-    car.standard.forEach(s => skillSet.add(s));
-    car.professional.forEach(s => skillSet.add(s));
-    Object.keys(character.skillAlloc).forEach(s => skillSet.add(s));
-    // Convert to sorted array
-    const skills = Array.from(skillSet).sort();
-    // Precompute allowed sets for culture and career pools.  Culture
-    // points may be spent on culture standard skills and on the
-    // user‑selected culture professional skills; career points may be
-    // spent on career standard skills and on the selected career
-    // professional skills.
-    // Determine which base skills may receive culture or career points.  We
-    // normalise all entries to their base name to match professional
-    // selections such as "Craft (any)" against table rows like
-    // "Craft (Primary)".  selectedCultureProfs and selectedCareerProfs
-    // may contain fully qualified names such as "Craft (any)";
-    // normalising both sides ensures consistent membership tests.
-    const cultureAllowed = new Set([
-      ...cul.standard.map(normalizeSkillName),
-      ...Array.from(selectedCultureProfs).map(normalizeSkillName)
-    ]);
-    const careerAllowed = new Set([
-      ...car.standard.map(normalizeSkillName),
-      ...Array.from(selectedCareerProfs).map(normalizeSkillName)
-    ]);
-    skills.forEach(skill => {
-      const tr = document.createElement('tr');
-      // Determine if this skill is relevant to culture, career or bonus
-      // Normalise the row skill name for membership tests
-      const baseName = normalizeSkillName(skill);
-      const isCultureSkill = cultureAllowed.has(baseName);
-      const isCareerSkill = careerAllowed.has(baseName);
-      const isBonusSelected = selectedBonusSkill && normalizeSkillName(selectedBonusSkill) === baseName;
-      if (isCultureSkill || isCareerSkill || isBonusSelected) {
-        tr.classList.add('skill-allowed');
-      }
-      // Name cell
-      const nameTd = document.createElement('td');
-      nameTd.textContent = skill;
-      tr.appendChild(nameTd);
-      // Base value cell with formula display
-      const baseTd = document.createElement('td');
-      const base = computeSkillBase(skill, character.attributes);
-      const formula = skillFormulaStrings[skill] || '';
-      baseTd.innerHTML = `<span>${pct(base)}</span>${formula ? `<br><small class="formula">${formula}</small>` : ''}`;
-      tr.appendChild(baseTd);
-      // Culture allocation
-      const culTd = document.createElement('td');
-      const culInput = document.createElement('input');
-      culInput.type = 'number';
-      culInput.min = 0;
-      culInput.max = ageCategories[character.age].max;
-      culInput.value = character.skillAlloc[skill]?.culture || 0;
-      if (!isCultureSkill) {
-        culInput.disabled = true;
-        culInput.classList.add('disabled');
-      }
-      culInput.oninput = () => {
-        let v = parseInt(culInput.value, 10) || 0;
-        const maxAlloc = ageCategories[character.age].max;
-        // Clamp to maximum but continue processing
-        if (v > maxAlloc) {
-          v = maxAlloc;
-          culInput.value = maxAlloc;
-        }
-        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
-        const diff = v - character.skillAlloc[skill].culture;
-        if (character.pools.culture - diff < 0) {
-          // Not enough points, revert input
-          culInput.value = character.skillAlloc[skill].culture;
-          return;
+  // Load every data file, falling back to the bundled copy where needed.
+  // Resolves with the report { errors: [...], fallback: [...] } listing
+  // problems found and the files replaced by their bundled copy.
+  async function loadRulesData() {
+    const bundled = window.MYTHRAS_BUNDLED_DATA || {};
+    const report = { errors: [], fallback: [] };
+    const data = {};
+    const canFetch = typeof fetch === 'function' && location.protocol !== 'file:';
+    for (const file of dataFiles) {
+      let value = null;
+      if (canFetch) {
+        try {
+          value = await fetchJsonFile(file.path);
+          const errors = file.validate(value);
+          if (errors.length) {
+            report.errors.push(...errors.map(e => `${file.path}: ${e}`));
+            value = null;
+          }
+        } catch (err) {
+          if (!(file.optional && err.notFound)) report.errors.push(`${file.path} ${err.message}`);
+          value = null;
         }
-        character.skillAlloc[skill].culture = v;
-        character.pools.culture -= diff;
-        updatePoolsDisplay();
-        updateSummary();
-        const total = base + v + (character.skillAlloc[skill].career) + (character.skillAlloc[skill].bonus);
-        totalTd.textContent = pct(total);
-      };
-      culTd.appendChild(culInput);
-      tr.appendChild(culTd);
-      // Career allocation
-      const carTd = document.createElement('td');
-      const carInput = document.createElement('input');
-      carInput.type = 'number';
-      carInput.min = 0;
-      carInput.max = ageCategories[character.age].max;
-      carInput.value = character.skillAlloc[skill]?.career || 0;
-      if (!isCareerSkill) {
-        carInput.disabled = true;
-        carInput.classList.add('disabled');
       }
-      carInput.oninput = () => {
-        let v = parseInt(carInput.value, 10) || 0;
-        const maxAlloc = ageCategories[character.age].max;
-        if (v > maxAlloc) {
-          v = maxAlloc;
-          carInput.value = maxAlloc;
+      if (value === null) {
+        value = bundled[file.key];
+        if (value === undefined) {
+          if (!file.optional) report.errors.push(`No bundled copy of ${file.path} is available.`);
+          continue;
         }
-        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
-        const diff = v - character.skillAlloc[skill].career;
-        if (character.pools.career - diff < 0) {
-          carInput.value = character.skillAlloc[skill].career;
-          return;
+        const errors = file.validate(value);
+        if (errors.length) {
+          report.errors.push(...errors.map(e => `bundled ${file.path}: ${e}`));
+          continue;
         }
-        character.skillAlloc[skill].career = v;
-        character.pools.career -= diff;
-        updatePoolsDisplay();
-        updateSummary();
-        const total = base + (character.skillAlloc[skill].culture) + v + (character.skillAlloc[skill].bonus);
-        totalTd.textContent = pct(total);
+        report.fallback.push(file.path);
+      }
+      data[file.key] = value;
+    }
+    loadedRulesData = data;
+    homebrew = loadHomebrew(report.errors);
+    rebuildRulesTables();
+    return report;
+  }
+
+  // Empty every runtime rules table.
+  function clearRulesTables() {
+    [standardSkills, professionalSkills, skillFormulaStrings, passionTypes, careers, cultures, combatStyles, species, equipment, folkMagicSpells,
+      miracles, sorcerySpells, mysticTalents, backgroundTables].forEach(table => {
+      Object.keys(table).forEach(k => delete table[k]);
+    });
+    spiritTypes.length = 0;
+  }
+
+  // Add validated data in the file format to the runtime rules tables.
+  // Entries with the same name or key as an existing entry replace it,
+  // which is how homebrew content overrides the standard rules.  Any of
+  // the keys (skills, careers, cultures, combatStyles, species, magic,
+  // background, equipment, equipmentLocal) may be missing.
+  function mergeRulesData(data) {
+    if (data.skills) {
+      [[standardSkills, data.skills.standard || []], [professionalSkills, data.skills.professional || []]].forEach(([table, list]) => {
+        list.forEach(skill => {
+          table[skill.name] = { formula: parseSkillFormula(skill.base, skill.bonus) };
+          skillFormulaStrings[skill.name] = formatSkillFormula(skill.base, skill.bonus);
+        });
+      });
+      (data.skills.passions || []).forEach(passion => {
+        passionTypes[passion.name] = {
+          formula: parseSkillFormula(passion.base, passion.bonus),
+          formulaString: formatSkillFormula(passion.base, passion.bonus)
+        };
+      });
+    }
+    Object.entries(data.careers || {}).forEach(([key, c]) => {
+      careers[key] = {
+        name: c.displayName,
+        standard: c.standardSkills.slice(),
+        professional: c.professionalSkills.slice(),
+        combatStyles: (c.combatStyles || []).slice(),
+        martial: !!c.martial,
+        passions: (c.passions || []).map(p => ({ ...p }))
       };
-      carTd.appendChild(carInput);
-      tr.appendChild(carTd);
-      // Bonus allocation
-      const bonusTd = document.createElement('td');
-      const bonusInput = document.createElement('input');
-      bonusInput.type = 'number';
-      bonusInput.min = 0;
-      bonusInput.max = ageCategories[character.age].max;
-      bonusInput.value = character.skillAlloc[skill]?.bonus || 0;
-      bonusInput.oninput = () => {
-        let v = parseInt(bonusInput.value, 10) || 0;
-        const maxAlloc = ageCategories[character.age].max;
+    });
+    Object.entries(data.combatStyles || {}).forEach(([name, style]) => {
+      combatStyles[name] = { weapons: style.weapons.slice(), trait: style.trait, traitEffect: style.traitEffect || '' };
+    });
+    Object.entries(data.species || {}).forEach(([key, sp]) => {
+      const attributes = {};
+      ATTRIBUTE_KEYS.forEach(attr => {
+        const def = sp.attributes[attr];
+        const range = diceExpressionRange(def.dice);
+        attributes[attr] = {
+          dice: def.dice,
+          min: def.min === undefined ? range.min : def.min,
+          max: def.max === undefined ? range.max : def.max
+        };
+      });
+      species[key] = {
+        name: sp.displayName,
+        description: sp.description || '',
+        attributes,
+        movement: sp.movement,
+        hitLocations: sp.hitLocations.map(loc => ({
+          range: loc.range,
+          name: loc.name,
+          hp: loc.hp,
+          armour: loc.armour || loc.hp,
+          hpModifier: loc.hpModifier || 0
+        })),
+        abilities: (sp.abilities || []).map(a => ({ ...a })),
+        skills: { ...(sp.skills || {}) }
+      };
+    });
+    Object.entries(data.cultures || {}).forEach(([key, c]) => {
+      cultures[key] = {
+        name: c.displayName,
+        standard: c.standardSkills.slice(),
+        professional: c.professionalSkills.slice(),
+        combatStyles: c.combatStyles.slice(),
+        moneyDice: c.moneyDice,
+        socialClasses: c.socialClasses.map(cls => ({ ...cls })),
+        folkMagic: c.folkMagic
+          ? { spells: c.folkMagic.spells, available: c.folkMagic.available.slice() }
+          : { spells: 0, available: [] },
+        passions: (c.passions || []).map(p => ({ ...p }))
+      };
+    });
+    if (data.magic) {
+      Object.assign(folkMagicSpells, data.magic.folkMagic);
+      Object.assign(miracles, data.magic.miracles);
+      Object.assign(mysticTalents, data.magic.talents);
+      Object.entries(data.magic.sorcery).forEach(([name, spell]) => {
+        sorcerySpells[name] = { description: spell.description, shaping: spell.shaping.slice() };
+      });
+      data.magic.spiritTypes.forEach(t => {
+        if (!spiritTypes.includes(t)) spiritTypes.push(t);
+      });
+    }
+    if (data.background) Object.assign(backgroundTables, JSON.parse(JSON.stringify(data.background)));
+    [...(data.equipment || []), ...(data.equipmentLocal || [])].forEach(item => {
+      const id = item.id || equipmentId(item.name);
+      Object.values(equipment).forEach(items => {
+        const index = items.findIndex(i => i.id === id);
+        if (index >= 0) items.splice(index, 1);
+      });
+      if (!equipment[item.category]) equipment[item.category] = [];
+      const entry = { id, name: item.name, cost: item.cost, enc: item.enc || 0 };
+      if (item.weapon) entry.weapon = { ...item.weapon, effects: item.weapon.effects.slice() };
+      if (item.armour) entry.armour = { ap: item.armour.ap, locations: item.armour.locations.slice() };
+      equipment[item.category].push(entry);
+    });
+  }
+
+  // Report data loading problems above the generator.  Nothing is shown
+  // when every file loaded cleanly; a quiet note is shown when the
+  // bundled copy was used only because fetching is unavailable.  A
+  // report marked `failed` is an error that stopped start-up.
+  function renderDataStatus(report) {
+    const box = $('dataStatus');
+    box.innerHTML = '';
+    if (report.errors.length === 0 && report.fallback.length === 0) {
+      box.style.display = 'none';
+      return;
+    }
+    box.style.display = 'block';
+    const p = document.createElement('p');
+    if (report.errors.length === 0) {
+      p.className = 'small';
+      p.textContent = 'Rules data loaded from the bundled copy because the data files cannot be fetched from this page.';
+      box.appendChild(p);
+      return;
+    }
+    p.innerHTML = report.failed
+      ? '<strong>The character generator could not start.</strong>'
+      : '<strong>Some rules data could not be loaded.</strong>';
+    if (report.fallback.length) {
+      p.appendChild(document.createTextNode(` Using the bundled copy of ${report.fallback.join(', ')}.`));
+    }
+    box.appendChild(p);
+    const ul = document.createElement('ul');
+    report.errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-error';
+      li.textContent = msg;
+      ul.appendChild(li);
+    });
+    box.appendChild(ul);
+  }
+
+  /* ----------------------------------------------------------------------
+   * Homebrew content
+   *
+   * Cultures, careers, combat styles, professional skills and species
+   * created in the Homebrew editor form a content pack in the same format
+   * as the data files: { skills: { professional: [...] }, cultures: {...},
+   * careers: {...}, combatStyles: {...}, species: {...} }.
+   * The pack is kept in localStorage and merged over the loaded rules
+   * data, so a homebrew entry with the key of a standard culture, career
+   * or skill replaces it.  Packs can be exported and imported as JSON to
+   * share a campaign's content between players.
+   */
+
+  const HOMEBREW_STORAGE_KEY = 'mythras-char-gen.homebrew';
+  const CONTENT_PACK_FORMAT = 'mythras-content-pack';
+  const CONTENT_PACK_VERSION = 1;
+
+  let homebrew = emptyContentPack();
+
+  function emptyContentPack() {
+    return {
+      format: CONTENT_PACK_FORMAT,
+      version: CONTENT_PACK_VERSION,
+      skills: { professional: [] },
+      cultures: {},
+      careers: {},
+      combatStyles: {},
+      species: {}
+    };
+  }
+
+  // Check a content pack.  Returns a list of error messages, empty when
+  // the pack can be merged safely.
+  function validateContentPack(pack) {
+    const errors = [];
+    if (!expectObject(errors, pack, 'the content pack')) return errors;
+    if (pack.format !== CONTENT_PACK_FORMAT) {
+      errors.push('the file is not a content pack');
+      return errors;
+    }
+    if (pack.version > CONTENT_PACK_VERSION) {
+      errors.push(`the content pack uses version ${pack.version}, but this generator only understands up to version ${CONTENT_PACK_VERSION}`);
+      return errors;
+    }
+    const skills = pack.skills || {};
+    if (pack.skills && !expectObject(errors, pack.skills, 'skills')) return errors;
+    if (skills.professional !== undefined) {
+      errors.push(...validateSkillsData({ standard: [], professional: skills.professional }).map(e => `skills: ${e}`));
+    }
+    if (pack.cultures !== undefined && expectObject(errors, pack.cultures, 'cultures') && Object.keys(pack.cultures).length) {
+      errors.push(...validateCulturesData(pack.cultures).map(e => `cultures: ${e}`));
+    }
+    if (pack.careers !== undefined && expectObject(errors, pack.careers, 'careers') && Object.keys(pack.careers).length) {
+      errors.push(...validateCareersData(pack.careers).map(e => `careers: ${e}`));
+    }
+    if (pack.combatStyles !== undefined) {
+      errors.push(...validateCombatStylesData(pack.combatStyles).map(e => `combat styles: ${e}`));
+    }
+    if (pack.species !== undefined && expectObject(errors, pack.species, 'species') && Object.keys(pack.species).length) {
+      errors.push(...validateSpeciesData(pack.species).map(e => `species: ${e}`));
+    }
+    if (pack.magic !== undefined) {
+      errors.push(...validateMagicData(pack.magic).map(e => `magic: ${e}`));
+    }
+    return errors;
+  }
+
+  // Read the homebrew pack from localStorage.  An unreadable or invalid
+  // pack is added to `problems` and ignored rather than breaking
+  // start‑up.
+  function loadHomebrew(problems) {
+    try {
+      const raw = localStorage.getItem(HOMEBREW_STORAGE_KEY);
+      if (!raw) return emptyContentPack();
+      const pack = JSON.parse(raw);
+      const errors = validateContentPack(pack);
+      if (errors.length) {
+        problems.push(...errors.map(e => `Saved homebrew content was ignored: ${e}`));
+        return emptyContentPack();
+      }
+      return { ...emptyContentPack(), ...pack, skills: { professional: (pack.skills && pack.skills.professional) || [] } };
+    } catch (err) {
+      problems.push(`Saved homebrew content could not be read and was ignored: ${err.message}`);
+      return emptyContentPack();
+    }
+  }
+
+  // Persist the homebrew pack.
+  function saveHomebrew() {
+    try {
+      localStorage.setItem(HOMEBREW_STORAGE_KEY, JSON.stringify(homebrew));
+    } catch (err) {
+      alert('Unable to save homebrew content in this browser: ' + err.message);
+    }
+  }
+
+  // Rebuild the runtime rules tables from the loaded data files plus the
+  // homebrew pack.
+  function rebuildRulesTables() {
+    clearRulesTables();
+    mergeRulesData(loadedRulesData);
+    mergeRulesData(homebrew);
+  }
+
+  // Repopulate the species, culture, career and bonus skill selects after
+  // the rules tables or the campaign changed.  A species that no longer
+  // exists falls back to the default.  If the current culture or career
+  // no longer exists or is not allowed, the first allowed one is
+  // selected and its pools reset.
+  function refreshRulesSelects() {
+    populateSelect($('species'), speciesKeys().map(k => ({ value: k, label: species[k].name })));
+    if (!species[character.species]) character.species = defaultSpeciesKey();
+    $('species').value = character.species;
+    applyAttributeLimits();
+    renderSpeciesInfo();
+    const cultureKeys = allowedCultureKeys();
+    const careerKeys = allowedCareerKeys();
+    populateSelect($('culture'), cultureKeys.map(k => ({ value: k, label: cultures[k].name })));
+    populateSelect($('career'), careerKeys.map(k => ({ value: k, label: careers[k].name })));
+    populateBonusSkillSelect();
+    populateRandomiseLocks();
+    populateBatchLocks();
+    if (!careerKeys.includes(character.career)) {
+      $('career').value = careerKeys[0];
+      updateCareerOptions();
+    } else {
+      $('career').value = character.career;
+    }
+    if (!cultureKeys.includes(character.culture)) {
+      $('culture').value = cultureKeys[0];
+      updateCultureOptions();
+    } else {
+      $('culture').value = character.culture;
+      populateCombatStyleSelect();
+      if (!cultures[character.culture].combatStyles.includes(character.combatStyle)) {
+        character.combatStyle = cultures[character.culture].combatStyles[0];
+      }
+      $('combatStyle').value = character.combatStyle;
+      renderProfessionalSelectors();
+    }
+    populateShopCategories();
+    renderShop();
+    renderPurchasedList();
+    updateSkillTable();
+    updateSummary();
+    renderRoster();
+  }
+
+  // Apply a change to the homebrew pack: save it, rebuild the tables and
+  // refresh everything that shows them.
+  function homebrewChanged() {
+    saveHomebrew();
+    rebuildRulesTables();
+    refreshRulesSelects();
+    renderHomebrewEditor();
+    renderCampaignEditor();
+  }
+
+  // Derive a table key from a display name: 'Beast Handler' becomes
+  // 'beastHandler' for careers (camelCase, as in careers.json) and
+  // 'BeastHandler' for cultures.
+  function keyFromName(name, camel) {
+    const words = name.replace(/[^\w\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    const key = words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+    return camel ? key[0].toLowerCase() + key.slice(1) : key;
+  }
+
+  // Split a comma separated list from a text field.
+  function parseList(text) {
+    return text.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  // Skill names in a list that have no base formula.  Such skills still
+  // work but fall back to the 5% minimum, which is rarely intended.
+  function skillsWithoutFormula(list) {
+    return list.filter(skill => {
+      const key = normalizeSkillName(skill);
+      return !standardSkills[key] && !professionalSkills[key];
+    });
+  }
+
+  // Show the result of a homebrew action.
+  function renderHomebrewReport(title, errors, warnings) {
+    const report = $('homebrewReport');
+    report.innerHTML = '';
+    if (!title) return;
+    const p = document.createElement('p');
+    p.innerHTML = '<strong></strong>';
+    p.firstChild.textContent = title;
+    report.appendChild(p);
+    const ul = document.createElement('ul');
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-error';
+      li.textContent = msg;
+      ul.appendChild(li);
+    });
+    (warnings || []).forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-warning';
+      li.textContent = msg;
+      ul.appendChild(li);
+    });
+    if (ul.children.length) report.appendChild(ul);
+  }
+
+  // Fill one of the editor selects with a "new" entry followed by every
+  // existing entry, marking those that come from homebrew content.
+  function populateEditorSelect(sel, entries, homebrewEntries, newLabel) {
+    const current = sel.value;
+    populateSelect(sel, [{ value: '', label: newLabel }].concat(entries.map(([value, label]) => ({
+      value,
+      label: homebrewEntries[value] ? `${label} (homebrew)` : label
+    }))));
+    sel.value = entries.some(([value]) => value === current) ? current : '';
+  }
+
+  // Render the editor selects and load the selected entries into the forms.
+  function renderHomebrewEditor() {
+    populateEditorSelect($('hbCultureSelect'), Object.entries(cultures).map(([k, c]) => [k, c.name]), homebrew.cultures, '— New culture —');
+    populateEditorSelect($('hbCareerSelect'), Object.entries(careers).map(([k, c]) => [k, c.name]), homebrew.careers, '— New career —');
+    populateEditorSelect($('hbStyleSelect'), Object.keys(combatStyles).sort().map(k => [k, k]), homebrew.combatStyles, '— New combat style —');
+    const hbSkills = {};
+    homebrew.skills.professional.forEach(sk => { hbSkills[sk.name] = true; });
+    populateEditorSelect($('hbSkillSelect'), Object.keys(professionalSkills).sort().map(k => [k, k]), hbSkills, '— New skill —');
+    populateEditorSelect($('hbSpeciesSelect'), Object.entries(species).map(([k, sp]) => [k, sp.name]), homebrew.species, '— New species —');
+    loadCultureIntoEditor();
+    loadCareerIntoEditor();
+    loadStyleIntoEditor();
+    loadSkillIntoEditor();
+    loadSpeciesIntoEditor();
+  }
+
+  // Add a row to the social class table in the culture editor.
+  function addSocialClassRow(cls) {
+    const tr = document.createElement('tr');
+    [['name', 'text'], ['min', 'number'], ['max', 'number'], ['mult', 'number']].forEach(([field, type]) => {
+      const td = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = type;
+      input.dataset.field = field;
+      if (field === 'mult') input.step = '0.05';
+      input.value = cls ? cls[field] : '';
+      td.appendChild(input);
+      tr.appendChild(td);
+    });
+    const td = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Remove';
+    btn.addEventListener('click', () => tr.remove());
+    td.appendChild(btn);
+    tr.appendChild(td);
+    $('hbSocialClasses').appendChild(tr);
+  }
+
+  function loadCultureIntoEditor() {
+    const key = $('hbCultureSelect').value;
+    const c = cultures[key];
+    $('hbCultureName').value = c ? c.name : '';
+    $('hbCultureStandard').value = c ? c.standard.join(', ') : '';
+    $('hbCultureProfessional').value = c ? c.professional.join(', ') : '';
+    $('hbCultureStyles').value = c ? c.combatStyles.join(', ') : '';
+    $('hbCultureMoney').value = c ? c.moneyDice : '4d6*50';
+    $('hbCultureFolkMagic').value = c ? c.folkMagic.available.join(', ') : '';
+    $('hbCultureFolkCount').value = c ? c.folkMagic.spells : 3;
+    $('hbCulturePassions').value = c ? c.passions.map(formatPassion).join(', ') : '';
+    $('hbSocialClasses').innerHTML = '';
+    (c ? c.socialClasses : [{ name: 'Commoner', min: 1, max: 100, mult: 1 }]).forEach(addSocialClassRow);
+    $('hbDeleteCultureBtn').disabled = !homebrew.cultures[key];
+  }
+
+  function loadCareerIntoEditor() {
+    const key = $('hbCareerSelect').value;
+    const c = careers[key];
+    $('hbCareerName').value = c ? c.name : '';
+    $('hbCareerStandard').value = c ? c.standard.join(', ') : '';
+    $('hbCareerProfessional').value = c ? c.professional.join(', ') : '';
+    $('hbCareerStyles').value = c ? c.combatStyles.join(', ') : '';
+    $('hbCareerMartial').checked = c ? c.martial : false;
+    $('hbCareerPassions').value = c ? c.passions.map(formatPassion).join(', ') : '';
+    $('hbDeleteCareerBtn').disabled = !homebrew.careers[key];
+  }
+
+  function loadStyleIntoEditor() {
+    const name = $('hbStyleSelect').value;
+    const style = combatStyles[name];
+    $('hbStyleName').value = name;
+    $('hbStyleWeapons').value = style ? style.weapons.join(', ') : '';
+    $('hbStyleTrait').value = style ? style.trait : '';
+    $('hbStyleTraitEffect').value = style ? style.traitEffect : '';
+    $('hbDeleteStyleBtn').disabled = !homebrew.combatStyles[name];
+  }
+
+  // Warnings for suggested passions whose type is not defined, which
+  // characters could not take.
+  function passionsWithoutType(list) {
+    return list.filter(p => !passionTypes[p.type])
+      .map(p => `Passion "${formatPassion(p)}" has an unknown type; the types are ${Object.keys(passionTypes).sort().join(', ')}.`);
+  }
+
+  // Combat style names in a list that have no definition, and so no
+  // weapons or trait.
+  function stylesWithoutDefinition(list) {
+    return list.filter(style => !combatStyles[style]);
+  }
+
+  function loadSkillIntoEditor() {
+    const name = $('hbSkillSelect').value;
+    const entry = homebrew.skills.professional.find(sk => sk.name === name);
+    $('hbSkillName').value = name;
+    if (entry) {
+      $('hbSkillBase').value = entry.base;
+      $('hbSkillBonus').value = entry.bonus || 0;
+    } else {
+      // Built‑in skill: split its display formula back into base and bonus.
+      const [base, bonus] = (skillFormulaStrings[name] || '').split(' +');
+      $('hbSkillBase').value = base || '';
+      $('hbSkillBonus').value = bonus || 0;
+    }
+    $('hbDeleteSkillBtn').disabled = !entry;
+  }
+
+  // Save the culture form into the homebrew pack.
+  function saveHomebrewCulture() {
+    const editing = $('hbCultureSelect').value;
+    const name = $('hbCultureName').value.trim();
+    const key = editing || keyFromName(name, false);
+    const errors = [];
+    if (!name) errors.push('The culture needs a name.');
+    else if (!editing && cultures[key]) errors.push(`A culture with the key "${key}" already exists; select it to edit it.`);
+    const entry = {
+      displayName: name,
+      standardSkills: parseList($('hbCultureStandard').value),
+      professionalSkills: parseList($('hbCultureProfessional').value),
+      combatStyles: parseList($('hbCultureStyles').value),
+      moneyDice: $('hbCultureMoney').value.trim(),
+      folkMagic: {
+        spells: parseInt($('hbCultureFolkCount').value, 10) || 0,
+        available: parseList($('hbCultureFolkMagic').value)
+      },
+      passions: parseList($('hbCulturePassions').value).map(parsePassion),
+      socialClasses: Array.from($('hbSocialClasses').children).map(tr => {
+        const cls = {};
+        tr.querySelectorAll('input').forEach(input => {
+          cls[input.dataset.field] = input.type === 'number' ? parseFloat(input.value) : input.value.trim();
+        });
+        return cls;
+      })
+    };
+    if (name) errors.push(...validateCulturesData({ [key]: entry }));
+    if (errors.length) {
+      renderHomebrewReport('The culture was not saved.', errors);
+      return;
+    }
+    homebrew.cultures[key] = entry;
+    const warnings = skillsWithoutFormula([...entry.standardSkills, ...entry.professionalSkills])
+      .map(skill => `"${skill}" has no base formula and will start at 5%. Add it under Professional Skills.`)
+      .concat(stylesWithoutDefinition(entry.combatStyles)
+        .map(style => `Combat style "${style}" has no weapons or trait yet. Add it under Combat Styles.`))
+      .concat(entry.folkMagic.available.filter(spell => !folkMagicSpells[spell])
+        .map(spell => `Folk Magic spell "${spell}" is not in the spell list.`))
+      .concat(passionsWithoutType(entry.passions));
+    homebrewChanged();
+    $('hbCultureSelect').value = key;
+    loadCultureIntoEditor();
+    renderHomebrewReport(`Saved culture ${name}.`, [], warnings);
+  }
+
+  // Save the career form into the homebrew pack.
+  function saveHomebrewCareer() {
+    const editing = $('hbCareerSelect').value;
+    const name = $('hbCareerName').value.trim();
+    const key = editing || keyFromName(name, true);
+    const errors = [];
+    if (!name) errors.push('The career needs a name.');
+    else if (!editing && careers[key]) errors.push(`A career with the key "${key}" already exists; select it to edit it.`);
+    const entry = {
+      displayName: name,
+      standardSkills: parseList($('hbCareerStandard').value),
+      professionalSkills: parseList($('hbCareerProfessional').value)
+    };
+    const styles = parseList($('hbCareerStyles').value);
+    if (styles.length) entry.combatStyles = styles;
+    if ($('hbCareerMartial').checked) entry.martial = true;
+    const passions = parseList($('hbCareerPassions').value).map(parsePassion);
+    if (passions.length) entry.passions = passions;
+    if (name) errors.push(...validateCareersData({ [key]: entry }));
+    if (errors.length) {
+      renderHomebrewReport('The career was not saved.', errors);
+      return;
+    }
+    homebrew.careers[key] = entry;
+    const warnings = skillsWithoutFormula([...entry.standardSkills, ...entry.professionalSkills])
+      .map(skill => `"${skill}" has no base formula and will start at 5%. Add it under Professional Skills.`)
+      .concat(stylesWithoutDefinition(styles)
+        .map(style => `Combat style "${style}" has no weapons or trait yet. Add it under Combat Styles.`))
+      .concat(passionsWithoutType(passions));
+    homebrewChanged();
+    $('hbCareerSelect').value = key;
+    loadCareerIntoEditor();
+    renderHomebrewReport(`Saved career ${name}.`, [], warnings);
+  }
+
+  // Save the combat style form into the homebrew pack.
+  function saveHomebrewStyle() {
+    const name = $('hbStyleName').value.trim();
+    const entry = {
+      weapons: parseList($('hbStyleWeapons').value),
+      trait: $('hbStyleTrait').value.trim(),
+      traitEffect: $('hbStyleTraitEffect').value.trim()
+    };
+    const errors = name ? validateCombatStylesData({ [name]: entry }) : ['The combat style needs a name.'];
+    if (errors.length) {
+      renderHomebrewReport('The combat style was not saved.', errors);
+      return;
+    }
+    homebrew.combatStyles[name] = entry;
+    const warnings = entry.weapons.filter(w => !findEquipmentByName(w))
+      .map(w => `"${w}" is not in the equipment list, so it cannot be bought.`);
+    homebrewChanged();
+    $('hbStyleSelect').value = name;
+    loadStyleIntoEditor();
+    renderHomebrewReport(`Saved combat style ${name}.`, [], warnings);
+  }
+
+  // Save the professional skill form into the homebrew pack.
+  function saveHomebrewSkill() {
+    const name = $('hbSkillName').value.trim();
+    const base = $('hbSkillBase').value.trim();
+    const bonus = parseInt($('hbSkillBonus').value, 10) || 0;
+    const entry = bonus ? { name, base, bonus } : { name, base };
+    const errors = name ? validateSkillsData({ standard: [], professional: [entry] }) : ['The skill needs a name.'];
+    if (standardSkills[name]) errors.push(`"${name}" is a standard skill and cannot be redefined.`);
+    if (errors.length) {
+      renderHomebrewReport('The skill was not saved.', errors);
+      return;
+    }
+    homebrew.skills.professional = homebrew.skills.professional.filter(sk => sk.name !== name).concat(entry);
+    homebrewChanged();
+    $('hbSkillSelect').value = name;
+    loadSkillIntoEditor();
+    renderHomebrewReport(`Saved skill ${name} (${formatSkillFormula(base, bonus)}).`, []);
+  }
+
+  // Add a row to the hit location table in the species editor.  The HP
+  // and armour columns choose among the humanoid locations.
+  function addHitLocationRow(loc) {
+    const values = loc || { range: '', name: '', hp: 'chest', armour: 'chest', hpModifier: 0 };
+    const tr = document.createElement('tr');
+    [['range', 'text'], ['name', 'text'], ['hp', 'select'], ['armour', 'select'], ['hpModifier', 'number']].forEach(([field, type]) => {
+      const td = document.createElement('td');
+      const input = document.createElement(type === 'select' ? 'select' : 'input');
+      if (type === 'select') {
+        populateSelect(input, ARMOUR_LOCATIONS.map(l => ({ value: l.key, label: l.name })));
+      } else {
+        input.type = type;
+      }
+      input.dataset.field = field;
+      input.value = values[field];
+      td.appendChild(input);
+      tr.appendChild(td);
+    });
+    const td = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = 'Remove';
+    btn.addEventListener('click', () => tr.remove());
+    td.appendChild(btn);
+    tr.appendChild(td);
+    $('hbHitLocations').appendChild(tr);
+  }
+
+  // Skill modifiers as edited in the species form: 'Perception +10, Stealth +10'.
+  function formatSkillModifiers(skills) {
+    return Object.entries(skills).map(([skill, mod]) => `${skill} ${mod >= 0 ? '+' : ''}${mod}`).join(', ');
+  }
+
+  // Load the selected species into the editor.  A new species starts
+  // from the default species' characteristics and hit locations.
+  function loadSpeciesIntoEditor() {
+    const key = $('hbSpeciesSelect').value;
+    const sp = species[key];
+    const template = sp || defaultSpecies();
+    $('hbSpeciesName').value = sp ? sp.name : '';
+    $('hbSpeciesDescription').value = sp ? sp.description : '';
+    $('hbSpeciesMovement').value = template.movement;
+    $('hbSpeciesAttributes').innerHTML = '';
+    ATTRIBUTE_KEYS.forEach(attr => {
+      const def = template.attributes[attr];
+      const range = diceExpressionRange(def.dice);
+      const tr = document.createElement('tr');
+      tr.dataset.attr = attr;
+      const label = document.createElement('td');
+      label.textContent = attr;
+      tr.appendChild(label);
+      // Limits equal to the dice range are left blank so that they follow
+      // the dice when those are changed.
+      [['dice', 'text', def.dice], ['min', 'number', def.min === range.min ? '' : def.min],
+        ['max', 'number', def.max === range.max ? '' : def.max]].forEach(([field, type, value]) => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = type;
+        input.dataset.field = field;
+        input.value = value;
+        if (field !== 'dice') input.placeholder = 'from dice';
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      $('hbSpeciesAttributes').appendChild(tr);
+    });
+    $('hbHitLocations').innerHTML = '';
+    template.hitLocations.forEach(addHitLocationRow);
+    $('hbSpeciesAbilities').value = sp ? sp.abilities.map(a => a.description ? `${a.name}: ${a.description}` : a.name).join('\n') : '';
+    $('hbSpeciesSkills').value = sp ? formatSkillModifiers(sp.skills) : '';
+    $('hbDeleteSpeciesBtn').disabled = !homebrew.species[key];
+  }
+
+  // Save the species form into the homebrew pack.
+  function saveHomebrewSpecies() {
+    const editing = $('hbSpeciesSelect').value;
+    const name = $('hbSpeciesName').value.trim();
+    const key = editing || keyFromName(name, true);
+    const errors = [];
+    if (!name) errors.push('The species needs a name.');
+    else if (!editing && species[key]) errors.push(`A species with the key "${key}" already exists; select it to edit it.`);
+    const attributes = {};
+    Array.from($('hbSpeciesAttributes').children).forEach(tr => {
+      const def = {};
+      tr.querySelectorAll('input').forEach(input => {
+        if (input.dataset.field === 'dice') def.dice = input.value.trim();
+        else if (input.value.trim() !== '') def[input.dataset.field] = parseInt(input.value, 10);
+      });
+      attributes[tr.dataset.attr] = def;
+    });
+    const skills = {};
+    parseList($('hbSpeciesSkills').value).forEach(text => {
+      const m = /^(.+?)\s*([+-])\s*(\d+)$/.exec(text);
+      if (m) skills[m[1]] = (m[2] === '-' ? -1 : 1) * parseInt(m[3], 10);
+      else errors.push(`Skill modifier "${text}" should look like "Perception +10".`);
+    });
+    const entry = {
+      displayName: name,
+      description: $('hbSpeciesDescription').value.trim(),
+      attributes,
+      movement: parseFloat($('hbSpeciesMovement').value),
+      hitLocations: Array.from($('hbHitLocations').children).map(tr => {
+        const loc = {};
+        tr.querySelectorAll('input, select').forEach(input => { loc[input.dataset.field] = input.value.trim(); });
+        const hpModifier = parseInt(loc.hpModifier, 10) || 0;
+        const result = { range: loc.range, name: loc.name, hp: loc.hp };
+        if (loc.armour !== loc.hp) result.armour = loc.armour;
+        if (hpModifier) result.hpModifier = hpModifier;
+        return result;
+      }),
+      abilities: $('hbSpeciesAbilities').value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const colon = line.indexOf(':');
+        return colon > 0
+          ? { name: line.slice(0, colon).trim(), description: line.slice(colon + 1).trim() }
+          : { name: line, description: '' };
+      }),
+      skills
+    };
+    if (name) errors.push(...validateSpeciesData({ [key]: entry }));
+    if (errors.length) {
+      renderHomebrewReport('The species was not saved.', errors);
+      return;
+    }
+    homebrew.species[key] = entry;
+    const warnings = skillsWithoutFormula(Object.keys(skills))
+      .map(skill => `"${skill}" is not a known skill, so its modifier has no effect until the skill is added under Professional Skills.`);
+    homebrewChanged();
+    $('hbSpeciesSelect').value = key;
+    loadSpeciesIntoEditor();
+    renderHomebrewReport(`Saved species ${name}.`, [], warnings);
+  }
+
+  // Remove the selected homebrew entry of the given kind.  Built‑in
+  // entries it replaced come back.
+  function deleteHomebrewEntry(kind) {
+    if (kind === 'skill') {
+      const name = $('hbSkillSelect').value;
+      if (!confirm(`Delete the homebrew skill "${name}"?`)) return;
+      homebrew.skills.professional = homebrew.skills.professional.filter(sk => sk.name !== name);
+    } else if (kind === 'combat style') {
+      const name = $('hbStyleSelect').value;
+      if (!homebrew.combatStyles[name] || !confirm(`Delete the homebrew combat style "${name}"?`)) return;
+      delete homebrew.combatStyles[name];
+    } else if (kind === 'species') {
+      const key = $('hbSpeciesSelect').value;
+      if (!homebrew.species[key] || !confirm(`Delete the homebrew species "${homebrew.species[key].displayName}"?`)) return;
+      delete homebrew.species[key];
+    } else {
+      const table = kind === 'culture' ? homebrew.cultures : homebrew.careers;
+      const key = $(kind === 'culture' ? 'hbCultureSelect' : 'hbCareerSelect').value;
+      if (!table[key] || !confirm(`Delete the homebrew ${kind} "${table[key].displayName}"?`)) return;
+      delete table[key];
+    }
+    homebrewChanged();
+    renderHomebrewReport(`Deleted homebrew ${kind}.`, []);
+  }
+
+  // Download the homebrew content as a content pack.
+  function exportContentPack() {
+    downloadJson('homebrew-content-pack.json', homebrew);
+  }
+
+  // Merge a content pack file into the homebrew content.
+  function importContentPackFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let pack;
+      try {
+        pack = JSON.parse(reader.result);
+      } catch (err) {
+        renderHomebrewReport(`Could not import ${file.name}.`, ['The file is not valid JSON.']);
+        return;
+      }
+      const errors = validateContentPack(pack);
+      if (errors.length) {
+        renderHomebrewReport(`Could not import ${file.name}.`, errors);
+        return;
+      }
+      const skills = (pack.skills && pack.skills.professional) || [];
+      const names = new Set(skills.map(sk => sk.name));
+      homebrew.skills.professional = homebrew.skills.professional.filter(sk => !names.has(sk.name)).concat(skills);
+      Object.assign(homebrew.cultures, pack.cultures || {});
+      Object.assign(homebrew.careers, pack.careers || {});
+      Object.assign(homebrew.combatStyles, pack.combatStyles || {});
+      Object.assign(homebrew.species, pack.species || {});
+      homebrewChanged();
+      renderHomebrewReport(`Imported ${file.name}: ${Object.keys(pack.cultures || {}).length} cultures, ${Object.keys(pack.careers || {}).length} careers, ${Object.keys(pack.combatStyles || {}).length} combat styles, ${skills.length} skills, ${Object.keys(pack.species || {}).length} species.`, []);
+    };
+    reader.readAsText(file);
+  }
+
+  // Attach the Homebrew editor's event handlers.
+  function initHomebrewEditor() {
+    $('hbCultureSelect').addEventListener('change', loadCultureIntoEditor);
+    $('hbCareerSelect').addEventListener('change', loadCareerIntoEditor);
+    $('hbStyleSelect').addEventListener('change', loadStyleIntoEditor);
+    $('hbSkillSelect').addEventListener('change', loadSkillIntoEditor);
+    $('hbSpeciesSelect').addEventListener('change', loadSpeciesIntoEditor);
+    $('hbAddClassBtn').addEventListener('click', () => addSocialClassRow(null));
+    $('hbAddLocationBtn').addEventListener('click', () => addHitLocationRow(null));
+    $('hbSaveCultureBtn').addEventListener('click', saveHomebrewCulture);
+    $('hbSaveCareerBtn').addEventListener('click', saveHomebrewCareer);
+    $('hbSaveStyleBtn').addEventListener('click', saveHomebrewStyle);
+    $('hbSaveSkillBtn').addEventListener('click', saveHomebrewSkill);
+    $('hbSaveSpeciesBtn').addEventListener('click', saveHomebrewSpecies);
+    $('hbDeleteCultureBtn').addEventListener('click', () => deleteHomebrewEntry('culture'));
+    $('hbDeleteCareerBtn').addEventListener('click', () => deleteHomebrewEntry('career'));
+    $('hbDeleteStyleBtn').addEventListener('click', () => deleteHomebrewEntry('combat style'));
+    $('hbDeleteSkillBtn').addEventListener('click', () => deleteHomebrewEntry('skill'));
+    $('hbDeleteSpeciesBtn').addEventListener('click', () => deleteHomebrewEntry('species'));
+    $('hbExportBtn').addEventListener('click', exportContentPack);
+    $('hbImportBtn').addEventListener('click', () => $('hbImportFile').click());
+    $('hbImportFile').addEventListener('change', e => {
+      if (e.target.files.length) importContentPackFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    renderHomebrewEditor();
+  }
+
+  /* ----------------------------------------------------------------------
+   * Campaign settings
+   *
+   * House rules a GM may change: the point-buy pool, culture and career
+   * points, how many professional skills may be chosen, the bonus skill
+   * allocation, the attribute cap, each age category's bonus points and
+   * skill maximum, and which cultures and careers are allowed.  The
+   * settings are kept in localStorage and can be exported and imported as
+   * a campaign file so that every player's generator enforces the same
+   * rules.  Homebrew content is shared separately as a content pack.
+   */
+
+  const CAMPAIGN_STORAGE_KEY = 'mythras-char-gen.campaign';
+  const CAMPAIGN_FORMAT = 'mythras-campaign';
+  const CAMPAIGN_VERSION = 1;
+
+  // The age categories as the rules give them, before any house rule.
+  const STANDARD_AGE_CATEGORIES = JSON.parse(JSON.stringify(ageCategories));
+
+  // The numeric settings in display order, with the lowest value each
+  // may take.
+  const CAMPAIGN_NUMBERS = [
+    { key: 'pointBuyPool', id: 'campPointBuy', name: 'Point-buy pool', min: 0 },
+    { key: 'culturePoints', id: 'campCulturePoints', name: 'Culture points', min: 0 },
+    { key: 'careerPoints', id: 'campCareerPoints', name: 'Career points', min: 0 },
+    { key: 'professionalSkills', id: 'campProfSkills', name: 'Professional skills', min: 0 },
+    { key: 'bonusSkillPoints', id: 'campBonusSkill', name: 'Bonus skill points', min: 0 },
+    { key: 'attributeMax', id: 'campAttrMax', name: 'Attribute maximum', min: 8 }
+  ];
+
+  let campaign = defaultCampaign();
+
+  // Rules as written.  Empty culture and career lists allow every entry.
+  function defaultCampaign() {
+    const ages = {};
+    Object.keys(STANDARD_AGE_CATEGORIES).forEach(key => {
+      ages[key] = { bonus: STANDARD_AGE_CATEGORIES[key].bonus, max: STANDARD_AGE_CATEGORIES[key].max };
+    });
+    return {
+      format: CAMPAIGN_FORMAT,
+      version: CAMPAIGN_VERSION,
+      name: '',
+      pointBuyPool: 75,
+      culturePoints: 100,
+      careerPoints: 100,
+      professionalSkills: 3,
+      bonusSkillPoints: 20,
+      attributeMax: 18,
+      ages,
+      allowedCultures: [],
+      allowedCareers: []
+    };
+  }
+
+  // Check a campaign file.  Returns a list of error messages, empty when
+  // the settings can be applied.
+  function validateCampaign(doc) {
+    const errors = [];
+    if (!expectObject(errors, doc, 'the campaign')) return errors;
+    if (doc.format !== CAMPAIGN_FORMAT) {
+      errors.push('the file is not a campaign file');
+      return errors;
+    }
+    if (doc.version > CAMPAIGN_VERSION) {
+      errors.push(`the campaign uses version ${doc.version}, but this generator only understands up to version ${CAMPAIGN_VERSION}`);
+      return errors;
+    }
+    CAMPAIGN_NUMBERS.forEach(field => {
+      const value = doc[field.key];
+      if (value !== undefined && (!Number.isInteger(value) || value < field.min)) {
+        errors.push(`${field.key} must be a whole number of at least ${field.min}`);
+      }
+    });
+    if (doc.ages !== undefined && expectObject(errors, doc.ages, 'ages')) {
+      Object.keys(doc.ages).forEach(key => {
+        const age = doc.ages[key];
+        if (!STANDARD_AGE_CATEGORIES[key]) errors.push(`ages.${key} is not an age category`);
+        else if (!age || !Number.isInteger(age.bonus) || age.bonus < 0 || !Number.isInteger(age.max) || age.max < 0) {
+          errors.push(`ages.${key} must have whole number bonus and max of at least 0`);
+        }
+      });
+    }
+    ['allowedCultures', 'allowedCareers'].forEach(key => {
+      if (doc[key] !== undefined && !(Array.isArray(doc[key]) && doc[key].every(v => typeof v === 'string'))) {
+        errors.push(`${key} must be a list of keys`);
+      }
+    });
+    return errors;
+  }
+
+  // Fill in anything a valid campaign file leaves out from the defaults.
+  function completeCampaign(doc) {
+    const base = defaultCampaign();
+    return {
+      ...base,
+      ...doc,
+      format: CAMPAIGN_FORMAT,
+      version: CAMPAIGN_VERSION,
+      name: typeof doc.name === 'string' ? doc.name : '',
+      ages: Object.fromEntries(Object.keys(base.ages).map(key => [key, { ...base.ages[key], ...((doc.ages || {})[key]) }]))
+    };
+  }
+
+  // Read the campaign from localStorage.  An unreadable or invalid
+  // campaign is reported in the Campaign step and the rules as written
+  // are used instead.
+  function loadCampaign() {
+    try {
+      const raw = localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+      if (!raw) return defaultCampaign();
+      const doc = JSON.parse(raw);
+      const errors = validateCampaign(doc);
+      if (errors.length) {
+        renderCampaignReport('Ignored invalid campaign settings; using the rules as written.', errors);
+        return defaultCampaign();
+      }
+      return completeCampaign(doc);
+    } catch (err) {
+      renderCampaignReport('Ignored invalid campaign settings; using the rules as written.', [err.message]);
+      return defaultCampaign();
+    }
+  }
+
+  function saveCampaign() {
+    try {
+      localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(campaign));
+    } catch (err) {
+      alert('Unable to save campaign settings in this browser: ' + err.message);
+    }
+  }
+
+  // Copy the age settings into ageCategories and the attribute cap onto
+  // the attribute inputs.
+  function applyCampaign() {
+    Object.keys(campaign.ages).forEach(key => {
+      ageCategories[key].bonus = campaign.ages[key].bonus;
+      ageCategories[key].max = campaign.ages[key].max;
+    });
+    applyAttributeLimits();
+  }
+
+  // Keys of a culture or career table the campaign allows.  A list that
+  // matches nothing in the rules data allows everything rather than
+  // leaving the generator without choices.
+  function allowedKeys(table, allowed) {
+    const keys = Object.keys(table).filter(key => allowed.length === 0 || allowed.includes(key));
+    return keys.length ? keys : Object.keys(table);
+  }
+
+  function allowedCultureKeys() {
+    return allowedKeys(cultures, campaign.allowedCultures);
+  }
+
+  function allowedCareerKeys() {
+    return allowedKeys(careers, campaign.allowedCareers);
+  }
+
+  // Replace the campaign, then bring the current character and every
+  // control in line with it.  Characteristics above the new maximum are
+  // lowered (unless the character is finalised) and each skill pool is
+  // what the campaign gives less the points already allocated from it.
+  // Returns warnings for the changes the player has to follow up.
+  function campaignChanged(next) {
+    const warnings = [];
+    campaign = next;
+    saveCampaign();
+    applyCampaign();
+    if (!character.finalised) {
+      ATTRIBUTE_KEYS.forEach(key => {
+        const value = clampAttribute(character, key, character.attributes[key]);
+        if (value === character.attributes[key]) return;
+        warnings.push(`${key} was lowered from ${character.attributes[key]} to ${value}, the campaign's maximum.`);
+        character.attributes[key] = value;
+      });
+      updateAttributeInputs();
+      updateDerivedDisplay();
+    }
+    [['culture', 'Culture'], ['career', 'Career'], ['bonus', 'Bonus']].forEach(([pool, label]) => {
+      const spent = Object.values(character.skillAlloc).reduce((sum, alloc) => sum + alloc[pool], 0);
+      character.pools[pool] = startingPool(character, pool) - spent;
+      if (character.pools[pool] < 0) {
+        warnings.push(`${label} points are overspent by ${-character.pools[pool]}: the campaign's pool is smaller than the points already allocated from it.`);
+      }
+    });
+    if (character.method === 'point') {
+      character.pointPoolTotal = campaign.pointBuyPool;
+      updatePointPoolDisplay();
+    }
+    renderAgeInfo();
+    updatePoolsDisplay();
+    refreshRulesSelects();
+    renderCampaignEditor();
+    return warnings;
+  }
+
+  // Fill one of the allowed lists with a checkbox per entry.
+  function renderAllowedList(container, table, allowed) {
+    container.innerHTML = '';
+    Object.keys(table).forEach(key => {
+      const label = document.createElement('label');
+      label.className = 'campaign-option';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = key;
+      cb.checked = allowed.length === 0 || allowed.includes(key);
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(` ${table[key].name}`));
+      container.appendChild(label);
+    });
+  }
+
+  // Show the current campaign in the settings form.
+  function renderCampaignEditor() {
+    $('campName').value = campaign.name;
+    CAMPAIGN_NUMBERS.forEach(field => {
+      $(field.id).value = campaign[field.key];
+      $(field.id).min = field.min;
+    });
+    const body = $('campAges');
+    body.innerHTML = '';
+    Object.keys(campaign.ages).forEach(key => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = key;
+      tr.appendChild(name);
+      ['bonus', 'max'].forEach(field => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.dataset.age = key;
+        input.dataset.field = field;
+        input.value = campaign.ages[key][field];
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    renderAllowedList($('campCultures'), cultures, campaign.allowedCultures);
+    renderAllowedList($('campCareers'), careers, campaign.allowedCareers);
+  }
+
+  // The checked keys of an allowed list; every entry checked is stored as
+  // an empty list so that cultures and careers added later are allowed.
+  function readAllowedList(container) {
+    const boxes = Array.from(container.querySelectorAll('input'));
+    return boxes.every(cb => cb.checked) ? [] : boxes.filter(cb => cb.checked).map(cb => cb.value);
+  }
+
+  // Read the settings form and apply it.
+  function saveCampaignForm() {
+    const doc = { format: CAMPAIGN_FORMAT, version: CAMPAIGN_VERSION, name: $('campName').value.trim(), ages: {} };
+    CAMPAIGN_NUMBERS.forEach(field => { doc[field.key] = Number($(field.id).value); });
+    $('campAges').querySelectorAll('input').forEach(input => {
+      doc.ages[input.dataset.age] = doc.ages[input.dataset.age] || {};
+      doc.ages[input.dataset.age][input.dataset.field] = Number(input.value);
+    });
+    doc.allowedCultures = readAllowedList($('campCultures'));
+    doc.allowedCareers = readAllowedList($('campCareers'));
+    const errors = validateCampaign(doc);
+    if (!doc.allowedCultures.length && Array.from($('campCultures').querySelectorAll('input')).every(cb => !cb.checked)) {
+      errors.push('Allow at least one culture.');
+    }
+    if (!doc.allowedCareers.length && Array.from($('campCareers').querySelectorAll('input')).every(cb => !cb.checked)) {
+      errors.push('Allow at least one career.');
+    }
+    if (errors.length) {
+      renderCampaignReport('The settings were not applied.', errors);
+      return;
+    }
+    const warnings = campaignChanged(completeCampaign(doc));
+    renderCampaignReport('Settings applied.', [], warnings);
+  }
+
+  function resetCampaign() {
+    if (!confirm('Return every setting to the rules as written?')) return;
+    const warnings = campaignChanged(defaultCampaign());
+    renderCampaignReport('Settings reset to the rules as written.', [], warnings);
+  }
+
+  // Show the result of a settings action.
+  function renderCampaignReport(title, errors, warnings) {
+    const report = $('campaignReport');
+    report.innerHTML = '';
+    const p = document.createElement('p');
+    p.innerHTML = '<strong></strong>';
+    p.firstChild.textContent = title;
+    report.appendChild(p);
+    const ul = document.createElement('ul');
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-error';
+      li.textContent = msg;
+      ul.appendChild(li);
+    });
+    (warnings || []).forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-warning';
+      li.textContent = msg;
+      ul.appendChild(li);
+    });
+    if (ul.children.length) report.appendChild(ul);
+  }
+
+  // Download the campaign settings as a campaign file.
+  function exportCampaign() {
+    downloadJson(fileNameFor(campaign.name || 'campaign', '.campaign.json'), campaign);
+  }
+
+  // Replace the campaign settings with a campaign file.  Allowed cultures
+  // and careers missing from the rules data are reported; they usually
+  // come from a content pack that has not been imported yet.
+  function importCampaignFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (err) {
+        renderCampaignReport(`Could not import ${file.name}.`, ['The file is not valid JSON.']);
+        return;
+      }
+      const errors = validateCampaign(doc);
+      if (errors.length) {
+        renderCampaignReport(`Could not import ${file.name}.`, errors);
+        return;
+      }
+      const next = completeCampaign(doc);
+      const warnings = [
+        ...next.allowedCultures.filter(key => !cultures[key]).map(key => `The campaign allows the culture "${key}", which is not in the rules data; import the campaign's content pack.`),
+        ...next.allowedCareers.filter(key => !careers[key]).map(key => `The campaign allows the career "${key}", which is not in the rules data; import the campaign's content pack.`)
+      ];
+      warnings.push(...campaignChanged(next));
+      renderCampaignReport(`Imported ${next.name || file.name}.`, [], warnings);
+    };
+    reader.readAsText(file);
+  }
+
+  // Attach the settings panel's event handlers.
+  function initCampaignEditor() {
+    $('campSaveBtn').addEventListener('click', saveCampaignForm);
+    $('campResetBtn').addEventListener('click', resetCampaign);
+    $('campExportBtn').addEventListener('click', exportCampaign);
+    $('campImportBtn').addEventListener('click', () => $('campImportFile').click());
+    $('campImportFile').addEventListener('change', e => {
+      if (e.target.files.length) importCampaignFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    renderCampaignEditor();
+  }
+
+  /* ----------------------------------------------------------------------
+   * Species
+   *
+   * A character's species (data/species.json and homebrew species) sets
+   * the dice rolled for each characteristic and the range it may take,
+   * Movement, the hit location table, innate abilities and modifiers to
+   * skill bases.  The ranges apply to rolled and point-buy characters
+   * alike.  The campaign's attribute maximum is the human one; every
+   * species' maximum moves by its difference from the standard 18.
+   */
+
+  // Species of a new character, and of characters saved before species
+  // were introduced.
+  const DEFAULT_SPECIES = 'human';
+
+  // Value of the species choice that asks random characters for any
+  // species rather than the default one.
+  const RANDOM_SPECIES = '*';
+
+  // The highest human characteristic under the standard rules.
+  const STANDARD_ATTRIBUTE_MAX = 18;
+
+  // Key of the default species, or of the first species when the rules
+  // data has no humans.
+  function defaultSpeciesKey() {
+    return species[DEFAULT_SPECIES] ? DEFAULT_SPECIES : Object.keys(species)[0];
+  }
+
+  function defaultSpecies() {
+    return species[defaultSpeciesKey()];
+  }
+
+  // The species of a character or snapshot.  One whose species is no
+  // longer defined is treated as the default species.
+  function speciesOf(ch) {
+    return species[ch.species] || defaultSpecies();
+  }
+
+  // Lowest and highest value a characteristic may take for a character
+  // or snapshot: { min, max }.
+  function attributeRange(ch, key) {
+    const def = speciesOf(ch).attributes[key];
+    return { min: def.min, max: Math.max(def.min, def.max + campaign.attributeMax - STANDARD_ATTRIBUTE_MAX) };
+  }
+
+  // A characteristic value brought within its range for a character or
+  // snapshot.
+  function clampAttribute(ch, key, value) {
+    const range = attributeRange(ch, key);
+    return Math.min(range.max, Math.max(range.min, value));
+  }
+
+  // Roll one characteristic of a character or draft on its species' dice.
+  // A species whose limits are narrower than its dice, or a campaign
+  // with a lower maximum, keeps the result within range.
+  function rollAttribute(ch, key) {
+    const roll = rollDiceExpression(speciesOf(ch).attributes[key].dice, 'attributes', key);
+    const value = clampAttribute(ch, key, roll.total);
+    ch.attributes[key] = value;
+    ch.rolls.attributes[key] = value === roll.total ? roll.breakdown : `${roll.breakdown}, limited to ${value}`;
+  }
+
+  // Points a point-buy character has spent: each characteristic's value
+  // above its species minimum.
+  function pointBuyCost(ch) {
+    return ATTRIBUTE_KEYS.reduce((sum, key) => sum + ch.attributes[key] - attributeRange(ch, key).min, 0);
+  }
+
+  // Modifier a species gives to a skill's base.  A modifier for 'Craft'
+  // applies to every Craft specialisation.
+  function speciesSkillModifier(ch, skillName) {
+    const skills = speciesOf(ch).skills;
+    if (skillName in skills) return skills[skillName];
+    return skills[normalizeSkillName(skillName)] || 0;
+  }
+
+  // Keys of the species table in display order, the default first.
+  function speciesKeys() {
+    const first = defaultSpeciesKey();
+    return [first].concat(Object.keys(species).filter(key => key !== first));
+  }
+
+  // Set the attribute inputs' limits for the current species.
+  function applyAttributeLimits() {
+    ATTRIBUTE_KEYS.forEach(key => {
+      const range = attributeRange(character, key);
+      $(key).min = range.min;
+      $(key).max = range.max;
+    });
+  }
+
+  // Describe the current species beside its select.
+  function renderSpeciesInfo() {
+    const sp = speciesOf(character);
+    const mods = formatSkillModifiers(sp.skills);
+    $('speciesInfo').textContent = [sp.description, `Movement ${sp.movement} m.`, mods ? `Skills: ${mods}.` : '']
+      .filter(Boolean).join(' ');
+  }
+
+  // Handle a change of species.  A point-buy character starts again from
+  // the new species' minimums; rolled characteristics are kept but
+  // brought within the new ranges (roll again for the species' own dice).
+  function speciesChanged() {
+    character.species = $('species').value;
+    applyAttributeLimits();
+    renderSpeciesInfo();
+    if (character.method === 'point') {
+      methodChanged();
+      return;
+    }
+    ATTRIBUTE_KEYS.forEach(key => {
+      character.attributes[key] = clampAttribute(character, key, character.attributes[key]);
+    });
+    updateAttributeInputs();
+    updateDerivedDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Innate abilities of a character's species as HTML for the summary
+  // and sheet, or '' when it has none.
+  function speciesAbilitiesHtml(ch) {
+    const abilities = speciesOf(ch).abilities;
+    if (abilities.length === 0) return '';
+    return `<ul class="species-abilities">${abilities.map(a =>
+      `<li><strong>${escapeHtml(a.name)}</strong>${a.description ? `: ${escapeHtml(a.description)}` : ''}</li>`).join('')}</ul>`;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Character state
+   *
+   * A single object stores all mutable state for the currently edited
+   * character.  This approach makes it easy to recompute derived
+   * statistics whenever a value changes and simplifies the update logic.
+   */
+  const character = {
+    name: '',
+    // Key of the species table (see "Species").
+    species: DEFAULT_SPECIES,
+    culture: 'Barbarian',
+    career: 'warrior',
+    age: 'Adult',
+    socialClass: null,
+    combatStyle: null,
+    attributes: { STR: 10, CON: 10, SIZ: 10, DEX: 10, INT: 10, POW: 10, CHA: 10 },
+    pools: { culture: 0, career: 0, bonus: 0 },
+    skillAlloc: {},
+    // Silver left after purchases.
+    money: 0,
+    // Items bought: [{ id, qty, unitCost }] where id is an item of
+    // `equipment` and unitCost the silver paid for each, refunded when
+    // it is sold back.
+    equipment: [],
+    // Armour worn on each armour location: { head: 'mail-hauberk', … }.
+    // Pieces are ids of owned items; a location without an entry is bare.
+    armour: {},
+    // Folk Magic spells known and, for animists, bound spirits:
+    // [{ name, type, intensity, fetish }].
+    folkMagic: [],
+    spirits: [],
+    // Passions: [{ type, target }], valued from the characteristics.
+    passions: [],
+    // Family, events and connections from the Background step.
+    background: emptyBackground(),
+    // Miracles, sorcery spells and mystic talents chosen for the
+    // character's magic skills (see MAGIC_TRADITIONS).
+    miracles: [],
+    sorcery: [],
+    talents: [],
+    // Set once the character passes every rules check and is locked
+    // against changes (see RULE_CHECKS).
+    finalised: false,
+    // Experience Rolls, training and the log kept by the Advancement step.
+    advancement: emptyAdvancement(),
+    method: 'roll',
+    ageYears: null,
+    // Breakdown of the most recent roll for each purpose, for display:
+    // { attributes: { STR: '3d6[…] = 12', … }, age, socialClass, silver }
+    rolls: { attributes: {} },
+    // Seed for every random roll, the number of draws taken from each
+    // random stream and the ordered log of the latest ROLL_LOG_LIMIT
+    // rolls made with this seed.
+    seed: '',
+    rngCounters: {},
+    rollLog: []
+  };
+
+  // Point buy settings
+  // When using the point‑buy method for Characteristics the player has a
+  // fixed pool of points to distribute across all seven attributes.  Each
+  // attribute must meet its species minimum: for humans SIZ and INT must
+  // be at least 8 (generated by 2d6+6), whilst STR, CON, DEX, POW and CHA
+  // must be at least 3.  The entire cost of raising an attribute from its
+  // minimum value comes out of the pool – there is no free baseline of
+  // 10.  For example, increasing a human's SIZ from 8 to 13 costs 5
+  // points.  The size of the pool is a campaign setting and defaults to
+  // 75.
+  character.pointPoolTotal = campaign.pointBuyPool;
+  character.pointPoolRemaining = campaign.pointBuyPool;
+
+  // Selected professional skills for culture and career.  Users
+  // may choose up to three professional skills from their culture and
+  // career lists to allocate Culture or Career points.  These sets
+  // contain the skill names chosen via the checkboxes rendered by
+  // renderProfessionalSelectors().
+  let selectedCultureProfs = new Set();
+  let selectedCareerProfs = new Set();
+
+  // Selected bonus skill.  A player may choose a single bonus skill as
+  // allowed by the optional rules.  This skill automatically gains the
+  // campaign's bonus skill points (20 by default, the common suggestion
+  // for a hobby skill) from the bonus pool, or as many as the pool still
+  // holds.  Changing the bonus skill will refund points from the previous
+  // selection before applying them to the new selection.
+  let selectedBonusSkill = null;
+
+  /* ----------------------------------------------------------------------
+   * Seeded random numbers
+   *
+   * All dice come from a seeded generator so that a character's rolls can
+   * be reproduced and audited.  Each purpose (attributes, social class,
+   * silver, age) draws from its own stream derived from the character's
+   * seed, so re‑entering a seed reproduces, say, the first attribute roll
+   * regardless of how often silver was rolled in between.  The number of
+   * draws taken from each stream is stored with the character, which lets
+   * a loaded character continue its sequence where it left off.
+   */
+
+  // Live generator functions for each character‑like object, keyed by
+  // stream name.  Rebuilt lazily from its seed and rngCounters.
+  const rngStreams = new WeakMap();
+
+  // The object whose seed, counters and roll log the dice currently use.
+  // Null means the character being edited; withRollTarget() points it at
+  // a draft while generating a random character.
+  let rollTarget = null;
+
+  // Hash a string to a 32‑bit seed (xmur3).
+  function hashSeed(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+      h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+  }
+
+  // Small, fast seeded generator (mulberry32) returning floats in [0, 1).
+  function mulberry32(a) {
+    return function() {
+      a = (a + 0x6D2B79F5) | 0;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // Make a new random seed for a fresh character.  The seed itself does
+  // not need to be reproducible, so it may come from the browser.
+  function newSeed() {
+    const words = new Uint32Array(2);
+    if (window.crypto && window.crypto.getRandomValues) {
+      window.crypto.getRandomValues(words);
+    } else {
+      words[0] = Math.random() * 4294967296;
+      words[1] = Math.random() * 4294967296;
+    }
+    return Array.from(words, w => w.toString(36)).join('').slice(0, 10);
+  }
+
+  // Next number in [0, 1) from the named stream of the current seed.
+  function nextRandom(stream) {
+    const target = rollTarget || character;
+    if (!rngStreams.has(target)) rngStreams.set(target, {});
+    const streams = rngStreams.get(target);
+    if (!streams[stream]) {
+      const next = mulberry32(hashSeed(`${target.seed}/${stream}`));
+      // Skip the draws already taken by a restored character.
+      for (let i = 0; i < (target.rngCounters[stream] || 0); i++) next();
+      streams[stream] = next;
+    }
+    target.rngCounters[stream] = (target.rngCounters[stream] || 0) + 1;
+    return streams[stream]();
+  }
+
+  // Discard the character's live streams so they are rebuilt from its
+  // seed and counters on the next draw.
+  function resetRandomStreams() {
+    rngStreams.delete(character);
+  }
+
+  // Run fn with the dice drawing from, and logging to, `target` (an
+  // object with seed, rngCounters and rollLog) instead of the character.
+  function withRollTarget(target, fn) {
+    const previous = rollTarget;
+    rollTarget = target;
+    try {
+      return fn();
+    } finally {
+      rollTarget = previous;
+    }
+  }
+
+  // Random integer in [0, n) from the named stream.
+  function randomIndex(n, stream) {
+    return Math.floor(nextRandom(stream) * n);
+  }
+
+  // Random element of a list from the named stream.
+  function randomChoice(list, stream) {
+    return list[randomIndex(list.length, stream)];
+  }
+
+  // Up to `count` distinct random elements of a list.
+  function randomSample(list, count, stream) {
+    const pool = list.slice();
+    const picked = [];
+    while (picked.length < count && pool.length) {
+      picked.push(pool.splice(randomIndex(pool.length, stream), 1)[0]);
+    }
+    return picked;
+  }
+
+  // Start a fresh sequence from the given seed: clears the counters and
+  // the roll log, then re‑rolls the social class and age, which are
+  // otherwise rolled implicitly when the culture and age category are
+  // chosen.  Attributes and silver are rolled again with their buttons.
+  function applySeed(seed) {
+    character.seed = seed;
+    character.rngCounters = {};
+    character.rollLog = [];
+    resetRandomStreams();
+    $('seedInput').value = seed;
+    rollSocialClass();
+    rollAge();
+    renderRollLog();
+  }
+
+  // Rolls kept in a roll log.  The log is saved with the character and
+  // in every undo step, so older rolls are dropped rather than letting it
+  // grow without limit.
+  const ROLL_LOG_LIMIT = 50;
+
+  // Render the roll log, most recent roll last.
+  function renderRollLog() {
+    const list = $('rollLog');
+    list.innerHTML = '';
+    character.rollLog.forEach(entry => {
+      const li = document.createElement('li');
+      li.textContent = `${entry.purpose}: ${entry.breakdown}`;
+      list.appendChild(li);
+    });
+    $('rollLogCount').textContent = character.rollLog.length;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Dice expressions
+   *
+   * Every roll in the generator goes through rollDiceExpression(), which
+   * draws from the seeded streams above and records the roll in the
+   * character's roll log.  The grammar covers the expressions used by the Mythras tables:
+   *
+   *   expr    := ['+'|'-'] product (('+'|'-') product)*
+   *   product := factor ('*' factor)*
+   *   factor  := dice | integer | '(' expr ')'
+   *   dice    := [count] 'd' (sides | '%') [('kh'|'kl'|'dh'|'dl'|'k') n]
+   *
+   * so '3d6', '2d6+6', '4d6*50', '15+2d6', '1d8+1d6', '-1d4' and '4d6kh3'
+   * (roll four, keep the highest three) are all valid.
+   */
+
+  // Most dice a single term may roll.  The Mythras tables never need more
+  // than a handful; the limit keeps a mistyped homebrew expression from
+  // hanging the page.
+  const MAX_DICE = 100;
+
+  // Roll a single die with the given number of sides from a random stream.
+  function rollDie(sides, stream) {
+    return Math.floor(nextRandom(stream) * sides) + 1;
+  }
+
+  // Parse a dice expression into a tree of nodes:
+  //   { type: 'const', value }
+  //   { type: 'dice', count, sides, keep: { mode, n } | null, text }
+  //   { type: 'add' | 'sub' | 'mul', left, right }
+  // Throws an Error describing the position of the first problem.
+  function parseDiceExpression(expr) {
+    const src = String(expr).replace(/\s+/g, '').toLowerCase();
+    let pos = 0;
+    function fail(msg) {
+      throw new Error(`${msg} at position ${pos + 1} of dice expression "${expr}"`);
+    }
+    function integer() {
+      const m = /^\d+/.exec(src.slice(pos));
+      if (!m) return null;
+      pos += m[0].length;
+      return parseInt(m[0], 10);
+    }
+    function factor() {
+      if (src[pos] === '(') {
+        pos++;
+        const node = sum();
+        if (src[pos] !== ')') fail('expected ")"');
+        pos++;
+        return node;
+      }
+      const start = pos;
+      const count = integer();
+      if (src[pos] !== 'd') {
+        if (count === null) fail('expected a number or dice');
+        return { type: 'const', value: count };
+      }
+      pos++;
+      let sides;
+      if (src[pos] === '%') {
+        pos++;
+        sides = 100;
+      } else {
+        sides = integer();
+      }
+      if (!sides) fail('expected the number of sides');
+      const node = { type: 'dice', count: count === null ? 1 : count, sides, keep: null };
+      if (node.count < 1) fail('expected at least one die');
+      if (node.count > MAX_DICE) fail(`cannot roll more than ${MAX_DICE} dice at once`);
+      const km = /^(kh|kl|dh|dl|k)(\d+)/.exec(src.slice(pos));
+      if (km) {
+        pos += km[0].length;
+        node.keep = { mode: km[1] === 'k' ? 'kh' : km[1], n: parseInt(km[2], 10) };
+        if (node.keep.n > node.count) fail(`cannot keep or drop ${node.keep.n} of ${node.count} dice`);
+      }
+      node.text = src.slice(start, pos);
+      return node;
+    }
+    function product() {
+      let node = factor();
+      while (src[pos] === '*') {
+        pos++;
+        node = { type: 'mul', left: node, right: factor() };
+      }
+      return node;
+    }
+    function sum() {
+      let node;
+      if (src[pos] === '-' || src[pos] === '+') {
+        const op = src[pos++];
+        node = { type: op === '-' ? 'sub' : 'add', left: { type: 'const', value: 0 }, right: product() };
+      } else {
+        node = product();
+      }
+      while (src[pos] === '+' || src[pos] === '-') {
+        const op = src[pos++];
+        node = { type: op === '+' ? 'add' : 'sub', left: node, right: product() };
+      }
+      return node;
+    }
+    if (!src) fail('empty expression');
+    const tree = sum();
+    if (pos < src.length) fail(`unexpected "${src[pos]}"`);
+    return tree;
+  }
+
+  // Number of dice a dice node keeps after keep/drop.
+  function keptDiceCount(node) {
+    if (!node.keep) return node.count;
+    return node.keep.mode[0] === 'k' ? node.keep.n : node.count - node.keep.n;
+  }
+
+  // Roll a dice expression using the named random stream and add it to
+  // the roll log under `purpose` (defaults to the stream name).  Returns
+  //   { expression, total, dice: [{ notation, rolls, kept }], breakdown }
+  // where `kept` flags which of `rolls` counted towards the total and
+  // `breakdown` is a readable account such as '4d6[3, 5, 1, 6] × 50 = 750'.
+  // Dropped dice are shown in parentheses.
+  function rollDiceExpression(expr, stream, purpose) {
+    const tree = parseDiceExpression(expr);
+    const dice = [];
+    function evaluate(node) {
+      switch (node.type) {
+        case 'const':
+          return { value: node.value, text: String(node.value) };
+        case 'dice': {
+          const rolls = [];
+          for (let i = 0; i < node.count; i++) rolls.push(rollDie(node.sides, stream));
+          const kept = rolls.map(() => true);
+          if (node.keep) {
+            // Order indices from lowest to highest roll and mark the
+            // dice that fall outside the kept range.
+            const order = rolls.map((r, i) => i).sort((a, b) => rolls[a] - rolls[b]);
+            const keepCount = keptDiceCount(node);
+            const dropLow = node.keep.mode === 'kh' || node.keep.mode === 'dl';
+            const dropped = dropLow ? order.slice(0, node.count - keepCount) : order.slice(keepCount);
+            dropped.forEach(i => { kept[i] = false; });
+          }
+          const value = rolls.reduce((sum, r, i) => sum + (kept[i] ? r : 0), 0);
+          dice.push({ notation: node.text, rolls, kept });
+          const shown = rolls.map((r, i) => (kept[i] ? String(r) : `(${r})`)).join(', ');
+          return { value, text: `${node.text}[${shown}]` };
+        }
+        default: {
+          const left = evaluate(node.left);
+          const right = evaluate(node.right);
+          if (node.type === 'mul') {
+            const wrap = (n, r) => (n.type === 'add' || n.type === 'sub' ? `(${r.text})` : r.text);
+            return { value: left.value * right.value, text: `${wrap(node.left, left)} × ${wrap(node.right, right)}` };
+          }
+          const leadingSign = node.left.type === 'const' && node.left.value === 0 && left.text === '0';
+          if (node.type === 'add') {
+            return { value: left.value + right.value, text: leadingSign ? right.text : `${left.text} + ${right.text}` };
+          }
+          return { value: left.value - right.value, text: leadingSign ? `−${right.text}` : `${left.text} − ${right.text}` };
+        }
+      }
+    }
+    const result = evaluate(tree);
+    const roll = {
+      expression: String(expr),
+      total: result.value,
+      dice,
+      breakdown: `${result.text} = ${result.value}`
+    };
+    const log = (rollTarget || character).rollLog;
+    log.push({ purpose: purpose || stream, expression: roll.expression, total: roll.total, breakdown: roll.breakdown });
+    if (log.length > ROLL_LOG_LIMIT) log.splice(0, log.length - ROLL_LOG_LIMIT);
+    return roll;
+  }
+
+  // Smallest and largest possible results of a dice expression, as
+  // { min, max }.
+  function diceExpressionRange(expr) {
+    function range(node) {
+      switch (node.type) {
+        case 'const':
+          return { min: node.value, max: node.value };
+        case 'dice': {
+          const kept = keptDiceCount(node);
+          return { min: kept, max: kept * node.sides };
+        }
+        default: {
+          const l = range(node.left);
+          const r = range(node.right);
+          if (node.type === 'add') return { min: l.min + r.min, max: l.max + r.max };
+          if (node.type === 'sub') return { min: l.min - r.max, max: l.max - r.min };
+          const products = [l.min * r.min, l.min * r.max, l.max * r.min, l.max * r.max];
+          return { min: Math.min(...products), max: Math.max(...products) };
+        }
+      }
+    }
+    return range(parseDiceExpression(expr));
+  }
+
+  /* ----------------------------------------------------------------------
+   * Utility functions
+   */
+
+  // Damage modifier table from the Mythras SRD.  Returns a string such
+  // as '+1d4' based on total STR+SIZ.
+  function damageModifier(total) {
+    if (total <= 5) return '-1d8';
+    if (total <= 10) return '-1d6';
+    if (total <= 15) return '-1d4';
+    if (total <= 20) return '-1d2';
+    if (total <= 25) return '0';
+    if (total <= 30) return '+1d2';
+    if (total <= 35) return '+1d4';
+    if (total <= 40) return '+1d6';
+    if (total <= 45) return '+1d8';
+    if (total <= 50) return '+1d10';
+    if (total <= 60) return '+1d12';
+    if (total <= 70) return '+2d6';
+    if (total <= 80) return '+1d8+1d6';
+    if (total <= 90) return '+2d8';
+    if (total <= 100) return '+1d10+1d8';
+    if (total <= 110) return '+2d10';
+    if (total <= 120) return '+2d10+1d2';
+    const extra = Math.floor((total - 120) / 10);
+    return `+2d10+${extra}d2`;
+  }
+
+  // Armour points on each armour location of a character or snapshot,
+  // from the pieces in its `armour`: { head, arm, chest, abdomen, leg }.
+  function armourPoints(ch) {
+    const ap = {};
+    ARMOUR_LOCATIONS.forEach(({ key }) => {
+      const item = ch.armour && ch.armour[key] ? findEquipmentItem(ch.armour[key]) : null;
+      ap[key] = item && item.armour ? item.armour.ap : 0;
+    });
+    return ap;
+  }
+
+  // Armour penalty: the AP of every hit location of the species (seven
+  // for humans) added together, divided by five and rounded up.  It is
+  // taken off Initiative.
+  function armourPenalty(ch) {
+    const ap = armourPoints(ch);
+    return Math.ceil(speciesOf(ch).hitLocations.reduce((sum, loc) => sum + ap[loc.armour], 0) / 5);
+  }
+
+  // Initiative bonus: the average of DEX and INT less the armour penalty.
+  function initiativeBonus(ch) {
+    return Math.floor((ch.attributes.DEX + ch.attributes.INT) / 2) - armourPenalty(ch);
+  }
+
+  // Total ENC of everything a character or snapshot owns.
+  function totalEnc(ch) {
+    return ch.equipment.reduce((sum, entry) => {
+      const item = findEquipmentItem(entry.id);
+      return sum + (item ? item.enc * entry.qty : 0);
+    }, 0);
+  }
+
+  // Encumbrance of a character or snapshot against its STR+SIZ:
+  // { enc, capacity, level, movement } where level is an entry of
+  // ENCUMBRANCE_LEVELS and movement adjusts the species' Movement.
+  function encumbrance(ch) {
+    const capacity = ch.attributes.STR + ch.attributes.SIZ;
+    const enc = totalEnc(ch);
+    const level = ENCUMBRANCE_LEVELS.find(l => enc <= capacity * l.limit);
+    return { enc, capacity, level, movement: level.movement(speciesOf(ch).movement) };
+  }
+
+  // The hit location table of a character or snapshot in 1d20 order:
+  // [{ range, name, ap, hp }].  Each of the species' locations takes the
+  // hit points of a humanoid location plus its own modifier.
+  function hitLocationRows(ch) {
+    const hp = hitPointsPerLocation(ch.attributes.CON + ch.attributes.SIZ);
+    const ap = armourPoints(ch);
+    return speciesOf(ch).hitLocations.map(loc => ({
+      range: loc.range,
+      name: loc.name,
+      ap: ap[loc.armour],
+      hp: Math.max(1, hp[loc.hp] + loc.hpModifier)
+    }));
+  }
+
+  // Experience modifier based on CHA.
+  function experienceModifier(cha) {
+    if (cha <= 6) return -1;
+    if (cha <= 12) return 0;
+    if (cha <= 18) return 1;
+    return 1 + Math.floor((cha - 13) / 6);
+  }
+
+  // Healing rate based on CON.
+  function healingRate(con) {
+    if (con <= 6) return 1;
+    if (con <= 12) return 2;
+    if (con <= 18) return 3;
+    return 3 + Math.floor((con - 13) / 6);
+  }
+
+  // Magic Points equal POW.
+  function magicPoints(pow) {
+    return pow;
+  }
+
+  // Luck points based on POW.
+  function luckPoints(pow) {
+    if (pow <= 6) return 1;
+    if (pow <= 12) return 2;
+    if (pow <= 18) return 3;
+    return 3 + Math.floor((pow - 13) / 6);
+  }
+
+  // Action Points from INT+DEX: one per 12 points, rounded up.
+  function actionPoints(total) {
+    return Math.max(1, Math.ceil(total / 12));
+  }
+
+  // Hit points per location table based on CON+SIZ.
+  function hitPointsPerLocation(total) {
+    const idx = Math.min(Math.floor((total - 1) / 5), 7);
+    const base = [
+      { head:1, chest:3, abdomen:2, arm:1, leg:1 },
+      { head:2, chest:4, abdomen:3, arm:1, leg:2 },
+      { head:3, chest:5, abdomen:4, arm:2, leg:3 },
+      { head:4, chest:6, abdomen:5, arm:3, leg:4 },
+      { head:5, chest:7, abdomen:6, arm:4, leg:5 },
+      { head:6, chest:8, abdomen:7, arm:5, leg:6 },
+      { head:7, chest:9, abdomen:8, arm:6, leg:7 },
+      { head:8, chest:10, abdomen:9, arm:7, leg:8 }
+    ][idx];
+    const extra = Math.max(0, Math.floor((total - 40) / 5));
+    return {
+      head: base.head + extra,
+      chest: base.chest + extra,
+      abdomen: base.abdomen + extra,
+      arm: base.arm + extra,
+      leg: base.leg + extra
+    };
+  }
+
+  // Every derived attribute of a character or snapshot, in sheet order:
+  // [{ key, name, value, formula }].  `value` is ready for display and
+  // `formula` explains how it was worked out, for hover text.  The
+  // attributes page, summary, sheet and NPC export all read from here;
+  // hit points per location come from hitLocationRows().
+  function derivedAttributes(ch) {
+    const a = ch.attributes;
+    const xp = experienceModifier(a.CHA);
+    const penalty = armourPenalty(ch);
+    const load = encumbrance(ch);
+    const steps = 'then one more per 6 points';
+    return [
+      { key: 'actionPoints', name: 'Action Points', value: actionPoints(a.INT + a.DEX),
+        formula: `INT+DEX ${a.INT + a.DEX}: one per 12 points, rounded up` },
+      { key: 'damageModifier', name: 'Damage Modifier', value: damageModifier(a.STR + a.SIZ),
+        formula: `STR+SIZ ${a.STR + a.SIZ} on the damage modifier table` },
+      { key: 'experienceModifier', name: 'Experience Modifier', value: xp >= 0 ? '+' + xp : String(xp),
+        formula: `CHA ${a.CHA}: −1 up to 6, 0 up to 12, +1 up to 18, ${steps}` },
+      { key: 'healingRate', name: 'Healing Rate', value: healingRate(a.CON),
+        formula: `CON ${a.CON}: 1 up to 6, 2 up to 12, 3 up to 18, ${steps}` },
+      { key: 'initiative', name: 'Initiative Bonus', value: initiativeBonus(ch),
+        formula: `(DEX+INT)/2 rounded down = ${Math.floor((a.DEX + a.INT) / 2)}, less the armour penalty` },
+      { key: 'armourPenalty', name: 'Armour Penalty', value: penalty,
+        formula: `AP of all ${speciesOf(ch).hitLocations.length} hit locations added together, divided by 5 and rounded up` },
+      { key: 'luckPoints', name: 'Luck Points', value: luckPoints(a.POW),
+        formula: `POW ${a.POW}: 1 up to 6, 2 up to 12, 3 up to 18, ${steps}` },
+      { key: 'magicPoints', name: 'Magic Points', value: magicPoints(a.POW),
+        formula: `Equal to POW (${a.POW})` },
+      { key: 'movement', name: 'Movement Rate', value: `${load.movement} m`,
+        formula: `${speciesOf(ch).name} Movement ${speciesOf(ch).movement} m, ${load.level.name.toLowerCase()} (ENC ${load.enc} of STR+SIZ ${load.capacity})` }
+    ];
+  }
+
+  // Compute the base value of a skill for a character or snapshot.
+  // Looks up in standardSkills first, then professionalSkills, defaulting
+  // to 0 if unknown.  Known skills get the species' modifier.
+  function computeSkillBase(skillName, ch) {
+    // Normalise to remove parentheses e.g. 'Lore (any)' -> 'Lore'
+    const key = skillName.split('(')[0].trim();
+    let val = 0;
+    if (standardSkills[key]) {
+      val = standardSkills[key].formula(ch.attributes) + speciesSkillModifier(ch, skillName);
+    } else if (professionalSkills[key]) {
+      val = professionalSkills[key].formula(ch.attributes) + speciesSkillModifier(ch, skillName);
+    } else {
+      val = 0;
+    }
+    // Mythras rule: any skill has at least 5%.  Customs and Native Tongue
+    // already include their bonuses via the formula definition.
+    return Math.max(5, val);
+  }
+
+  // Points added to a skill's base: the culture, career and bonus pools
+  // and any improvement gained through advancement.
+  function allocatedPoints(alloc) {
+    return alloc ? alloc.culture + alloc.career + alloc.bonus + (alloc.experience || 0) : 0;
+  }
+
+  // Escape text for inclusion in HTML built from template strings.  Names
+  // and other free text may come from imported files or shared links.
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
+  // Format a percentage value with two digits of padding.  E.g. 5 -> '05%'
+  function pct(value) {
+    return `${value.toString().padStart(2, '0')}%`;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Point‑buy helper functions
+   */
+
+  // Compute and update the remaining points when using the point‑buy
+  // method.  The baseline total for attributes is 70 (10 points per
+  // attribute).  Remaining = poolTotal + baselineSum − sum(attributes).
+  function updatePointPoolDisplay() {
+    // Compute the remaining points.  The player spends from the pool to
+    // raise attributes above their species minimums (for humans 8 for INT
+    // and SIZ and 3 for the rest).  The remaining points equal
+    // pointPoolTotal minus the total cost paid so far.
+    const remaining = character.pointPoolTotal - pointBuyCost(character);
+    character.pointPoolRemaining = remaining;
+    const poolElem = $('pointPool');
+    poolElem.textContent = `Point Pool: ${remaining}`;
+    if (remaining < 0) {
+      poolElem.style.color = 'red';
+    } else {
+      poolElem.style.color = '';
+    }
+  }
+
+  // Render checkboxes for selecting up to three professional skills for
+  // both culture and career.  This function populates the
+  // #cultureProfs and #careerProfs containers with checkboxes and
+  // attaches change listeners to enforce the selection limit.
+  function renderProfessionalSelectors() {
+    const cul = cultures[character.culture];
+    const car = careers[character.career];
+    const culContainer = $('cultureProfs');
+    const carContainer = $('careerProfs');
+    // Clear existing
+    culContainer.innerHTML = '';
+    carContainer.innerHTML = '';
+    // Helper to create checkboxes
+    function createCheckbox(skill, type) {
+      const id = `${type}-${skill.replace(/\s+/g, '_').replace(/[^\w]/g, '')}`;
+      const label = document.createElement('label');
+      label.style.display = 'inline-block';
+      label.style.marginRight = '0.5rem';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.id = id;
+      cb.value = skill;
+      // Set checked state based on selection set
+      if (type === 'culture') {
+        cb.checked = selectedCultureProfs.has(skill);
+      } else {
+        cb.checked = selectedCareerProfs.has(skill);
+      }
+      cb.addEventListener('change', () => {
+        if (type === 'culture') {
+          if (cb.checked) {
+            // add
+            if (selectedCultureProfs.size >= campaign.professionalSkills) {
+              // limit reached: revert
+              cb.checked = false;
+              alert(`You may select up to ${campaign.professionalSkills} culture professional skills`);
+              return;
+            }
+            selectedCultureProfs.add(skill);
+          } else {
+            selectedCultureProfs.delete(skill);
+            // Reset any allocations for this skill to culture pool
+            if (character.skillAlloc[skill]) {
+              character.pools.culture += character.skillAlloc[skill].culture;
+              character.skillAlloc[skill].culture = 0;
+            }
+          }
+        } else {
+          if (cb.checked) {
+            if (selectedCareerProfs.size >= campaign.professionalSkills) {
+              cb.checked = false;
+              alert(`You may select up to ${campaign.professionalSkills} career professional skills`);
+              return;
+            }
+            selectedCareerProfs.add(skill);
+          } else {
+            selectedCareerProfs.delete(skill);
+            if (character.skillAlloc[skill]) {
+              character.pools.career += character.skillAlloc[skill].career;
+              character.skillAlloc[skill].career = 0;
+            }
+          }
+        }
+        updatePoolsDisplay();
+        updateSkillTable();
+        updateSummary();
+      });
+      label.appendChild(cb);
+      const span = document.createElement('span');
+      span.textContent = ` ${skill}`;
+      label.appendChild(span);
+      return label;
+    }
+    // Culture professional skills
+    cul.professional.forEach(skill => {
+      culContainer.appendChild(createCheckbox(skill, 'culture'));
+    });
+    // Career professional skills
+    car.professional.forEach(skill => {
+      carContainer.appendChild(createCheckbox(skill, 'career'));
+    });
+  }
+
+  // Handle change of generation method (roll vs point buy).  Show
+  // appropriate controls and initialise point pool when necessary.
+  function methodChanged() {
+    const methodSel = $('method');
+    const selected = methodSel.value;
+    character.method = selected;
+    applyMethodDisplay();
+    if (selected === 'point') {
+      // Initialise the pool from the campaign settings
+      character.pointPoolTotal = campaign.pointBuyPool;
+      // Reset attributes to the species minimums (for humans 3 for most,
+      // 8 for SIZ and INT)
+      ATTRIBUTE_KEYS.forEach(key => {
+        character.attributes[key] = attributeRange(character, key).min;
+        $(key).value = character.attributes[key];
+      });
+      updatePointPoolDisplay();
+      updateDerivedDisplay();
+      updateSkillTable();
+      updatePoolsDisplay();
+      updateSummary();
+    }
+  }
+
+  // Show or hide the roll button and point pool to match the current
+  // generation method without touching any attribute values.  Used both
+  // when the method select changes and when a saved character is loaded.
+  function applyMethodDisplay() {
+    const isRoll = character.method === 'roll';
+    $('rollBtnContainer').style.display = isRoll ? 'block' : 'none';
+    $('pointPool').style.display = isRoll ? 'none' : 'block';
+  }
+
+  /* ----------------------------------------------------------------------
+   * DOM helpers
+   */
+
+  function $(id) { return document.getElementById(id); }
+
+  // Populate a select element with options.  Accepts an array of
+  // objects with `value` and `label` properties.
+  function populateSelect(selectElem, options) {
+    selectElem.innerHTML = '';
+    options.forEach(opt => {
+      const el = document.createElement('option');
+      el.value = opt.value;
+      el.textContent = opt.label;
+      selectElem.appendChild(el);
+    });
+  }
+
+  // Populate the Bonus Skill dropdown with all known skills.  This list
+  // includes every Standard skill and every Professional skill from
+  // every culture and career.  The select is sorted alphabetically and
+  // provides an empty option and keeps the current selection.  It is
+  // called again whenever homebrew content changes the skill lists.
+  function populateBonusSkillSelect() {
+    const sel = $('bonusSkill');
+    if (!sel) return;
+    const sorted = Array.from(collectKnownSkills()).sort();
+    sel.innerHTML = '';
+    const empty = document.createElement('option');
+    empty.value = '';
+    empty.textContent = '— Select —';
+    sel.appendChild(empty);
+    sorted.forEach(skill => {
+      const opt = document.createElement('option');
+      opt.value = skill;
+      opt.textContent = skill;
+      sel.appendChild(opt);
+    });
+    sel.value = selectedBonusSkill || '';
+  }
+
+  // When the bonus skill selection changes the previous bonus allocation
+  // is refunded and the new skill receives an automatic allocation from
+  // the bonus pool (up to campaign.bonusSkillPoints).
+  function bonusSkillChanged() {
+    const sel = $('bonusSkill');
+    const newSkill = sel.value || null;
+    // Refund previous allocation
+    if (selectedBonusSkill && character.skillAlloc[selectedBonusSkill]) {
+      const alloc = character.skillAlloc[selectedBonusSkill];
+      const spent = alloc.bonus;
+      character.pools.bonus += spent;
+      alloc.bonus = 0;
+    }
+    selectedBonusSkill = newSkill;
+    if (newSkill) {
+      if (!character.skillAlloc[newSkill]) {
+        character.skillAlloc[newSkill] = { culture: 0, career: 0, bonus: 0 };
+      }
+      const alloc = character.skillAlloc[newSkill];
+      const available = character.pools.bonus;
+      const allocation = Math.min(campaign.bonusSkillPoints, available);
+      alloc.bonus += allocation;
+      character.pools.bonus -= allocation;
+    }
+    updatePoolsDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Update the Age Info display and pools when the age category changes.
+  function updateAgeInfo() {
+    const ageSel = $('ageCat');
+    const cat = ageSel.value;
+    const data = ageCategories[cat];
+    character.age = cat;
+    rollAge();
+    // Reset bonus pool and allocations when age changes
+    character.pools.bonus = data.bonus;
+    updatePoolsDisplay();
+    updateSkillTable();
+  }
+
+  // Show the bonus points, skill cap, age dice and rolled age for the
+  // current age category.
+  function renderAgeInfo() {
+    const data = ageCategories[character.age];
+    let info = `${data.bonus} bonus points, max increase ${data.max}% (age ${data.age})`;
+    if (character.ageYears !== null) {
+      info += ` — ${character.ageYears} years old: ${character.rolls.age}`;
+    }
+    $('ageInfo').textContent = info;
+  }
+
+  // Roll the character's age in years from the age category's dice.
+  function rollAge() {
+    const roll = rollDiceExpression(ageCategories[character.age].age, 'age', 'Age');
+    character.ageYears = roll.total;
+    character.rolls.age = roll.breakdown;
+    renderAgeInfo();
+    renderRollLog();
+    updateSummary();
+  }
+
+  // Fill the combat style select with the styles of the current culture.
+  function populateCombatStyleSelect() {
+    const def = cultures[character.culture];
+    populateSelect($('combatStyle'), def.combatStyles.map(s => ({ value: s, label: s })));
+  }
+
+  // The social class of a culture matching a d100 result.  Falls back to
+  // the first class if the table has gaps.
+  function socialClassForRoll(def, total) {
+    return def.socialClasses.find(cls => total >= cls.min && total <= cls.max) || def.socialClasses[0];
+  }
+
+  // Determine the social class from a 1d100 roll on the culture's table.
+  function rollSocialClass() {
+    const def = cultures[character.culture];
+    const roll = rollDiceExpression('1d100', 'socialClass', 'Social class');
+    const chosen = socialClassForRoll(def, roll.total);
+    character.socialClass = chosen.name;
+    character.rolls.socialClass = `${roll.breakdown} → ${chosen.name}`;
+    renderRollDetails();
+    renderRollLog();
+  }
+
+  // Update the social class and combat style options when culture changes.
+  function updateCultureOptions() {
+    const cultureSel = $('culture');
+    const cultureKey = cultureSel.value;
+    character.culture = cultureKey;
+    const def = cultures[cultureKey];
+    rollSocialClass();
+    // Populate combat style select
+    populateCombatStyleSelect();
+    $('combatStyle').value = def.combatStyles[0];
+    character.combatStyle = def.combatStyles[0];
+    dropStaleCombatStyles();
+    pruneFolkMagic();
+    // Update culture pool: characters receive the campaign's culture points
+    // (100 by the rules) to distribute among cultural standard skills and
+    // the selected professional skills.
+    character.pools.culture = campaign.culturePoints;
+    updatePoolsDisplay();
+    updateSkillTable();
+    updateSummary();
+    // Reset selected culture professional skills and render selectors
+    selectedCultureProfs.clear();
+    renderProfessionalSelectors();
+    renderMagic();
+  }
+
+  // Update the career options when a career is selected.
+  function updateCareerOptions() {
+    const careerSel = $('career');
+    const key = careerSel.value;
+    character.career = key;
+    const def = careers[key];
+    dropStaleCombatStyles();
+    // Set career pool to the campaign's career points (100 by the rules)
+    character.pools.career = campaign.careerPoints;
+    updatePoolsDisplay();
+    updateSkillTable();
+    updateSummary();
+    // Reset selected career professional skills and render selectors
+    selectedCareerProfs.clear();
+    renderProfessionalSelectors();
+  }
+
+  // Normalize a skill name by stripping any parenthetical qualifier.
+  // For example, "Craft (any)" and "Craft (Alchemy)" both normalise
+  // to "Craft".  This allows the allocation logic to treat all
+  // variations of a base skill as the same for the purposes of
+  // determining whether culture or career points may be spent on it.
+  function normalizeSkillName(name) {
+    return name.replace(/\s*\(.*\)/, '').trim();
+  }
+
+  // Combat styles are one skill per style, named like 'Combat Style
+  // (Berserker)', sharing the base of the generic Combat Style skill
+  // (STR+DEX in skills.json).  The generic skill itself is never shown.
+  const COMBAT_STYLE_SKILL = 'Combat Style';
+
+  function combatStyleSkill(style) {
+    return `${COMBAT_STYLE_SKILL} (${style})`;
+  }
+
+  function isCombatStyleSkill(skill) {
+    return normalizeSkillName(skill) === COMBAT_STYLE_SKILL;
+  }
+
+  // The combat styles of a character or snapshot: the cultural style
+  // chosen in the basics followed by any granted by the career.
+  function characterCombatStyles(ch) {
+    const styles = ch.combatStyle ? [ch.combatStyle] : [];
+    const career = careers[ch.career];
+    (career ? career.combatStyles : []).forEach(s => {
+      if (!styles.includes(s)) styles.push(s);
+    });
+    return styles;
+  }
+
+  // Which combat style skills each pool may be spent on.  Styles are
+  // matched by their full name, unlike other skills: culture points go
+  // to the cultural style, career points to the career's own styles and,
+  // for martial careers, the cultural style as well.
+  function combatStyleAllowance(ch) {
+    const career = careers[ch.career];
+    const culture = new Set(ch.combatStyle ? [combatStyleSkill(ch.combatStyle)] : []);
+    const careerSet = new Set((career ? career.combatStyles : []).map(combatStyleSkill));
+    if (career && career.martial && ch.combatStyle) careerSet.add(combatStyleSkill(ch.combatStyle));
+    return { culture, career: careerSet };
+  }
+
+  // Refund and remove allocations on combat styles the character no
+  // longer has, after the cultural style or career changed.
+  function dropStaleCombatStyles() {
+    const current = characterCombatStyles(character).map(combatStyleSkill);
+    Object.keys(character.skillAlloc).forEach(skill => {
+      if (!isCombatStyleSkill(skill) || current.includes(skill)) return;
+      const alloc = character.skillAlloc[skill];
+      ['culture', 'career', 'bonus'].forEach(pool => { character.pools[pool] += alloc[pool]; });
+      delete character.skillAlloc[skill];
+    });
+  }
+
+  // The cultural combat style select changed.
+  function combatStyleChanged() {
+    character.combatStyle = $('combatStyle').value;
+    dropStaleCombatStyles();
+    updatePoolsDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Collect every skill name the generator knows about: all standard
+  // skills plus the standard and professional skills listed by every
+  // culture and career, and a combat style skill for every style.
+  function collectKnownSkills() {
+    const skills = new Set(Object.keys(standardSkills));
+    skills.delete(COMBAT_STYLE_SKILL);
+    Object.values(cultures).forEach(c => {
+      c.standard.forEach(s => skills.add(s));
+      c.professional.forEach(s => skills.add(s));
+      c.combatStyles.forEach(s => skills.add(combatStyleSkill(s)));
+    });
+    Object.values(careers).forEach(c => {
+      c.standard.forEach(s => skills.add(s));
+      c.professional.forEach(s => skills.add(s));
+      c.combatStyles.forEach(s => skills.add(combatStyleSkill(s)));
+    });
+    Object.keys(combatStyles).forEach(s => skills.add(combatStyleSkill(s)));
+    return skills;
+  }
+
+  // Build the skills table based on selected culture, career and any
+  // allocations.  Each skill shows its base value and editable fields
+  // for culture, career and bonus allocations.  Remaining pool
+  // counters are updated accordingly.
+  function updateSkillTable() {
+    const tableBody = $('skillsTableBody');
+    tableBody.innerHTML = '';
+    // Determine which skills should appear: all standard skills plus
+    // selected culture and career skills.  We'll also include any
+    // skills that the user has allocated points to already.
+    const skillSet = new Set(Object.keys(standardSkills));
+    skillSet.delete(COMBAT_STYLE_SKILL);
+    characterCombatStyles(character).forEach(s => skillSet.add(combatStyleSkill(s)));
+    const cul = cultures[character.culture];
+    const car = careers[character.career];
+    cul.standard.forEach(s => skillSet.add(s));
+    cul.professional.forEach(s => skillSet.add(s));
+    car.standard.forEach(s => skillSet.add(s));
+    car.professional.forEach(s => skillSet.add(s));
+    Object.keys(character.skillAlloc).forEach(s => skillSet.add(s));
+    // Convert to sorted array
+    const skills = Array.from(skillSet).sort();
+    // Precompute allowed sets for culture and career pools.  Culture
+    // points may be spent on culture standard skills and on the
+    // user‑selected culture professional skills; career points may be
+    // spent on career standard skills and on the selected career
+    // professional skills.
+    // Determine which base skills may receive culture or career points.  We
+    // normalise all entries to their base name to match professional
+    // selections such as "Craft (any)" against table rows like
+    // "Craft (Primary)".  selectedCultureProfs and selectedCareerProfs
+    // may contain fully qualified names such as "Craft (any)";
+    // normalising both sides ensures consistent membership tests.
+    const cultureAllowed = new Set([
+      ...cul.standard.map(normalizeSkillName),
+      ...Array.from(selectedCultureProfs).map(normalizeSkillName)
+    ]);
+    const careerAllowed = new Set([
+      ...car.standard.map(normalizeSkillName),
+      ...Array.from(selectedCareerProfs).map(normalizeSkillName)
+    ]);
+    const styleAllowed = combatStyleAllowance(character);
+    skills.forEach(skill => {
+      const tr = document.createElement('tr');
+      // Determine if this skill is relevant to culture, career or bonus
+      // Normalise the row skill name for membership tests; combat styles
+      // are matched by their full name instead.
+      const baseName = normalizeSkillName(skill);
+      const isStyle = isCombatStyleSkill(skill);
+      const isCultureSkill = isStyle ? styleAllowed.culture.has(skill) : cultureAllowed.has(baseName);
+      const isCareerSkill = isStyle ? styleAllowed.career.has(skill) : careerAllowed.has(baseName);
+      const isBonusSelected = selectedBonusSkill && (isStyle ? selectedBonusSkill === skill : normalizeSkillName(selectedBonusSkill) === baseName);
+      if (isCultureSkill || isCareerSkill || isBonusSelected) {
+        tr.classList.add('skill-allowed');
+      }
+      // Name cell
+      const nameTd = document.createElement('td');
+      nameTd.textContent = skill;
+      const style = isStyle && combatStyles[skill.slice(COMBAT_STYLE_SKILL.length + 2, -1)];
+      if (style) nameTd.title = `Weapons: ${style.weapons.join(', ')}. Trait: ${style.trait}.`;
+      tr.appendChild(nameTd);
+      // Base value cell with formula display
+      const baseTd = document.createElement('td');
+      const base = computeSkillBase(skill, character);
+      const speciesMod = speciesSkillModifier(character, skill);
+      const formula = [skillFormulaStrings[isStyle ? COMBAT_STYLE_SKILL : skill] || '',
+        speciesMod ? `${escapeHtml(speciesOf(character).name)} ${speciesMod > 0 ? '+' : ''}${speciesMod}` : ''].filter(Boolean).join(', ');
+      baseTd.innerHTML = `<span>${pct(base)}</span>${formula ? `<br><small class="formula">${formula}</small>` : ''}`;
+      tr.appendChild(baseTd);
+      // Culture allocation
+      const culTd = document.createElement('td');
+      const culInput = document.createElement('input');
+      culInput.type = 'number';
+      culInput.min = 0;
+      culInput.max = ageCategories[character.age].max;
+      culInput.value = character.skillAlloc[skill]?.culture || 0;
+      if (!isCultureSkill) {
+        culInput.disabled = true;
+        culInput.classList.add('disabled');
+      }
+      culInput.oninput = () => {
+        let v = parseInt(culInput.value, 10) || 0;
+        const maxAlloc = ageCategories[character.age].max;
+        // Clamp to maximum but continue processing
+        if (v > maxAlloc) {
+          v = maxAlloc;
+          culInput.value = maxAlloc;
+        }
+        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
+        const diff = v - character.skillAlloc[skill].culture;
+        if (character.pools.culture - diff < 0) {
+          // Not enough points, revert input
+          culInput.value = character.skillAlloc[skill].culture;
+          return;
+        }
+        character.skillAlloc[skill].culture = v;
+        character.pools.culture -= diff;
+        updatePoolsDisplay();
+        updateSummary();
+        totalTd.textContent = pct(base + allocatedPoints(character.skillAlloc[skill]));
+      };
+      culTd.appendChild(culInput);
+      tr.appendChild(culTd);
+      // Career allocation
+      const carTd = document.createElement('td');
+      const carInput = document.createElement('input');
+      carInput.type = 'number';
+      carInput.min = 0;
+      carInput.max = ageCategories[character.age].max;
+      carInput.value = character.skillAlloc[skill]?.career || 0;
+      if (!isCareerSkill) {
+        carInput.disabled = true;
+        carInput.classList.add('disabled');
+      }
+      carInput.oninput = () => {
+        let v = parseInt(carInput.value, 10) || 0;
+        const maxAlloc = ageCategories[character.age].max;
+        if (v > maxAlloc) {
+          v = maxAlloc;
+          carInput.value = maxAlloc;
+        }
+        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
+        const diff = v - character.skillAlloc[skill].career;
+        if (character.pools.career - diff < 0) {
+          carInput.value = character.skillAlloc[skill].career;
+          return;
+        }
+        character.skillAlloc[skill].career = v;
+        character.pools.career -= diff;
+        updatePoolsDisplay();
+        updateSummary();
+        totalTd.textContent = pct(base + allocatedPoints(character.skillAlloc[skill]));
+      };
+      carTd.appendChild(carInput);
+      tr.appendChild(carTd);
+      // Bonus allocation
+      const bonusTd = document.createElement('td');
+      const bonusInput = document.createElement('input');
+      bonusInput.type = 'number';
+      bonusInput.min = 0;
+      bonusInput.max = ageCategories[character.age].max;
+      bonusInput.value = character.skillAlloc[skill]?.bonus || 0;
+      bonusInput.oninput = () => {
+        let v = parseInt(bonusInput.value, 10) || 0;
+        const maxAlloc = ageCategories[character.age].max;
         if (v > maxAlloc) {
           v = maxAlloc;
           bonusInput.value = maxAlloc;
         }
-        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
-        const diff = v - character.skillAlloc[skill].bonus;
-        if (character.pools.bonus - diff < 0) {
-          bonusInput.value = character.skillAlloc[skill].bonus;
-          return;
+        if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
+        const diff = v - character.skillAlloc[skill].bonus;
+        if (character.pools.bonus - diff < 0) {
+          bonusInput.value = character.skillAlloc[skill].bonus;
+          return;
+        }
+        character.skillAlloc[skill].bonus = v;
+        character.pools.bonus -= diff;
+        updatePoolsDisplay();
+        updateSummary();
+        totalTd.textContent = pct(base + allocatedPoints(character.skillAlloc[skill]));
+      };
+      bonusTd.appendChild(bonusInput);
+      tr.appendChild(bonusTd);
+      // Total cell
+      const totalTd = document.createElement('td');
+      const experience = character.skillAlloc[skill]?.experience || 0;
+      totalTd.textContent = pct(base + allocatedPoints(character.skillAlloc[skill]));
+      if (experience) totalTd.title = `Includes +${experience} from advancement`;
+      tr.appendChild(totalTd);
+      tableBody.appendChild(tr);
+    });
+  }
+
+  // Update the display of remaining pools.
+  function updatePoolsDisplay() {
+    $('culturePool').textContent = character.pools.culture;
+    $('careerPool').textContent = character.pools.career;
+    $('bonusPool').textContent = character.pools.bonus;
+  }
+
+  // Roll attributes with the species' dice.  Updates the character's
+  // attribute object and derived stats.
+  function rollAttributes() {
+    // Roll attributes following the species template: for humans 3d6 for
+    // STR, CON, DEX, POW and CHA and 2d6+6 for SIZ and INT.  Results
+    // replace existing values and are kept within range.
+    Object.keys(character.attributes).forEach(key => rollAttribute(character, key));
+    updateAttributeInputs();
+    renderRollDetails();
+    renderRollLog();
+    updateDerivedDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Update attribute input boxes to reflect current values.
+  function updateAttributeInputs() {
+    for (const key of Object.keys(character.attributes)) {
+      const input = $(key);
+      input.value = character.attributes[key];
+    }
+  }
+
+  // When an attribute input changes, update state and recompute
+  // dependent values.
+  function attributeInputChanged(evt) {
+    const key = evt.target.id;
+    let newVal = parseInt(evt.target.value, 10) || 0;
+    // Minimum and maximum values come from the species: human attributes
+    // range from 3–18 but INT and SIZ have a minimum of 8 because they
+    // are generated by 2d6+6.  The campaign setting moves the maximum.
+    const { min, max } = attributeRange(character, key);
+    if (newVal < min) newVal = min;
+    if (newVal > max) newVal = max;
+    // If using point buy, enforce pool restrictions
+    if ($('method').value === 'point') {
+      // Compute tentative remaining after this change
+      const oldVal = character.attributes[key];
+      character.attributes[key] = newVal;
+      updatePointPoolDisplay();
+      if (character.pointPoolRemaining < 0) {
+        // Not enough points: revert to old value
+        character.attributes[key] = oldVal;
+        evt.target.value = oldVal;
+        updatePointPoolDisplay();
+        return;
+      } else {
+        // Accept change
+        evt.target.value = newVal;
+      }
+    } else {
+      // Roll or manual method: accept new value
+      character.attributes[key] = newVal;
+      evt.target.value = newVal;
+    }
+    updateDerivedDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Update the derived statistics display.
+  function updateDerivedDisplay() {
+    $('derived').innerHTML = `
+      ${derivedAttributes(character).map(d => `<div title="${escapeHtml(d.formula)}"><strong>${d.name}:</strong> ${d.value}</div>`).join('')}
+      <div><strong>Hit Locations:</strong></div>
+      ${hitLocationTable(character)}
+    `;
+    // Carrying capacity follows STR and SIZ.
+    renderEncumbrance();
+  }
+
+  // The hit location table as HTML, for the attributes page and summary.
+  function hitLocationTable(ch) {
+    return `<table class="hit-locations-table" title="HP from CON+SIZ ${ch.attributes.CON + ch.attributes.SIZ}">
+        <thead><tr><th>1d20</th><th>Location</th><th>AP</th><th>HP</th></tr></thead>
+        <tbody>${hitLocationRows(ch).map(r => `<tr><td>${escapeHtml(r.range)}</td><td>${escapeHtml(r.name)}</td><td>${r.ap}</td><td>${r.hp}</td></tr>`).join('')}</tbody>
+      </table>`;
+  }
+
+  // Roll starting silver based on culture and social class.  This
+  // function looks up the culture's moneyDice and applies the social
+  // class multiplier.  The result is displayed and stored on the
+  // character.
+  function rollStartingSilver() {
+    const def = cultures[character.culture];
+    const roll = rollDiceExpression(def.moneyDice, 'silver', 'Starting silver');
+    const cls = def.socialClasses.find(c => c.name === character.socialClass) || def.socialClasses[0];
+    const total = Math.floor(roll.total * cls.mult);
+    // Anything already bought is paid for out of the new total.
+    character.money = total - spentSilver(character);
+    character.rolls.silver = `${roll.breakdown}; × ${cls.mult} (${cls.name}) = ${total} sp`;
+    showShopMessage('');
+    renderSilver();
+    renderRollDetails();
+    renderRollLog();
+    updateSummary();
+  }
+
+  // Show the breakdown of the latest attribute, social class and silver
+  // rolls next to the values they produced.
+  function renderRollDetails() {
+    const attrRolls = character.rolls.attributes || {};
+    $('attrRollDetails').textContent = Object.keys(attrRolls).length
+      ? 'Last roll: ' + Object.keys(attrRolls).map(k => `${k} ${attrRolls[k]}`).join('; ')
+      : '';
+    $('socialClassInfo').textContent = character.socialClass
+      ? `Social class: ${character.socialClass}${character.rolls.socialClass ? ` (${character.rolls.socialClass})` : ''}`
+      : '';
+    $('silverDetails').textContent = character.rolls.silver || '';
+  }
+
+  // Show total ENC against STR+SIZ and the penalties of the current
+  // encumbrance level.
+  function renderEncumbrance() {
+    const load = encumbrance(character);
+    const box = $('encumbranceInfo');
+    box.className = load.level.grade ? 'encumbrance report-warning' : 'encumbrance';
+    let text = `ENC ${load.enc} of ${load.capacity} (STR+SIZ): ${load.level.name}.`;
+    if (load.level.grade) {
+      text += ` Skills based on STR or DEX, combat styles included, are ${load.level.grade}; Movement ${load.movement} m.`;
+    }
+    text += ` Burdened above ${load.capacity}, Overloaded above ${load.capacity * 2}, Immobile above ${load.capacity * 3}.`;
+    box.textContent = text;
+  }
+
+  // Ids of the owned armour pieces that cover an armour location.
+  function armourFor(ch, location) {
+    return Array.from(new Set(ch.equipment.map(entry => entry.id))).filter(id => {
+      const item = findEquipmentItem(id);
+      return item && item.armour && item.armour.locations.includes(location);
+    });
+  }
+
+  // Put on a newly acquired armour piece: it is worn on every location
+  // it covers that has no armour yet.
+  function wearArmour(ch, id) {
+    const item = findEquipmentItem(id);
+    if (!item || !item.armour) return;
+    item.armour.locations.forEach(location => {
+      if (!ch.armour[location]) ch.armour[location] = id;
+    });
+  }
+
+  // Render the armour worn on each location, with a select of the owned
+  // pieces that cover it.
+  function renderArmourAssignments() {
+    const tbody = $('armourAssignments');
+    tbody.innerHTML = '';
+    const ap = armourPoints(character);
+    ARMOUR_LOCATIONS.forEach(({ key, name }) => {
+      const tr = document.createElement('tr');
+      const nameTd = document.createElement('td');
+      nameTd.textContent = name;
+      tr.appendChild(nameTd);
+      const selTd = document.createElement('td');
+      const sel = document.createElement('select');
+      populateSelect(sel, [{ value: '', label: 'None' }].concat(armourFor(character, key).map(id => ({ value: id, label: equipmentName(id) }))));
+      sel.value = character.armour[key] || '';
+      sel.addEventListener('change', () => {
+        if (sel.value) character.armour[key] = sel.value;
+        else delete character.armour[key];
+        renderArmourAssignments();
+        updateDerivedDisplay();
+        updateSummary();
+      });
+      selTd.appendChild(sel);
+      tr.appendChild(selTd);
+      const apTd = document.createElement('td');
+      apTd.textContent = ap[key];
+      tr.appendChild(apTd);
+      tbody.appendChild(tr);
+    });
+    const penalty = armourPenalty(character);
+    $('armourPenalty').textContent = penalty ? `Armour penalty: −${penalty} Initiative.` : '';
+  }
+
+  // Totals of every skill with points allocated in a character or
+  // snapshot, highest first, as [{ skill, total }].
+  function allocatedSkillTotals(ch) {
+    const rows = [];
+    Object.keys(ch.skillAlloc).forEach(skill => {
+      const alloc = ch.skillAlloc[skill];
+      const spent = allocatedPoints(alloc);
+      if (spent > 0) rows.push({ skill, total: computeSkillBase(skill, ch) + spent });
+    });
+    return rows.sort((a, b) => b.total - a.total);
+  }
+
+  // Weapon damage with a damage modifier added, e.g. '1d8' and '+1d2'
+  // give '1d8+1d2'.  A modifier of '0' leaves the damage unchanged.
+  function damageWithModifier(damage, modifier) {
+    return modifier === '0' ? damage : damage + modifier;
+  }
+
+  // The weapons and shields a character or snapshot owns, one row per
+  // kind with its statistics: [{ name, qty, damage, size, reach, effects,
+  // ap, hp, enc, styles }].  `reach` holds the range for missile weapons
+  // and `styles` the character's combat styles that include the weapon.
+  function weaponRows(ch) {
+    const a = ch.attributes;
+    const modifier = damageModifier(a.STR + a.SIZ);
+    const styles = characterCombatStyles(ch);
+    const rows = [];
+    equipmentQuantities(ch).forEach((qty, id) => {
+      const item = findEquipmentItem(id);
+      if (!item || !item.weapon) return;
+      const w = item.weapon;
+      rows.push({
+        name: item.name,
+        qty,
+        damage: w.damageModifier === false ? w.damage : damageWithModifier(w.damage, modifier),
+        size: w.size,
+        reach: w.range || w.reach,
+        effects: w.effects.join(', '),
+        ap: w.ap,
+        hp: w.hp,
+        enc: item.enc,
+        styles: styles.filter(s => combatStyles[s] && combatStyles[s].weapons.includes(item.name))
+      });
+    });
+    return rows;
+  }
+
+  // Each combat style of a character or snapshot with its total and its
+  // definition, as [{ name, total, weapons, trait, traitEffect }].
+  function combatStyleSummaries(ch) {
+    return characterCombatStyles(ch).map(name => {
+      const skill = combatStyleSkill(name);
+      const def = combatStyles[name] || { weapons: [], trait: '', traitEffect: '' };
+      return {
+        name,
+        total: computeSkillBase(skill, ch) + allocatedPoints(ch.skillAlloc[skill]),
+        weapons: def.weapons,
+        trait: def.trait,
+        traitEffect: def.traitEffect
+      };
+    });
+  }
+
+  // Update the summary section.  Displays basic character details and
+  // lists every skill with allocated points by total percentage.
+  function updateSummary() {
+    const sum = $('summaryContent');
+    // Gather skill totals for those with any allocated points
+    const rows = allocatedSkillTotals(character);
+    const skillListHtml = rows.map(r => `<li>${escapeHtml(r.skill)}: ${pct(r.total)}</li>`).join('');
+    // Build summary sections
+    const identity = `
+      <h3>Identity</h3>
+      <p><strong>Name:</strong> ${escapeHtml(character.name || '(Unnamed)')}<br>
+      <strong>Species:</strong> ${escapeHtml(speciesOf(character).name)}<br>
+      <strong>Culture:</strong> ${escapeHtml(cultures[character.culture].name)}<br>
+      <strong>Career:</strong> ${escapeHtml(careers[character.career].name)}<br>
+      <strong>Age:</strong> ${character.age}${character.ageYears !== null ? ` (${character.ageYears} years)` : ''}<br>
+      <strong>Social Class:</strong> ${escapeHtml(character.socialClass || '-')}<br>
+      <strong>Combat Style:</strong> ${escapeHtml(character.combatStyle || '-')}<br>
+      <strong>Silver:</strong> ${escapeHtml(character.money)} sp<br>
+      <strong>Seed:</strong> ${escapeHtml(character.seed)}</p>`;
+    const attribs = `
+      <h3>Attributes</h3>
+      <p>STR ${character.attributes.STR}, CON ${character.attributes.CON}, SIZ ${character.attributes.SIZ}, DEX ${character.attributes.DEX}, INT ${character.attributes.INT}, POW ${character.attributes.POW}, CHA ${character.attributes.CHA}</p>`;
+    const abilities = speciesAbilitiesHtml(character);
+    const abilitiesHtml = abilities ? `
+      <h3>Species Abilities</h3>
+      ${abilities}` : '';
+    // Derived stats
+    const load = encumbrance(character);
+    const derivedHtml = `
+      <h3>Derived</h3>
+      <p>${derivedAttributes(character).map(d => `<span title="${escapeHtml(d.formula)}">${d.name}: ${d.value}</span><br>`).join('\n      ')}
+      Encumbrance: ENC ${load.enc} of ${load.capacity}, ${load.level.name}${load.level.grade ? ` (STR and DEX skills ${load.level.grade})` : ''}</p>
+      ${hitLocationTable(character)}`;
+    const skillsHtml = `
+      <h3>Notable Skills</h3>
+      <ul>${skillListHtml || '<li>(no allocations yet)</li>'}</ul>`;
+    const stylesHtml = `
+      <h3>Combat Styles</h3>
+      <ul>${combatStyleSummaries(character).map(st => `<li><strong>${escapeHtml(st.name)} ${pct(st.total)}</strong>${st.weapons.length ? ` — ${escapeHtml(st.weapons.join(', '))}` : ''}${st.trait ? `<br><small>${escapeHtml(st.trait)}${st.traitEffect ? `: ${escapeHtml(st.traitEffect)}` : ''}</small>` : ''}</li>`).join('') || '<li>(none)</li>'}</ul>`;
+    const weapons = weaponRows(character);
+    const weaponsHtml = weapons.length === 0 ? '' : `
+      <h3>Weapons</h3>
+      <div class="table-responsive"><table class="weapons-table">
+        <thead><tr><th>Weapon</th><th>Damage</th><th>Size/Force</th><th>Reach/Range</th><th>Effects</th><th>AP/HP</th><th>ENC</th><th>Style</th></tr></thead>
+        <tbody>${weapons.map(w => `<tr><td>${escapeHtml(w.name)}${w.qty > 1 ? ` ×${w.qty}` : ''}</td><td>${escapeHtml(w.damage)}</td><td>${escapeHtml(w.size)}</td><td>${escapeHtml(w.reach)}</td><td>${escapeHtml(w.effects)}</td><td>${w.ap}/${w.hp}</td><td>${w.enc}</td><td>${escapeHtml(w.styles.join(', ') || '—')}</td></tr>`).join('')}</tbody>
+      </table></div>`;
+    const backgroundHtml = `
+      <h3>Background</h3>
+      ${backgroundSummaryHtml(character.background)}`;
+    const passionsHtml = `
+      <h3>Passions</h3>
+      ${character.passions.length > 0
+        ? `<ul>${character.passions.map(p => `<li>${escapeHtml(formatPassion(p))}: ${pct(passionValue(p, character.attributes))}</li>`).join('')}</ul>`
+        : '<p>(none)</p>'}`;
+    const magic = magicOverview();
+    const magicHtml = `
+      <h3>Magic</h3>
+      <p>Folk Magic ${pct(magic.folkMagic.total)}: ${escapeHtml(magic.folkMagic.spells.join(', ') || '(no spells)')}${magic.animism ? `<br>
+      Animism: Binding ${pct(magic.animism.binding)}${magic.animism.trance !== null ? `, Trance ${pct(magic.animism.trance)}` : ''}; spirits: ${escapeHtml(magic.animism.spirits.map(describeSpirit).join('; ') || 'none bound')}` : ''}${magic.traditions.map(t => `<br>
+      ${t.name}: ${describeTradition(t)}; ${escapeHtml(t.choices.join(', ') || 'none chosen')}`).join('')}</p>`;
+    const equipHtml = `
+      <h3>Equipment</h3>
+      <p>${character.equipment.length > 0 ? escapeHtml(describeEquipment(character).join(', ')) : '(none)'}</p>`;
+    sum.innerHTML = identity + attribs + abilitiesHtml + derivedHtml + stylesHtml + weaponsHtml + skillsHtml + passionsHtml + magicHtml + equipHtml + backgroundHtml;
+    renderCharacterSheet();
+    renderPassions();
+    renderMagic();
+    renderFinalise();
+    renderAdvancement();
+    scheduleHistory();
+  }
+
+  /* ----------------------------------------------------------------------
+   * Background
+   *
+   * An optional step that rolls a character's family, a few formative
+   * events and the allies, contacts and rivals they start with, using
+   * the tables in background.json.  Every entry is plain text the player
+   * may edit, and each can be re-rolled on its own.  Rolls use the
+   * 'background' stream so they do not disturb any other roll of the
+   * seed.
+   */
+
+  // The background fields in display order.  `table` gives the entries
+  // to roll on for a character and, for lists, `count` the dice for how
+  // many entries to roll.  `unique` lists never repeat an entry.
+  const BACKGROUND_FIELDS = [
+    { key: 'parents', title: 'Parents', purpose: 'Parents',
+      table: () => backgroundTables.parents },
+    { key: 'siblings', title: 'Siblings', purpose: 'Sibling', list: true,
+      table: () => backgroundTables.siblings, count: () => backgroundTables.siblingCount },
+    { key: 'reputation', title: 'Family Reputation', purpose: 'Family reputation',
+      table: () => backgroundTables.reputation },
+    { key: 'events', title: 'Background Events', purpose: 'Background event', list: true, unique: true,
+      table: ch => backgroundEvents(ch), count: () => backgroundTables.eventCount },
+    { key: 'allies', title: 'Allies', purpose: 'Ally', list: true, unique: true,
+      table: () => backgroundTables.connections.allies.descriptions, count: () => backgroundTables.connections.allies.count },
+    { key: 'contacts', title: 'Contacts', purpose: 'Contact', list: true, unique: true,
+      table: () => backgroundTables.connections.contacts.descriptions, count: () => backgroundTables.connections.contacts.count },
+    { key: 'rivals', title: 'Rivals', purpose: 'Rival', list: true, unique: true,
+      table: () => backgroundTables.connections.rivals.descriptions, count: () => backgroundTables.connections.rivals.count }
+  ];
+
+  // A background with nothing rolled yet.
+  function emptyBackground() {
+    return { parents: '', siblings: [], reputation: '', events: [], allies: [], contacts: [], rivals: [] };
+  }
+
+  // Whether anything has been rolled or written in a background.
+  function hasBackground(bg) {
+    return BACKGROUND_FIELDS.some(f => f.list ? bg[f.key].length > 0 : bg[f.key] !== '');
+  }
+
+  // The event table of a character's culture followed by the events
+  // common to every culture.
+  function backgroundEvents(ch) {
+    return [...(backgroundTables.events[ch.culture] || []), ...backgroundTables.events.common];
+  }
+
+  // Roll one entry of a field for a character or draft.  Entries in
+  // `exclude` are left out of the roll for unique lists.
+  function rollBackgroundEntry(ch, field, exclude) {
+    const table = field.unique ? field.table(ch).filter(e => !exclude.includes(e)) : field.table(ch);
+    if (table.length === 0) return '';
+    const roll = rollDiceExpression(`1d${table.length}`, 'background', field.purpose);
+    return table[roll.total - 1];
+  }
+
+  // Roll a whole field: a single entry, or a number of entries for lists.
+  function rollBackgroundField(ch, field) {
+    if (!field.list) {
+      ch.background[field.key] = rollBackgroundEntry(ch, field, []);
+      return;
+    }
+    const count = rollDiceExpression(field.count(), 'background', `Number of ${field.title.toLowerCase()}`).total;
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entry = rollBackgroundEntry(ch, field, entries);
+      if (entry) entries.push(entry);
+    }
+    ch.background[field.key] = entries;
+  }
+
+  // Roll every background field of a character or draft.
+  function rollBackground(ch) {
+    BACKGROUND_FIELDS.forEach(field => rollBackgroundField(ch, field));
+  }
+
+  function backgroundChanged() {
+    renderBackground();
+    renderRollLog();
+    updateSummary();
+  }
+
+  // Roll the whole background of the current character, after asking
+  // before replacing one that already exists.
+  function rollWholeBackground() {
+    if (hasBackground(character.background) && !confirm('Replace the whole background, including your edits?')) return;
+    rollBackground(character);
+    backgroundChanged();
+  }
+
+  // A text input for one background entry with its buttons, as a row.
+  function backgroundRow(value, onEdit, buttons) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.addEventListener('change', () => onEdit(input.value.trim()));
+    td.appendChild(input);
+    tr.appendChild(td);
+    const actions = document.createElement('td');
+    actions.className = 'background-actions';
+    buttons.forEach(([label, handler]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = label;
+      btn.addEventListener('click', handler);
+      actions.appendChild(btn);
+    });
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  // Render the background step: each field with its entries, which can
+  // be edited, re-rolled or removed, and buttons to roll more.
+  function renderBackground() {
+    const container = $('backgroundFields');
+    container.innerHTML = '';
+    const bg = character.background;
+    BACKGROUND_FIELDS.forEach(field => {
+      const heading = document.createElement('h3');
+      heading.textContent = field.title;
+      container.appendChild(heading);
+      const table = document.createElement('table');
+      table.className = 'editor-table background-table';
+      const tbody = document.createElement('tbody');
+      if (field.list) {
+        bg[field.key].forEach((entry, index) => {
+          tbody.appendChild(backgroundRow(entry, text => { bg[field.key][index] = text; updateSummary(); }, [
+            ['Re-roll', () => {
+              bg[field.key][index] = rollBackgroundEntry(character, field, bg[field.key]) || entry;
+              backgroundChanged();
+            }],
+            ['Remove', () => { bg[field.key].splice(index, 1); backgroundChanged(); }]
+          ]));
+        });
+      } else {
+        tbody.appendChild(backgroundRow(bg[field.key], text => { bg[field.key] = text; updateSummary(); }, [
+          ['Re-roll', () => { bg[field.key] = rollBackgroundEntry(character, field, []); backgroundChanged(); }]
+        ]));
+      }
+      table.appendChild(tbody);
+      container.appendChild(table);
+      if (field.list) {
+        const controls = document.createElement('div');
+        const more = document.createElement('button');
+        more.type = 'button';
+        more.className = 'small-btn';
+        more.textContent = 'Roll Another';
+        more.disabled = field.unique && field.table(character).every(e => bg[field.key].includes(e));
+        more.addEventListener('click', () => {
+          const entry = rollBackgroundEntry(character, field, bg[field.key]);
+          if (entry) bg[field.key].push(entry);
+          backgroundChanged();
+        });
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'small-btn';
+        add.textContent = 'Add Your Own';
+        add.addEventListener('click', () => { bg[field.key].push(''); renderBackground(); });
+        controls.appendChild(more);
+        controls.appendChild(add);
+        container.appendChild(controls);
+      }
+    });
+  }
+
+  // The background as summary HTML, or a note when none was rolled.
+  function backgroundSummaryHtml(bg) {
+    if (!hasBackground(bg)) return '<p>(not rolled; see the Background step)</p>';
+    return BACKGROUND_FIELDS.map(field => {
+      const entries = (field.list ? bg[field.key] : [bg[field.key]]).filter(Boolean);
+      if (entries.length === 0) return '';
+      return `<p><strong>${field.title}:</strong></p><ul>${entries.map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>`;
+    }).join('');
+  }
+
+  /* ----------------------------------------------------------------------
+   * Passions
+   *
+   * A passion is a type from skills.json, which gives its base formula,
+   * and a target: Loyalty (Clan Chieftain), Hate (Rival Tribe).  Cultures
+   * and careers suggest starting passions and players may add their own.
+   * Values follow the current characteristics.
+   */
+
+  // A passion as text, e.g. 'Loyalty (Clan Chieftain)'.
+  function formatPassion(passion) {
+    return passion.target ? `${passion.type} (${passion.target})` : passion.type;
+  }
+
+  // Parse text such as 'Loyalty (Clan Chieftain)' into { type, target }.
+  function parsePassion(text) {
+    const match = /^([^(]*?)\s*(?:\((.*)\))?$/.exec(text.trim());
+    return { type: match[1], target: (match[2] || '').trim() };
+  }
+
+  // Value of a passion for a set of characteristics; 0 for a type the
+  // rules data does not define.
+  function passionValue(passion, attrs) {
+    const type = passionTypes[passion.type];
+    return type ? type.formula(attrs) : 0;
+  }
+
+  // Passions suggested by the culture and career of a character or draft.
+  function suggestedPassions(ch) {
+    return [...cultures[ch.culture].passions, ...careers[ch.career].passions];
+  }
+
+  // Whether a character already has a passion of the same type and target.
+  function hasPassion(ch, passion) {
+    return ch.passions.some(p => p.type === passion.type && p.target.toLowerCase() === passion.target.toLowerCase());
+  }
+
+  function addPassion(passion) {
+    if (!passionTypes[passion.type] || hasPassion(character, passion)) return;
+    character.passions.push({ type: passion.type, target: passion.target });
+    updateSummary();
+  }
+
+  // Add the passion described by the custom passion controls.
+  function addCustomPassion() {
+    const target = $('passionTarget').value.trim();
+    if (!target) {
+      alert('Give the passion a target, such as a person, place, group or idea.');
+      return;
+    }
+    addPassion({ type: $('passionType').value, target });
+    $('passionTarget').value = '';
+  }
+
+  // Render the suggested passions, the type list for custom passions and
+  // the character's passions with their values.
+  function renderPassions() {
+    const suggestions = $('passionSuggestions');
+    suggestions.innerHTML = '';
+    suggestedPassions(character).forEach(passion => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = `+ ${formatPassion(passion)}`;
+      btn.disabled = hasPassion(character, passion);
+      btn.addEventListener('click', () => addPassion(passion));
+      suggestions.appendChild(btn);
+    });
+    const typeSel = $('passionType');
+    const selected = typeSel.value;
+    populateSelect(typeSel, Object.keys(passionTypes).sort().map(t => ({ value: t, label: t })));
+    if (passionTypes[selected]) typeSel.value = selected;
+
+    const tbody = $('passionList');
+    tbody.innerHTML = '';
+    character.passions.forEach((passion, index) => {
+      const tr = document.createElement('tr');
+      const typeTd = document.createElement('td');
+      typeTd.textContent = passion.type;
+      tr.appendChild(typeTd);
+      const targetTd = document.createElement('td');
+      const target = document.createElement('input');
+      target.type = 'text';
+      target.value = passion.target;
+      target.addEventListener('change', () => {
+        passion.target = target.value.trim();
+        updateSummary();
+      });
+      targetTd.appendChild(target);
+      tr.appendChild(targetTd);
+      const valueTd = document.createElement('td');
+      valueTd.textContent = pct(passionValue(passion, character.attributes));
+      valueTd.title = passionTypes[passion.type] ? passionTypes[passion.type].formulaString : '';
+      tr.appendChild(valueTd);
+      const removeTd = document.createElement('td');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Remove';
+      btn.addEventListener('click', () => {
+        character.passions.splice(index, 1);
+        updateSummary();
+      });
+      removeTd.appendChild(btn);
+      tr.appendChild(removeTd);
+      tbody.appendChild(tr);
+    });
+  }
+
+  /* ----------------------------------------------------------------------
+   * Magic
+   *
+   * Folk Magic is taught by the character's culture: each culture lists
+   * the spells it knows and how many a starting character may choose.
+   * Animists (characters with the Binding skill) also keep a list of the
+   * spirits bound into their fetishes.  Theists, sorcerers and mystics
+   * choose their starting miracles, spells and talents; how many depends
+   * on the tradition's skill (see MAGIC_TRADITIONS).
+   */
+
+  // Intensity range of a bound spirit.
+  const MAX_SPIRIT_INTENSITY = 5;
+
+  // The total of a character or draft in a skill such as 'Binding',
+  // matching specialised names like 'Binding (Totem)' among the known
+  // skill names, or null when the skill is not known.
+  function knownSkillTotal(ch, known, base) {
+    const name = known.find(s => normalizeSkillName(s) === base);
+    if (!name) return null;
+    return computeSkillBase(name, ch) + allocatedPoints(ch.skillAlloc[name]);
+  }
+
+  // The current character's total in a professional skill, or null.
+  function professionalSkillTotal(base) {
+    return knownSkillTotal(character, knownProfessionalSkills(), base);
+  }
+
+  // The magic traditions other than Folk Magic and Animism.  Each has
+  // the skill that sets how much magic a starting character knows, the
+  // skill used alongside it, and the character list its choices go in:
+  //   Theism: Devotion sets the Devotional Pool, miracles are cast with
+  //     Exhort.
+  //   Sorcery: spells are cast with Invocation and altered with Shaping
+  //     points spent on the components each spell allows.
+  //   Mysticism: talents are invoked with Mysticism up to the intensity
+  //     Meditation allows.
+  // A starting character knows one choice per 10% (rounded up) of the
+  // first skill.
+  const MAGIC_TRADITIONS = [
+    {
+      id: 'theism', name: 'Theism', key: 'miracles', noun: 'miracles', career: 'Priest',
+      skill: 'Devotion', second: 'Exhort', options: () => miracles,
+      describe: name => miracles[name],
+      details: (ch, skill) => `Devotional Pool ${devotionalPool(ch.attributes.POW, skill)}`
+    },
+    {
+      id: 'sorcery', name: 'Sorcery', key: 'sorcery', noun: 'spells', career: 'Sorcerer',
+      skill: 'Invocation', second: 'Shaping', options: () => sorcerySpells,
+      describe: name => sorcerySpells[name] && sorcerySpells[name].description,
+      components: name => sorcerySpells[name] ? sorcerySpells[name].shaping : [],
+      details: (ch, skill, second) => `Shaping points ${second === null ? 0 : shapingPoints(second)}`
+    },
+    {
+      id: 'mysticism', name: 'Mysticism', key: 'talents', noun: 'talents', career: 'Mystic',
+      skill: 'Mysticism', second: 'Meditation', options: () => mysticTalents,
+      describe: name => mysticTalents[name],
+      details: (ch, skill, second) => `maximum intensity ${second === null ? 0 : maxTalentIntensity(second)}`
+    }
+  ];
+
+  // How many miracles, spells or talents a starting character knows for
+  // a tradition skill total.
+  function magicAllowance(total) {
+    return Math.ceil(total / 10);
+  }
+
+  // The Devotional Pool: the Devotion percentage of POW, rounded up.
+  function devotionalPool(pow, devotion) {
+    return Math.ceil(pow * devotion / 100);
+  }
+
+  // Shaping points a sorcerer can spend on one casting: a tenth of
+  // Shaping, rounded up.
+  function shapingPoints(shaping) {
+    return Math.ceil(shaping / 10);
+  }
+
+  // The highest intensity a mystic can invoke a talent at: a tenth of
+  // Meditation, rounded up.
+  function maxTalentIntensity(meditation) {
+    return Math.ceil(meditation / 10);
+  }
+
+  // How many spirits an animist can have bound at once: a quarter of
+  // CHA, rounded up.
+  function maxBoundSpirits(ch) {
+    return Math.ceil(ch.attributes.CHA / 4);
+  }
+
+  // Drop Folk Magic spells the current culture does not teach and any
+  // beyond its starting count, after the culture changed.
+  function pruneFolkMagic() {
+    const fm = cultures[character.culture].folkMagic;
+    character.folkMagic = character.folkMagic.filter(s => fm.available.includes(s)).slice(0, fm.spells);
+  }
+
+  // Fill a list element with a checkbox per option.  Choices are added
+  // to and removed from the `chosen` array, and unchecked boxes are
+  // disabled once `limit` choices are made.  `describe` gives the
+  // tooltip and `note` optional small text after the name.
+  function renderMagicChoices(list, options, chosen, limit, describe, note) {
+    list.innerHTML = '';
+    const full = chosen.length >= limit;
+    options.forEach(name => {
+      const label = document.createElement('label');
+      label.className = 'spell-option';
+      label.title = describe(name) || '';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = chosen.includes(name);
+      cb.disabled = full && !cb.checked;
+      cb.addEventListener('change', () => {
+        if (cb.checked) chosen.push(name);
+        else chosen.splice(chosen.indexOf(name), 1);
+        updateSummary();
+      });
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(` ${name}`));
+      const extra = note ? note(name) : '';
+      if (extra) {
+        const span = document.createElement('span');
+        span.className = 'small';
+        span.textContent = ` (${extra})`;
+        label.appendChild(span);
+      }
+      list.appendChild(label);
+    });
+  }
+
+  // Render the Folk Magic spell picker: a checkbox for every spell the
+  // culture teaches, disabled once the starting count is reached.
+  function renderFolkMagic() {
+    const fm = cultures[character.culture].folkMagic;
+    $('folkMagicCount').textContent = `${character.folkMagic.length} of ${fm.spells}`;
+    $('folkMagicSkill').textContent = pct(skillTotal('Folk Magic'));
+    if (fm.available.length === 0) {
+      $('folkMagicList').textContent = `The ${cultures[character.culture].name} culture teaches no Folk Magic.`;
+      return;
+    }
+    renderMagicChoices($('folkMagicList'), fm.available, character.folkMagic, fm.spells,
+      spell => folkMagicSpells[spell]);
+  }
+
+  // Render the picker of a theism, sorcery or mysticism tradition.  It
+  // is hidden until the character knows the tradition's skill.  Choices
+  // are kept when the skill is lowered or dropped, and left for the rule
+  // checks to flag; the picker stays open so they can be unticked.
+  function renderTradition(tradition) {
+    const skill = professionalSkillTotal(tradition.skill);
+    const second = professionalSkillTotal(tradition.second);
+    const chosen = character[tradition.key];
+    $(`${tradition.id}Controls`).style.display = skill === null && chosen.length === 0 ? 'none' : 'block';
+    if (skill === null) {
+      $(`${tradition.id}Info`).textContent = `${tradition.name} needs the ${tradition.skill} skill; choose it as a professional skill (for example as a ${tradition.career}).` +
+        (chosen.length ? ` ${chosen.length} ${tradition.noun} chosen earlier remain; untick them or choose the skill again.` : '');
+      if (chosen.length) {
+        renderMagicChoices($(`${tradition.id}List`), Object.keys(tradition.options()).sort(), chosen, 0, tradition.describe);
+      }
+      return;
+    }
+    const limit = magicAllowance(skill);
+    $(`${tradition.id}Info`).textContent = `${tradition.skill} ${pct(skill)}, ${tradition.second} ${second === null ? 'not known' : pct(second)}; ${tradition.details(character, skill, second)}. Magic Points ${magicPoints(character.attributes.POW)}. Starting ${tradition.noun}: ${chosen.length} of ${limit} (a tenth of ${tradition.skill}).`;
+    const components = tradition.components;
+    renderMagicChoices($(`${tradition.id}List`), Object.keys(tradition.options()).sort(), chosen, limit,
+      tradition.describe, components && (name => components(name).join(', ')));
+  }
+
+  // Render the bound spirits of an animist.  Without the Binding skill
+  // only a note is shown.
+  function renderSpirits() {
+    const binding = professionalSkillTotal('Binding');
+    const trance = professionalSkillTotal('Trance');
+    const max = maxBoundSpirits(character);
+    $('animismControls').style.display = binding === null ? 'none' : 'block';
+    if (binding === null) {
+      $('animismInfo').textContent = 'Animism needs the Binding skill; choose it as a professional skill (for example as a Shaman) to bind spirits.';
+      return;
+    }
+    $('animismInfo').textContent = `Binding ${pct(binding)}${trance !== null ? `, Trance ${pct(trance)}` : ''}. Spirits bound: ${character.spirits.length} of ${max} (a quarter of CHA).`;
+    $('addSpiritBtn').disabled = character.spirits.length >= max;
+    const tbody = $('spiritList');
+    tbody.innerHTML = '';
+    character.spirits.forEach((spirit, index) => {
+      const tr = document.createElement('tr');
+      const cell = input => {
+        const td = document.createElement('td');
+        td.appendChild(input);
+        tr.appendChild(td);
+      };
+      const field = (key, make) => {
+        const input = make();
+        input.value = spirit[key];
+        input.addEventListener('change', () => {
+          spirit[key] = input.type === 'number'
+            ? Math.max(1, Math.min(MAX_SPIRIT_INTENSITY, parseInt(input.value, 10) || 1))
+            : input.value.trim();
+          updateSummary();
+        });
+        cell(input);
+      };
+      field('name', () => Object.assign(document.createElement('input'), { type: 'text', placeholder: 'Name' }));
+      field('type', () => {
+        const sel = document.createElement('select');
+        populateSelect(sel, spiritTypes.map(t => ({ value: t, label: t })));
+        return sel;
+      });
+      field('intensity', () => Object.assign(document.createElement('input'), { type: 'number', min: 1, max: MAX_SPIRIT_INTENSITY }));
+      field('fetish', () => Object.assign(document.createElement('input'), { type: 'text', placeholder: 'e.g. carved bone' }));
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Release';
+      btn.addEventListener('click', () => {
+        character.spirits.splice(index, 1);
+        updateSummary();
+      });
+      cell(btn);
+      tbody.appendChild(tr);
+    });
+  }
+
+  // Bind a new spirit with default details for the player to fill in.
+  function addSpirit() {
+    if (character.spirits.length >= maxBoundSpirits(character)) return;
+    character.spirits.push({ name: '', type: spiritTypes[0] || '', intensity: 1, fetish: '' });
+    updateSummary();
+  }
+
+  // Render the whole Magic step.
+  function renderMagic() {
+    renderFolkMagic();
+    renderSpirits();
+    MAGIC_TRADITIONS.forEach(renderTradition);
+  }
+
+  // The character's magic for the summary and sheet: { folkMagic: {
+  // total, spells }, animism: { binding, trance, spirits } or null,
+  // traditions: [{ name, skill, total, second, secondTotal, details,
+  // choices }] for the traditions whose skill is known }.
+  // Sorcery choices carry their Shaping components, e.g. 'Fly (Duration,
+  // Range)'.
+  function magicOverview() {
+    const binding = professionalSkillTotal('Binding');
+    const traditions = [];
+    MAGIC_TRADITIONS.forEach(t => {
+      const total = professionalSkillTotal(t.skill);
+      if (total === null) return;
+      const secondTotal = professionalSkillTotal(t.second);
+      traditions.push({
+        name: t.name,
+        skill: t.skill,
+        total,
+        second: t.second,
+        secondTotal,
+        details: t.details(character, total, secondTotal),
+        choices: character[t.key].map(name => t.components ? `${name} (${t.components(name).join(', ')})` : name)
+      });
+    });
+    return {
+      folkMagic: { total: skillTotal('Folk Magic'), spells: character.folkMagic.slice() },
+      animism: binding === null ? null : {
+        binding,
+        trance: professionalSkillTotal('Trance'),
+        spirits: character.spirits.map(s => ({ ...s }))
+      },
+      traditions
+    };
+  }
+
+  // One line describing a tradition's skills, e.g. 'Devotion 45%, Exhort
+  // 30%; Devotional Pool 6'.
+  function describeTradition(t) {
+    return `${t.skill} ${pct(t.total)}${t.secondTotal !== null ? `, ${t.second} ${pct(t.secondTotal)}` : ''}; ${t.details}`;
+  }
+
+  // One line describing a bound spirit.
+  function describeSpirit(spirit) {
+    return `${spirit.name || 'Unnamed'} (${spirit.type}, intensity ${spirit.intensity})${spirit.fetish ? ` in ${spirit.fetish}` : ''}`;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Character sheet
+   *
+   * A print-ready layout of the whole character in the arrangement of
+   * the Mythras sheet.  It is rebuilt with the summary and is the only
+   * part of the page shown when printing (see the print rules at the end
+   * of style.css), so printing from any step gives the sheet.
+   */
+
+  // Build a table from a header row and body rows of already escaped
+  // cell HTML.
+  function sheetTable(className, headings, rows) {
+    const head = headings.map(h => `<th>${h}</th>`).join('');
+    const body = rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('');
+    return `<table class="${className}"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  // Professional skills the character knows: those chosen from the
+  // culture, career and bonus lists plus any other non-standard skill
+  // with points in it.
+  function knownProfessionalSkills() {
+    const names = new Map();
+    const add = skill => {
+      if (standardSkills[skill] || isCombatStyleSkill(skill)) return;
+      const key = normalizeSkillName(skill);
+      // Prefer the specific name that points were spent on ("Craft
+      // (Primary)") over the list entry it was chosen from ("Craft (any)").
+      if (!names.has(key) || character.skillAlloc[skill]) names.set(key, skill);
+    };
+    selectedCultureProfs.forEach(add);
+    selectedCareerProfs.forEach(add);
+    if (selectedBonusSkill) add(selectedBonusSkill);
+    character.advancement.learned.forEach(add);
+    Object.keys(character.skillAlloc).forEach(skill => {
+      if (allocatedPoints(character.skillAlloc[skill]) > 0) add(skill);
+    });
+    return Array.from(names.values()).sort();
+  }
+
+  // Current total of a skill for the character being edited.
+  function skillTotal(skill) {
+    return computeSkillBase(skill, character) + allocatedPoints(character.skillAlloc[skill]);
+  }
+
+  // Render the character sheet section.
+  function renderCharacterSheet() {
+    const a = character.attributes;
+    const load = encumbrance(character);
+    const identity = `
+      <div class="sheet-identity">
+        <div><span>Name</span>${escapeHtml(character.name || '')}</div>
+        <div><span>Species</span>${escapeHtml(speciesOf(character).name)}</div>
+        <div><span>Culture</span>${escapeHtml(cultures[character.culture].name)}</div>
+        <div><span>Career</span>${escapeHtml(careers[character.career].name)}</div>
+        <div><span>Age</span>${character.ageYears !== null ? `${character.ageYears} (${character.age})` : character.age}</div>
+        <div><span>Social Class</span>${escapeHtml(character.socialClass || '')}</div>
+      </div>`;
+    const characteristics = sheetTable('sheet-characteristics',
+      ATTRIBUTE_KEYS, [ATTRIBUTE_KEYS.map(k => a[k])]);
+    const derived = sheetTable('sheet-derived', ['Attribute', 'Value'],
+      derivedAttributes(character).map(d => [`<span title="${escapeHtml(d.formula)}">${d.name}</span>`, d.value]));
+    const locations = sheetTable('sheet-locations', ['1d20', 'Location', 'AP', 'HP'],
+      hitLocationRows(character).map(r => [escapeHtml(r.range), escapeHtml(r.name), r.ap, r.hp]));
+    const abilities = speciesAbilitiesHtml(character);
+    const standard = sheetTable('sheet-skills', ['Standard Skill', '%'],
+      Object.keys(standardSkills).filter(s => s !== COMBAT_STYLE_SKILL).sort().map(s => [escapeHtml(s), pct(skillTotal(s))]));
+    const profs = knownProfessionalSkills();
+    const professional = sheetTable('sheet-skills', ['Professional Skill', '%'],
+      profs.length > 0 ? profs.map(s => [escapeHtml(s), pct(skillTotal(s))]) : [['(none)', '']]);
+    const styles = combatStyleSummaries(character);
+    const combat = sheetTable('sheet-styles', ['Combat Style', '%', 'Weapons', 'Trait'],
+      styles.length > 0
+        ? styles.map(st => [escapeHtml(st.name), pct(st.total), escapeHtml(st.weapons.join(', ')), escapeHtml(st.trait)])
+        : [['(none)', '', '', '']]);
+    const passions = sheetTable('sheet-passions', ['Passion', '%'],
+      character.passions.length > 0
+        ? character.passions.map(p => [escapeHtml(formatPassion(p)), pct(passionValue(p, a))])
+        : [['(none)', '']]);
+    const magic = magicOverview();
+    const magicRows = [[`Folk Magic ${pct(magic.folkMagic.total)}`, escapeHtml(magic.folkMagic.spells.join(', ') || '(none)')]];
+    if (magic.animism) {
+      magicRows.push([`Binding ${pct(magic.animism.binding)}`, escapeHtml(magic.animism.spirits.map(describeSpirit).join('; ') || '(no spirits)')]);
+      if (magic.animism.trance !== null) magicRows.push([`Trance ${pct(magic.animism.trance)}`, '']);
+    }
+    magic.traditions.forEach(t => {
+      magicRows.push([`${t.skill} ${pct(t.total)}`, escapeHtml(t.choices.join(', ') || '(none)')]);
+      magicRows.push([t.secondTotal !== null ? `${t.second} ${pct(t.secondTotal)}` : '', t.details]);
+    });
+    const magicTable = sheetTable('sheet-magic', ['Skill', 'Spells and Spirits'], magicRows);
+    const weapons = weaponRows(character);
+    const weaponTable = sheetTable('sheet-weapons', ['Weapon', 'Damage', 'Size', 'Reach/Range', 'Effects', 'AP/HP'],
+      weapons.length > 0
+        ? weapons.map(w => [escapeHtml(w.name), escapeHtml(w.damage), escapeHtml(w.size), escapeHtml(w.reach), escapeHtml(w.effects), `${w.ap}/${w.hp}`])
+        : [['(none)', '', '', '', '', '']]);
+    // Group purchases of the same item into one line with a count.
+    const gear = Array.from(equipmentQuantities(character), ([id, qty]) => {
+      const item = findEquipmentItem(id);
+      return [escapeHtml(equipmentName(id)), qty, item ? item.enc * qty : '–'];
+    });
+    gear.push([`<strong>Total</strong> (capacity ${load.capacity}, ${load.level.name})`, '', `<strong>${load.enc}</strong>`]);
+    const equipmentTable = sheetTable('sheet-equipment', ['Item', 'Qty', 'ENC'], gear);
+    $('sheetContent').innerHTML = `
+      <h2 class="sheet-title">Mythras Character Sheet</h2>
+      ${identity}
+      <div class="sheet-columns">
+        <div>
+          <h3>Characteristics</h3>${characteristics}
+          <h3>Attributes</h3>${derived}
+          <h3>Hit Locations</h3>${locations}
+          ${abilities ? `<h3>Species Abilities</h3>${abilities}` : ''}
+          <h3>Combat</h3>${combat}
+        </div>
+        <div>
+          <h3>Skills</h3>${standard}${professional}
+          <h3>Passions</h3>${passions}
+          <h3>Magic</h3>${magicTable}
+        </div>
+      </div>
+      <h3>Weapons</h3>${weaponTable}
+      <h3>Equipment</h3>${equipmentTable}
+      <p><strong>Silver:</strong> ${character.money} sp</p>`;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Equipment shop
+   *
+   * The shop lists every item of the equipment tables, filtered by a
+   * search and a category and sorted by name or price.  Purchases are
+   * kept in character.equipment as { id, qty, unitCost } entries, so an
+   * item bought several times is one entry with a quantity, and selling
+   * it back refunds what was paid even if the list price has changed
+   * since.  `money` is the silver left; the silver spent is worked out
+   * from the entries.
+   */
+
+  // Id of an equipment item without one of its own in the data: its name
+  // in lower case with runs of other characters turned into hyphens,
+  // e.g. 'Torch (6h)' becomes 'torch-6h'.
+  function equipmentId(name) {
+    return name.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  // Look up an equipment item by id in any category.
+  function findEquipmentItem(id) {
+    for (const items of Object.values(equipment)) {
+      const item = items.find(i => i.id === id);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  // Look up an equipment item by name in any category.  Combat styles
+  // and the starter kit name their items; bought items are kept by id.
+  function findEquipmentByName(name) {
+    for (const items of Object.values(equipment)) {
+      const item = items.find(i => i.name === name);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  // Display name of an item id; an item no longer in the list shows its
+  // id.
+  function equipmentName(id) {
+    const item = findEquipmentItem(id);
+    return item ? item.name : id;
+  }
+
+  // Add `qty` of an item to a list of equipment entries at the item's
+  // current cost.  Entries of the same item bought at the same price are
+  // merged.
+  function addEquipment(list, item, qty) {
+    const entry = list.find(e => e.id === item.id && e.unitCost === item.cost);
+    if (entry) entry.qty += qty;
+    else list.push({ id: item.id, qty, unitCost: item.cost });
+  }
+
+  // Quantity owned of each item of a character or snapshot, as a Map of
+  // id to quantity in the order the items were first bought.
+  function equipmentQuantities(ch) {
+    const counts = new Map();
+    ch.equipment.forEach(entry => counts.set(entry.id, (counts.get(entry.id) || 0) + entry.qty));
+    return counts;
+  }
+
+  // Owned items of a character or snapshot as text: 'Name' or 'Name ×3'.
+  function describeEquipment(ch) {
+    return Array.from(equipmentQuantities(ch), ([id, qty]) => qty > 1 ? `${equipmentName(id)} ×${qty}` : equipmentName(id));
+  }
+
+  // Silver a character or snapshot has paid for the items it owns.
+  function spentSilver(ch) {
+    return ch.equipment.reduce((sum, entry) => sum + entry.qty * entry.unitCost, 0);
+  }
+
+  // Show the silver left and how much of it has been spent.
+  function renderSilver() {
+    const spent = spentSilver(character);
+    $('silverDisplay').textContent = `${character.money} sp`;
+    $('silverSpent').textContent = spent ? `(spent ${spent} sp of ${character.money + spent} sp)` : '';
+  }
+
+  // Show a problem with the last purchase under the shop controls, or
+  // clear it when `text` is empty.
+  function showShopMessage(text) {
+    $('shopMessage').textContent = text;
+  }
+
+  // Fill the shop's category filter, keeping the current choice if the
+  // category still has items.
+  function populateShopCategories() {
+    const sel = $('shopCategory');
+    const current = sel.value;
+    const categories = Object.keys(equipment).filter(cat => equipment[cat].length > 0);
+    populateSelect(sel, [{ value: '', label: 'All categories' }].concat(categories.map(cat => ({ value: cat, label: cat }))));
+    sel.value = categories.includes(current) ? current : '';
+  }
+
+  // The items the shop shows for its current search, category and sort,
+  // as [{ item, category }].
+  function shopItems() {
+    const search = $('shopSearch').value.trim().toLowerCase();
+    const category = $('shopCategory').value;
+    const rows = [];
+    Object.keys(equipment).forEach(cat => {
+      if (category && cat !== category) return;
+      equipment[cat].forEach(item => {
+        if (!search || item.name.toLowerCase().includes(search)) rows.push({ item, category: cat });
+      });
+    });
+    const sort = $('shopSort').value;
+    if (sort === 'name') rows.sort((a, b) => a.item.name.localeCompare(b.item.name));
+    else if (sort === 'priceAsc') rows.sort((a, b) => a.item.cost - b.item.cost);
+    else if (sort === 'priceDesc') rows.sort((a, b) => b.item.cost - a.item.cost);
+    return rows;
+  }
+
+  // Rebuild the shop table: one row per item with a quantity and a Buy
+  // button.
+  function renderShop() {
+    const tbody = $('shopItems');
+    tbody.innerHTML = '';
+    const rows = shopItems();
+    rows.forEach(({ item, category }) => {
+      const tr = document.createElement('tr');
+      const nameTd = document.createElement('td');
+      nameTd.textContent = item.name;
+      if (item.weapon) {
+        const w = item.weapon;
+        nameTd.title = `${w.damage}, size ${w.size}, ${w.range ? `range ${w.range}` : `reach ${w.reach}`}, AP/HP ${w.ap}/${w.hp}; ${w.effects.join(', ')}`;
+      } else if (item.armour) {
+        nameTd.title = `AP ${item.armour.ap}`;
+      }
+      tr.appendChild(nameTd);
+      [category, `${item.cost} sp`, item.enc].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const qtyTd = document.createElement('td');
+      const qty = document.createElement('input');
+      qty.type = 'number';
+      qty.min = '1';
+      qty.value = '1';
+      qty.className = 'shop-qty';
+      qty.setAttribute('aria-label', `Quantity of ${item.name}`);
+      qtyTd.appendChild(qty);
+      tr.appendChild(qtyTd);
+      const btnTd = document.createElement('td');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = 'Buy';
+      btn.addEventListener('click', () => buyItem(item, Number(qty.value)));
+      btnTd.appendChild(btn);
+      tr.appendChild(btnTd);
+      tbody.appendChild(tr);
+    });
+    if (rows.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 6;
+      td.textContent = 'No items match.';
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+  }
+
+  // Buy `qty` of an item if the character can afford it; otherwise say
+  // why not beside the shop.  New armour is put on at once.
+  function buyItem(item, qty) {
+    if (!Number.isInteger(qty) || qty < 1) {
+      showShopMessage('Enter a whole quantity of 1 or more.');
+      return;
+    }
+    const cost = item.cost * qty;
+    if (cost > character.money) {
+      showShopMessage(`${qty > 1 ? `${qty} × ${item.name}` : item.name} costs ${cost} sp, but only ${character.money} sp is left.`);
+      return;
+    }
+    showShopMessage('');
+    character.money -= cost;
+    addEquipment(character.equipment, item, qty);
+    wearArmour(character, item.id);
+    equipmentChanged();
+  }
+
+  // Sell back `qty` of a purchased entry, refunding what was paid for it.
+  // Armour is taken off once none of that item is left.
+  function sellEquipment(entry, qty) {
+    const sold = Math.min(qty, entry.qty);
+    character.money += sold * entry.unitCost;
+    entry.qty -= sold;
+    if (entry.qty === 0) character.equipment.splice(character.equipment.indexOf(entry), 1);
+    if (!character.equipment.some(e => e.id === entry.id)) {
+      Object.keys(character.armour).forEach(location => {
+        if (character.armour[location] === entry.id) delete character.armour[location];
+      });
+    }
+    showShopMessage('');
+    equipmentChanged();
+  }
+
+  // Refresh everything that shows purchases or depends on them.
+  function equipmentChanged() {
+    renderSilver();
+    renderPurchasedList();
+    updateDerivedDisplay();
+    updateSummary();
+  }
+
+  // Rebuild the purchased items table from character.equipment, with
+  // − and + buttons to change each quantity and a Remove button.
+  function renderPurchasedList() {
+    const tbody = $('purchasedList');
+    tbody.innerHTML = '';
+    const button = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    character.equipment.forEach(entry => {
+      const item = findEquipmentItem(entry.id);
+      const name = equipmentName(entry.id);
+      const tr = document.createElement('tr');
+      const nameTd = document.createElement('td');
+      nameTd.textContent = name;
+      tr.appendChild(nameTd);
+      const qtyTd = document.createElement('td');
+      qtyTd.className = 'shop-stepper';
+      qtyTd.appendChild(button('−', `Sell one ${name} for ${entry.unitCost} sp`, () => sellEquipment(entry, 1)));
+      const qty = document.createElement('span');
+      qty.textContent = entry.qty;
+      qtyTd.appendChild(qty);
+      const more = button('+', item ? `Buy another ${name} for ${item.cost} sp` : `${name} is no longer for sale`, () => buyItem(item, 1));
+      more.disabled = !item;
+      qtyTd.appendChild(more);
+      tr.appendChild(qtyTd);
+      [`${entry.unitCost} sp`, `${entry.qty * entry.unitCost} sp`].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      const removeTd = document.createElement('td');
+      removeTd.appendChild(button('Remove', `Sell every ${name} for ${entry.qty * entry.unitCost} sp`, () => sellEquipment(entry, entry.qty)));
+      tr.appendChild(removeTd);
+      tbody.appendChild(tr);
+    });
+    if (character.equipment.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 5;
+      td.textContent = 'Nothing bought yet.';
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    // The armour choices and encumbrance depend on what has been bought.
+    renderArmourAssignments();
+    renderEncumbrance();
+  }
+
+  /* ----------------------------------------------------------------------
+   * Random characters
+   *
+   * generateRandomCharacter() builds a complete, legal character as a
+   * snapshot (the same shape restoreCharacter() accepts) without touching
+   * the character being edited.  Every choice and roll comes from the
+   * draft's own seed, so the same seed and locks give the same character.
+   */
+
+  // Everyday gear bought by random characters when it is in the equipment
+  // list and they can afford it.
+  const STARTER_KIT = ['Backpack/Satchel', 'Bedroll', 'Waterskin or Canteen', 'Flint & tinder', 'Torch (6h)', 'Trail rations (7d)'];
+
+  // Spend up to `points` from one pool on the given skills in random steps
+  // of five, never raising a skill's allocation from that pool above
+  // `cap`.  Returns the points that could not be spent.
+  function spendPointsRandomly(alloc, skills, pool, points, cap, stream) {
+    let remaining = points;
+    while (remaining > 0) {
+      const open = skills.filter(s => (alloc[s] ? alloc[s][pool] : 0) < cap);
+      if (open.length === 0) break;
+      const skill = randomChoice(open, stream);
+      if (!alloc[skill]) alloc[skill] = { culture: 0, career: 0, bonus: 0 };
+      const step = Math.min(5, remaining, cap - alloc[skill][pool]);
+      alloc[skill][pool] += step;
+      remaining -= step;
+    }
+    return remaining;
+  }
+
+  // Buy a sensible loadout with the given silver: a melee weapon, the best
+  // armour that fits half of what is left, perhaps a shield, then the
+  // starter kit.  Returns { items, money } with the items as
+  // character.equipment entries and the silver remaining.
+  function buyRandomLoadout(money, stream) {
+    const items = [];
+    let left = money;
+    const buy = item => {
+      addEquipment(items, item, 1);
+      left -= item.cost;
+    };
+    const affordable = (category, limit) => (equipment[category] || []).filter(i => i.cost <= limit);
+    const weapons = affordable('Melee Weapons', left * 0.4);
+    if (weapons.length) buy(randomChoice(weapons, stream));
+    const armour = affordable('Armor', left * 0.5).sort((a, b) => b.cost - a.cost);
+    if (armour.length) buy(armour[0]);
+    const shields = affordable('Shields', left * 0.3);
+    if (shields.length && nextRandom(stream) < 0.5) buy(randomChoice(shields, stream));
+    STARTER_KIT.forEach(name => {
+      const item = findEquipmentByName(name);
+      if (item && item.cost <= left) buy(item);
+    });
+    return { items, money: left };
+  }
+
+  // Generate a finished character.  `options` may lock any of age,
+  // species, culture, career (table keys) and combatStyle, and may give a
+  // seed and a name; everything else is chosen at random, except that the
+  // species is the default one unless `species` is RANDOM_SPECIES.
+  function generateRandomCharacter(options) {
+    const opts = options || {};
+    const draft = {
+      name: opts.name || '',
+      species: null,
+      culture: null,
+      career: null,
+      age: null,
+      socialClass: null,
+      combatStyle: null,
+      method: 'roll',
+      ageYears: null,
+      rolls: { attributes: {} },
+      seed: opts.seed || newSeed(),
+      rngCounters: {},
+      rollLog: [],
+      attributes: {},
+      pointPoolTotal: character.pointPoolTotal,
+      pools: { culture: 0, career: 0, bonus: 0 },
+      skillAlloc: {},
+      money: 0,
+      equipment: [],
+      armour: {},
+      passions: [],
+      background: emptyBackground(),
+      folkMagic: [],
+      spirits: [],
+      miracles: [],
+      sorcery: [],
+      talents: [],
+      cultureProfs: [],
+      careerProfs: [],
+      bonusSkill: null,
+      finalised: false,
+      advancement: emptyAdvancement()
+    };
+    return withRollTarget(draft, () => {
+      const stream = 'randomise';
+      draft.age = ageCategories[opts.age] ? opts.age : randomChoice(Object.keys(ageCategories), stream);
+      // Characters are of the default species unless the caller locks
+      // another or asks for a random one, which is drawn from its own
+      // stream so that the other choices of the seed stay the same.
+      if (opts.species === RANDOM_SPECIES) draft.species = randomChoice(speciesKeys(), 'species');
+      else draft.species = species[opts.species] ? opts.species : defaultSpeciesKey();
+      draft.culture = cultures[opts.culture] ? opts.culture : randomChoice(allowedCultureKeys(), stream);
+      draft.career = careers[opts.career] ? opts.career : randomChoice(allowedCareerKeys(), stream);
+      const age = ageCategories[draft.age];
+      const culture = cultures[draft.culture];
+      const career = careers[draft.career];
+      draft.combatStyle = culture.combatStyles.includes(opts.combatStyle)
+        ? opts.combatStyle
+        : randomChoice(culture.combatStyles, stream);
+
+      ATTRIBUTE_KEYS.forEach(key => rollAttribute(draft, key));
+      const ageRoll = rollDiceExpression(age.age, 'age', 'Age');
+      draft.ageYears = ageRoll.total;
+      draft.rolls.age = ageRoll.breakdown;
+      const classRoll = rollDiceExpression('1d100', 'socialClass', 'Social class');
+      const cls = socialClassForRoll(culture, classRoll.total);
+      draft.socialClass = cls.name;
+      draft.rolls.socialClass = `${classRoll.breakdown} → ${cls.name}`;
+
+      // Skills: the campaign's number of professional skills each from
+      // culture and career, then every pool spent within the age
+      // category's per‑skill cap.
+      draft.cultureProfs = randomSample(culture.professional, campaign.professionalSkills, stream);
+      draft.careerProfs = randomSample(career.professional, campaign.professionalSkills, stream);
+      const styleAllowed = combatStyleAllowance(draft);
+      const cultureSkills = Array.from(new Set([...culture.standard, ...draft.cultureProfs, ...styleAllowed.culture]));
+      const careerSkills = Array.from(new Set([...career.standard, ...draft.careerProfs, ...styleAllowed.career]));
+      const bonusSkills = Array.from(new Set([...cultureSkills, ...careerSkills]));
+      draft.pools.culture = spendPointsRandomly(draft.skillAlloc, cultureSkills, 'culture', campaign.culturePoints, age.max, stream);
+      draft.pools.career = spendPointsRandomly(draft.skillAlloc, careerSkills, 'career', campaign.careerPoints, age.max, stream);
+      draft.pools.bonus = spendPointsRandomly(draft.skillAlloc, bonusSkills, 'bonus', age.bonus, age.max, stream);
+
+      const moneyRoll = rollDiceExpression(culture.moneyDice, 'silver', 'Starting silver');
+      const silver = Math.floor(moneyRoll.total * cls.mult);
+      draft.rolls.silver = `${moneyRoll.breakdown}; × ${cls.mult} (${cls.name}) = ${silver} sp`;
+      const loadout = buyRandomLoadout(silver, stream);
+      draft.equipment = loadout.items;
+      draft.equipment.forEach(entry => wearArmour(draft, entry.id));
+      draft.money = loadout.money;
+      draft.passions = suggestedPassions(draft).filter(p => passionTypes[p.type]).map(p => ({ ...p }));
+      draft.folkMagic = randomSample(culture.folkMagic.available, culture.folkMagic.spells, stream);
+      const known = [...draft.cultureProfs, ...draft.careerProfs];
+      MAGIC_TRADITIONS.forEach(t => {
+        const total = knownSkillTotal(draft, known, t.skill);
+        if (total !== null) draft[t.key] = randomSample(Object.keys(t.options()).sort(), magicAllowance(total), stream);
+      });
+      rollBackground(draft);
+      return draft;
+    });
+  }
+
+  // Fill the lock selects of the Randomise panel: "Random" followed by
+  // the possible values.  The combat style list follows the locked
+  // culture and is disabled while the culture is random.
+  function populateRandomiseLocks() {
+    const keep = id => $(id).value;
+    const fill = (id, options) => {
+      const current = keep(id);
+      populateSelect($(id), [{ value: '', label: 'Random' }].concat(options));
+      $(id).value = options.some(o => o.value === current) ? current : '';
+    };
+    fill('randAge', Object.keys(ageCategories).map(k => ({ value: k, label: k })));
+    fillSpeciesLock('randSpecies');
+    fill('randCulture', allowedCultureKeys().map(k => ({ value: k, label: cultures[k].name })));
+    fill('randCareer', allowedCareerKeys().map(k => ({ value: k, label: careers[k].name })));
+    const culture = cultures[$('randCulture').value];
+    fill('randStyle', culture ? culture.combatStyles.map(s => ({ value: s, label: s })) : []);
+    $('randStyle').disabled = !culture;
+  }
+
+  // Fill the species select of the Randomise panel or the NPC template:
+  // every species, defaulting to the default species, and a random one.
+  function fillSpeciesLock(id) {
+    const current = $(id).value;
+    populateSelect($(id), speciesKeys().map(k => ({ value: k, label: species[k].name }))
+      .concat({ value: RANDOM_SPECIES, label: 'Random species' }));
+    $(id).value = current === RANDOM_SPECIES || species[current] ? current : defaultSpeciesKey();
+  }
+
+  // Replace the current character with a random one honouring the locks.
+  function randomiseEverything() {
+    const draft = generateRandomCharacter({
+      name: character.name,
+      age: $('randAge').value,
+      species: $('randSpecies').value,
+      culture: $('randCulture').value,
+      career: $('randCareer').value,
+      combatStyle: $('randStyle').value,
+      seed: $('randKeepSeed').checked ? $('seedInput').value.trim() : null
+    });
+    restoreCharacter(draft);
+    currentRosterId = null;
+    renderRoster();
+  }
+
+  /* ----------------------------------------------------------------------
+   * NPC batches
+   *
+   * Generates a number of random characters from one template (the same
+   * locks as the Randomise panel) for a GM preparing a group of NPCs.
+   * The batch is shown as a comparison table and can be downloaded as CSV
+   * or as a JSON array of character documents, each of which imports
+   * like an exported character.
+   */
+
+  // The characters of the most recent batch, as snapshots.
+  let npcBatch = [];
+
+  // Largest batch generated in one go.
+  const MAX_BATCH_SIZE = 100;
+
+  // One comparison row for a snapshot: identity, attributes, key derived
+  // statistics, hit points by location and the three best skills.
+  function npcRow(snap) {
+    const a = snap.attributes;
+    const derived = {};
+    derivedAttributes(snap).forEach(d => { derived[d.key] = d.value; });
+    const top = allocatedSkillTotals(snap).slice(0, 3);
+    return {
+      name: snap.name,
+      species: speciesOf(snap).name,
+      culture: cultures[snap.culture].name,
+      career: careers[snap.career].name,
+      age: snap.age,
+      STR: a.STR, CON: a.CON, SIZ: a.SIZ, DEX: a.DEX, INT: a.INT, POW: a.POW, CHA: a.CHA,
+      actionPoints: derived.actionPoints,
+      damageModifier: derived.damageModifier,
+      initiative: derived.initiative,
+      movement: derived.movement,
+      hitPoints: hitLocationRows(snap).map(r => `${r.name} ${r.hp}`).join(', '),
+      combatStyle: snap.combatStyle,
+      topSkills: top.map(r => `${r.skill} ${r.total}%`).join(', '),
+      silver: snap.money
+    };
+  }
+
+  // Column headings for npcRow(), in display and CSV order.
+  const NPC_COLUMNS = [
+    ['name', 'Name'], ['species', 'Species'], ['culture', 'Culture'], ['career', 'Career'], ['age', 'Age'],
+    ['STR', 'STR'], ['CON', 'CON'], ['SIZ', 'SIZ'], ['DEX', 'DEX'], ['INT', 'INT'], ['POW', 'POW'], ['CHA', 'CHA'],
+    ['actionPoints', 'Action Pts'], ['damageModifier', 'Dmg Mod'], ['initiative', 'Init'], ['movement', 'Move'],
+    ['hitPoints', 'Hit Points'],
+    ['combatStyle', 'Combat Style'], ['topSkills', 'Top Skills'], ['silver', 'Silver']
+  ];
+
+  // Generate a batch from the template in the NPC section.
+  function generateNpcBatch() {
+    const count = Math.max(1, Math.min(MAX_BATCH_SIZE, parseInt($('batchCount').value, 10) || 1));
+    $('batchCount').value = count;
+    const prefix = $('batchName').value.trim() || 'NPC';
+    npcBatch = [];
+    for (let i = 1; i <= count; i++) {
+      npcBatch.push(generateRandomCharacter({
+        name: `${prefix} ${i}`,
+        age: $('batchAge').value,
+        species: $('batchSpecies').value,
+        culture: $('batchCulture').value,
+        career: $('batchCareer').value,
+        combatStyle: $('batchStyle').value
+      }));
+    }
+    renderNpcBatch();
+  }
+
+  // Render the comparison table for the current batch.
+  function renderNpcBatch() {
+    const container = $('batchResults');
+    container.innerHTML = '';
+    $('batchCsvBtn').disabled = npcBatch.length === 0;
+    $('batchJsonBtn').disabled = npcBatch.length === 0;
+    if (npcBatch.length === 0) return;
+    const table = document.createElement('table');
+    table.className = 'batch-table';
+    table.innerHTML = `<thead><tr>${NPC_COLUMNS.map(([, label]) => `<th>${label}</th>`).join('')}<th></th></tr></thead>`;
+    const tbody = document.createElement('tbody');
+    npcBatch.forEach(snap => {
+      const row = npcRow(snap);
+      const tr = document.createElement('tr');
+      NPC_COLUMNS.forEach(([key]) => {
+        const td = document.createElement('td');
+        td.textContent = row[key];
+        tr.appendChild(td);
+      });
+      const td = document.createElement('td');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'small-btn';
+      btn.textContent = 'Edit';
+      btn.title = 'Load this NPC into the generator';
+      btn.addEventListener('click', () => {
+        restoreCharacter(JSON.parse(JSON.stringify(snap)));
+        currentRosterId = null;
+        renderRoster();
+      });
+      td.appendChild(btn);
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-responsive';
+    wrapper.appendChild(table);
+    container.appendChild(wrapper);
+  }
+
+  // Quote a value for CSV when it contains a separator, quote or newline.
+  function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Download the batch as CSV, one row per NPC.
+  function exportNpcBatchCsv() {
+    const lines = [NPC_COLUMNS.map(([, label]) => csvField(label)).join(',')];
+    npcBatch.forEach(snap => {
+      const row = npcRow(snap);
+      lines.push(NPC_COLUMNS.map(([key]) => csvField(row[key])).join(','));
+    });
+    downloadFile(fileNameFor($('batchName').value || 'npcs', '.csv'), lines.join('\n') + '\n', 'text/csv');
+  }
+
+  // Download the batch as a JSON array of character documents.
+  function exportNpcBatchJson() {
+    const docs = npcBatch.map(snap => ({
+      format: CHARACTER_FILE_FORMAT,
+      version: CHARACTER_SCHEMA_VERSION,
+      character: snap
+    }));
+    downloadJson(fileNameFor($('batchName').value || 'npcs', '.json'), docs);
+  }
+
+  // Fill the template selects of the NPC section, mirroring the
+  // Randomise panel.
+  function populateBatchLocks() {
+    const fill = (id, options) => {
+      const current = $(id).value;
+      populateSelect($(id), [{ value: '', label: 'Random' }].concat(options));
+      $(id).value = options.some(o => o.value === current) ? current : '';
+    };
+    fill('batchAge', Object.keys(ageCategories).map(k => ({ value: k, label: k })));
+    fillSpeciesLock('batchSpecies');
+    fill('batchCulture', Object.keys(cultures).map(k => ({ value: k, label: cultures[k].name })));
+    fill('batchCareer', Object.keys(careers).map(k => ({ value: k, label: careers[k].name })));
+    const culture = cultures[$('batchCulture').value];
+    fill('batchStyle', culture ? culture.combatStyles.map(s => ({ value: s, label: s })) : []);
+    $('batchStyle').disabled = !culture;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Saving and restoring characters
+   *
+   * A snapshot is a plain, JSON‑safe copy of everything needed to rebuild
+   * the current character: the character object itself plus the closure
+   * state holding the professional skill and bonus skill selections.
+   * Snapshots are what the roster keeps in localStorage.
+   */
+
+  // localStorage key under which the roster of saved characters is kept.
+  const ROSTER_STORAGE_KEY = 'mythras-char-gen.roster';
+
+  // Id of the roster entry the current character was loaded from or last
+  // saved to, or null for a character that has never been saved.
+  let currentRosterId = null;
+
+  // Why the saved roster could not be read the last time it was loaded,
+  // or null.  It is shown above the roster list.
+  let rosterReadError = null;
+
+  // Take a deep copy of the current character state.
+  function snapshotCharacter() {
+    return {
+      name: character.name,
+      species: character.species,
+      culture: character.culture,
+      career: character.career,
+      age: character.age,
+      socialClass: character.socialClass,
+      combatStyle: character.combatStyle,
+      method: character.method,
+      ageYears: character.ageYears,
+      rolls: JSON.parse(JSON.stringify(character.rolls)),
+      seed: character.seed,
+      rngCounters: { ...character.rngCounters },
+      rollLog: character.rollLog.map(entry => ({ ...entry })),
+      attributes: { ...character.attributes },
+      pointPoolTotal: character.pointPoolTotal,
+      pools: { ...character.pools },
+      skillAlloc: JSON.parse(JSON.stringify(character.skillAlloc)),
+      money: character.money,
+      equipment: character.equipment.map(entry => ({ ...entry })),
+      armour: { ...character.armour },
+      passions: character.passions.map(p => ({ ...p })),
+      background: JSON.parse(JSON.stringify(character.background)),
+      folkMagic: character.folkMagic.slice(),
+      spirits: character.spirits.map(s => ({ ...s })),
+      miracles: character.miracles.slice(),
+      sorcery: character.sorcery.slice(),
+      talents: character.talents.slice(),
+      cultureProfs: Array.from(selectedCultureProfs),
+      careerProfs: Array.from(selectedCareerProfs),
+      bonusSkill: selectedBonusSkill,
+      finalised: character.finalised,
+      advancement: JSON.parse(JSON.stringify(character.advancement))
+    };
+  }
+
+  // Replace the current character with a snapshot and bring every control
+  // back in line with it.  Unlike the change handlers for species,
+  // culture, career, age and method this does not reset pools,
+  // allocations or attributes.
+  function restoreCharacter(snap) {
+    character.name = snap.name || '';
+    character.species = snap.species || defaultSpeciesKey();
+    character.culture = snap.culture;
+    character.career = snap.career;
+    character.age = snap.age;
+    character.socialClass = snap.socialClass;
+    character.combatStyle = snap.combatStyle;
+    character.method = snap.method || 'roll';
+    character.ageYears = typeof snap.ageYears === 'number' ? snap.ageYears : null;
+    character.rolls = snap.rolls ? JSON.parse(JSON.stringify(snap.rolls)) : {};
+    if (!character.rolls.attributes) character.rolls.attributes = {};
+    // Characters saved before seeding was introduced get a fresh seed.
+    character.seed = snap.seed || newSeed();
+    character.rngCounters = { ...(snap.rngCounters || {}) };
+    character.rollLog = (snap.rollLog || []).slice(-ROLL_LOG_LIMIT).map(entry => ({ ...entry }));
+    resetRandomStreams();
+    Object.assign(character.attributes, snap.attributes);
+    character.pointPoolTotal = snap.pointPoolTotal;
+    character.pools = { ...snap.pools };
+    character.skillAlloc = JSON.parse(JSON.stringify(snap.skillAlloc || {}));
+    character.money = snap.money || 0;
+    character.equipment = (snap.equipment || []).map(entry => ({ ...entry }));
+    character.armour = { ...(snap.armour || {}) };
+    character.passions = (snap.passions || []).map(p => ({ ...p }));
+    character.background = snap.background ? JSON.parse(JSON.stringify(snap.background)) : emptyBackground();
+    character.folkMagic = (snap.folkMagic || []).slice();
+    character.spirits = (snap.spirits || []).map(s => ({ ...s }));
+    MAGIC_TRADITIONS.forEach(t => {
+      character[t.key] = (snap[t.key] || []).slice();
+    });
+    selectedCultureProfs = new Set(snap.cultureProfs || []);
+    selectedCareerProfs = new Set(snap.careerProfs || []);
+    selectedBonusSkill = snap.bonusSkill || null;
+    character.finalised = snap.finalised === true;
+    character.advancement = snap.advancement ? JSON.parse(JSON.stringify(snap.advancement)) : emptyAdvancement();
+    // Selects and inputs
+    $('nameInput').value = character.name;
+    $('species').value = character.species;
+    $('seedInput').value = character.seed;
+    $('ageCat').value = character.age;
+    $('culture').value = character.culture;
+    $('career').value = character.career;
+    populateCombatStyleSelect();
+    $('combatStyle').value = character.combatStyle;
+    $('method').value = character.method;
+    $('bonusSkill').value = selectedBonusSkill || '';
+    renderSilver();
+    applyMethodDisplay();
+    applyAttributeLimits();
+    renderSpeciesInfo();
+    renderAgeInfo();
+    renderRollDetails();
+    renderRollLog();
+    renderPurchasedList();
+    renderProfessionalSelectors();
+    renderBackground();
+    updateAttributeInputs();
+    if (character.method === 'point') updatePointPoolDisplay();
+    updateDerivedDisplay();
+    updatePoolsDisplay();
+    updateSkillTable();
+    updateSummary();
+  }
+
+  // Read the roster from localStorage.  A missing or unreadable roster
+  // yields an empty list rather than an error; why it could not be read
+  // is kept in rosterReadError.  Each entry's data is
+  // migrated to the current character document version; entries that
+  // cannot be migrated are kept but flagged with an `error` message.
+  function loadRoster() {
+    let list;
+    rosterReadError = null;
+    try {
+      const raw = localStorage.getItem(ROSTER_STORAGE_KEY);
+      list = raw ? JSON.parse(raw) : [];
+    } catch (err) {
+      rosterReadError = err.message;
+      return [];
+    }
+    if (!Array.isArray(list)) {
+      rosterReadError = 'it is not a list of characters';
+      return [];
+    }
+    list.forEach(entry => {
+      try {
+        entry.data = migrateCharacterDocument(entry.data);
+      } catch (err) {
+        entry.error = err.message;
+      }
+    });
+    return list;
+  }
+
+  // Write the roster back to localStorage.  Returns false if the browser
+  // refused (storage disabled or quota exceeded).
+  function saveRoster(list) {
+    try {
+      // Drop the transient error flag added by loadRoster.
+      const clean = list.map(({ error, ...entry }) => entry);
+      localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify(clean));
+      return true;
+    } catch (err) {
+      alert('Unable to save the roster in this browser: ' + err.message);
+      return false;
+    }
+  }
+
+  // Generate a reasonably unique id for a roster entry.
+  function newRosterId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // Save the current character.  If it was loaded from (or previously
+  // saved to) a roster entry that entry is overwritten, otherwise a new
+  // entry is created.  `asNew` forces a new entry.
+  function saveCurrentToRoster(asNew) {
+    const list = loadRoster();
+    const entry = {
+      id: currentRosterId,
+      name: character.name || '(Unnamed)',
+      savedAt: new Date().toISOString(),
+      data: buildCharacterDocument()
+    };
+    const idx = asNew ? -1 : list.findIndex(e => e.id === currentRosterId);
+    if (idx >= 0) {
+      list[idx] = entry;
+    } else {
+      entry.id = newRosterId();
+      list.push(entry);
+    }
+    if (saveRoster(list)) currentRosterId = entry.id;
+    renderRoster();
+  }
+
+  // Load the roster entry with the given id into the editor.
+  function loadFromRoster(id) {
+    const entry = loadRoster().find(e => e.id === id);
+    if (!entry) return;
+    const { snapshot, errors, warnings } = readCharacterDocument(entry.data);
+    if (!snapshot) {
+      renderImportReport(`Could not load ${entry.name}.`, errors, warnings);
+      return;
+    }
+    restoreCharacter(snapshot);
+    currentRosterId = entry.id;
+    renderRoster();
+    if (warnings.length) renderImportReport(`Loaded ${entry.name} with changes.`, [], warnings);
+  }
+
+  // Copy a roster entry under a new id.
+  function duplicateRosterEntry(id) {
+    const list = loadRoster();
+    const entry = list.find(e => e.id === id);
+    if (!entry || entry.error) return;
+    const copy = JSON.parse(JSON.stringify(entry));
+    copy.id = newRosterId();
+    copy.name = `${entry.name} (copy)`;
+    copy.data.character.name = copy.name;
+    copy.savedAt = new Date().toISOString();
+    list.push(copy);
+    saveRoster(list);
+    renderRoster();
+  }
+
+  // Rename a roster entry.  If it is the character being edited the name
+  // field is updated too.
+  function renameRosterEntry(id) {
+    const list = loadRoster();
+    const entry = list.find(e => e.id === id);
+    if (!entry || entry.error) return;
+    const name = prompt('New name for this character:', entry.name);
+    if (name === null || !name.trim()) return;
+    entry.name = name.trim();
+    entry.data.character.name = entry.name;
+    saveRoster(list);
+    if (id === currentRosterId) {
+      character.name = entry.name;
+      $('nameInput').value = entry.name;
+      updateSummary();
+    }
+    renderRoster();
+  }
+
+  // Remove a roster entry after confirmation.
+  function deleteRosterEntry(id) {
+    const list = loadRoster();
+    const entry = list.find(e => e.id === id);
+    if (!entry || !confirm(`Delete "${entry.name}" from the roster?`)) return;
+    saveRoster(list.filter(e => e.id !== id));
+    if (id === currentRosterId) currentRosterId = null;
+    renderRoster();
+  }
+
+  // Render the roster list with its per‑entry actions.
+  function renderRoster() {
+    const container = $('rosterList');
+    container.innerHTML = '';
+    const list = loadRoster();
+    if (rosterReadError) {
+      const p = document.createElement('p');
+      p.className = 'report-error';
+      p.textContent = `The saved roster could not be read: ${rosterReadError}`;
+      container.appendChild(p);
+    }
+    if (list.length === 0) {
+      container.insertAdjacentHTML('beforeend', '<p class="small">No saved characters yet.</p>');
+      return;
+    }
+    const ul = document.createElement('ul');
+    list.forEach(entry => {
+      const li = document.createElement('li');
+      if (entry.id === currentRosterId) li.classList.add('current');
+      const label = document.createElement('span');
+      label.innerHTML = `<strong></strong> <span class="small"></span>`;
+      label.firstChild.textContent = entry.name;
+      if (entry.error) {
+        label.lastChild.textContent = `unreadable: ${entry.error}`;
+      } else {
+        const d = entry.data.character;
+        const culture = cultures[d.culture] ? cultures[d.culture].name : d.culture;
+        const career = careers[d.career] ? careers[d.career].name : d.career;
+        label.lastChild.textContent = `${culture} ${career}, ${d.age} — saved ${new Date(entry.savedAt).toLocaleString()}`;
+      }
+      li.appendChild(label);
+      const actions = document.createElement('span');
+      actions.className = 'roster-actions';
+      [
+        ['Load', loadFromRoster],
+        ['Duplicate', duplicateRosterEntry],
+        ['Rename', renameRosterEntry],
+        ['Delete', deleteRosterEntry]
+      ].forEach(([text, handler]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = text;
+        btn.addEventListener('click', () => handler(entry.id));
+        actions.appendChild(btn);
+      });
+      li.appendChild(actions);
+      ul.appendChild(li);
+    });
+    container.appendChild(ul);
+  }
+
+  /* ----------------------------------------------------------------------
+   * Rules checks and finalising
+   *
+   * Each entry of RULE_CHECKS tests one rule against a snapshot and
+   * returns the problems it found, empty when the rule holds.  The
+   * Finalise step lists every rule with a link to the step where its
+   * problems are fixed.  A character that passes every check can be
+   * finalised, which locks the steps that edit it until it is unlocked.
+   */
+
+  // Steps locked while a character is finalised.
+  const CHARACTER_STEPS = ['basic', 'attributes', 'skills', 'magic', 'equipment', 'background'];
+
+  // Points a pool starts with under the campaign settings.
+  function startingPool(snap, pool) {
+    if (pool === 'bonus') return ageCategories[snap.age].bonus;
+    return pool === 'culture' ? campaign.culturePoints : campaign.careerPoints;
+  }
+
+  // Check that a pool has been spent exactly and that its allocations add
+  // up to what the pool started with.
+  function poolProblems(snap, pool, label) {
+    const problems = [];
+    const left = snap.pools[pool];
+    const spent = Object.values(snap.skillAlloc).reduce((sum, alloc) => sum + alloc[pool], 0);
+    const total = startingPool(snap, pool);
+    if (left > 0) problems.push(`${left} ${label} points are unspent.`);
+    if (left < 0) problems.push(`${label} points are overspent by ${-left}.`);
+    if (spent + left !== total) {
+      problems.push(`${spent} ${label} points are allocated and ${left} remain, but the pool has ${total}.`);
+    }
+    return problems;
+  }
+
+  const RULE_CHECKS = [
+    { name: 'Attributes within range', step: 'attributes', problems: snap =>
+      Object.keys(snap.attributes).filter(key => {
+        const value = snap.attributes[key];
+        const range = attributeRange(snap, key);
+        return !Number.isInteger(value) || value < range.min || value > range.max;
+      }).map(key => {
+        const range = attributeRange(snap, key);
+        return `${key} is ${snap.attributes[key]}; ${speciesOf(snap).name} ${key} must be from ${range.min} to ${range.max}.`;
+      }) },
+    { name: 'Point-buy total', step: 'attributes', problems: snap => {
+      if (snap.method !== 'point') return [];
+      const left = snap.pointPoolTotal - pointBuyCost(snap);
+      if (left > 0) return [`${left} of ${snap.pointPoolTotal} attribute points are unspent.`];
+      if (left < 0) return [`Attribute points are overspent by ${-left}.`];
+      return [];
+    } },
+    { name: 'Culture points spent', step: 'skills', problems: snap => poolProblems(snap, 'culture', 'Culture') },
+    { name: 'Career points spent', step: 'skills', problems: snap => poolProblems(snap, 'career', 'Career') },
+    { name: 'Bonus points spent', step: 'skills', problems: snap => poolProblems(snap, 'bonus', 'Bonus') },
+    { name: 'Skill maximum for age', step: 'skills', problems: snap => {
+      const age = ageCategories[snap.age];
+      const problems = [];
+      Object.keys(snap.skillAlloc).sort().forEach(skill => {
+        ['culture', 'career', 'bonus'].forEach(pool => {
+          if (snap.skillAlloc[skill][pool] > age.max) {
+            problems.push(`${skill} has ${snap.skillAlloc[skill][pool]} ${pool} points; ${snap.age} characters may put at most ${age.max} into a skill from each pool.`);
+          }
+        });
+      });
+      return problems;
+    } },
+    { name: 'Professional skills', step: 'skills', problems: snap => {
+      const problems = [];
+      const styles = combatStyleAllowance(snap);
+      [['culture', 'Culture', cultures[snap.culture], snap.cultureProfs],
+       ['career', 'Career', careers[snap.career], snap.careerProfs]].forEach(([pool, label, def, profs]) => {
+        if (profs.length === 0 && campaign.professionalSkills > 0) problems.push(`No ${pool} professional skills are selected.`);
+        if (profs.length > campaign.professionalSkills) {
+          problems.push(`${profs.length} ${pool} professional skills are selected; at most ${campaign.professionalSkills} are allowed.`);
+        }
+        const allowed = new Set([...def.standard, ...profs].map(normalizeSkillName));
+        Object.keys(snap.skillAlloc).sort().forEach(skill => {
+          if (!snap.skillAlloc[skill][pool]) return;
+          const ok = isCombatStyleSkill(skill) ? styles[pool].has(skill) : allowed.has(normalizeSkillName(skill));
+          if (!ok) problems.push(`${label} points are spent on ${skill}, which is not a ${def.name} skill or selected professional skill.`);
+        });
+      });
+      return problems;
+    } },
+    { name: 'Culture and career allowed', step: 'basic', problems: snap => [
+      ...(allowedCultureKeys().includes(snap.culture) ? [] : [`The campaign does not allow the ${cultures[snap.culture].name} culture.`]),
+      ...(allowedCareerKeys().includes(snap.career) ? [] : [`The campaign does not allow the ${careers[snap.career].name} career.`])
+    ] },
+    { name: 'Magic choices within allowance', step: 'magic', problems: snap => {
+      const known = [...snap.cultureProfs, ...snap.careerProfs, ...(snap.bonusSkill ? [snap.bonusSkill] : [])];
+      const problems = [];
+      MAGIC_TRADITIONS.forEach(t => {
+        const chosen = snap[t.key] || [];
+        if (chosen.length === 0) return;
+        const total = knownSkillTotal(snap, known, t.skill);
+        if (total === null) {
+          problems.push(`${chosen.length} ${t.noun} are chosen, but the character does not know ${t.skill}.`);
+        } else if (chosen.length > magicAllowance(total)) {
+          problems.push(`${chosen.length} ${t.noun} are chosen; ${t.skill} ${total}% allows ${magicAllowance(total)}.`);
         }
-        character.skillAlloc[skill].bonus = v;
-        character.pools.bonus -= diff;
-        updatePoolsDisplay();
-        updateSummary();
-        const total = base + (character.skillAlloc[skill].culture) + (character.skillAlloc[skill].career) + v;
-        totalTd.textContent = pct(total);
-      };
-      bonusTd.appendChild(bonusInput);
-      tr.appendChild(bonusTd);
-      // Total cell
-      const totalTd = document.createElement('td');
-      const total = base + (character.skillAlloc[skill]?.culture || 0) + (character.skillAlloc[skill]?.career || 0) + (character.skillAlloc[skill]?.bonus || 0);
-      totalTd.textContent = pct(total);
-      tr.appendChild(totalTd);
-      tableBody.appendChild(tr);
+      });
+      return problems;
+    } },
+    { name: 'Silver not overspent', step: 'equipment', problems: snap =>
+      snap.money < 0 ? [`Purchases cost ${-snap.money} sp more than the character has.`] : [] }
+  ];
+
+  // Run every rule check on a snapshot.  Characteristics trained through
+  // advancement are checked at their values from creation.
+  function ruleChecks(snap) {
+    const trained = snap.advancement.trained;
+    const attributes = { ...snap.attributes };
+    Object.keys(trained).forEach(key => { attributes[key] -= trained[key]; });
+    const created = { ...snap, attributes };
+    return RULE_CHECKS.map(check => ({ name: check.name, step: check.step, problems: check.problems(created) }));
+  }
+
+  // Show the checklist and the Finalise or Unlock action, and lock or
+  // unlock the steps to match.
+  function renderFinalise() {
+    const results = ruleChecks(snapshotCharacter());
+    const passed = results.every(r => r.problems.length === 0);
+    const list = $('ruleChecks');
+    list.innerHTML = '';
+    results.forEach(result => {
+      const li = document.createElement('li');
+      li.className = result.problems.length ? 'check-failed' : 'check-passed';
+      const title = document.createElement('strong');
+      title.textContent = `${result.problems.length ? '✗' : '✓'} ${result.name}`;
+      li.appendChild(title);
+      if (result.problems.length) {
+        const jump = document.createElement('button');
+        jump.type = 'button';
+        jump.className = 'link-button';
+        jump.textContent = `Go to ${document.querySelector(`.navbtn[data-target="${result.step}"]`).textContent}`;
+        jump.addEventListener('click', () => showSection(result.step));
+        li.appendChild(jump);
+        const ul = document.createElement('ul');
+        result.problems.forEach(msg => {
+          const item = document.createElement('li');
+          item.textContent = msg;
+          ul.appendChild(item);
+        });
+        li.appendChild(ul);
+      }
+      list.appendChild(li);
+    });
+    $('finaliseStatus').textContent = character.finalised
+      ? 'This character is finalised. Unlock it to make further changes.'
+      : passed ? 'Every check passes. Finalise the character to lock it against changes.'
+        : 'Fix the problems above before finalising the character.';
+    $('finaliseBtn').hidden = character.finalised || readOnly;
+    $('finaliseBtn').disabled = !passed;
+    $('unlockBtn').hidden = !character.finalised || readOnly;
+    applyLocks();
+  }
+
+  function finaliseCharacter() {
+    character.finalised = true;
+    updateSummary();
+  }
+
+  function unlockCharacter() {
+    if (!confirm('Unlock the character for editing?')) return;
+    character.finalised = false;
+    updateSummary();
+  }
+
+  // Make the steps that edit the character inert while it is finalised or
+  // opened read-only from a share link.  Inert steps can still be viewed,
+  // but neither the mouse nor the keyboard reaches their controls.
+  function applyLocks() {
+    const locked = id => readOnly ? !READ_ONLY_VIEWS.includes(id) : character.finalised && CHARACTER_STEPS.includes(id);
+    document.querySelectorAll('#app > section').forEach(sec => {
+      sec.inert = locked(sec.id);
     });
+    document.querySelectorAll('.navbtn').forEach(btn => {
+      btn.disabled = readOnly && locked(btn.dataset.target);
+    });
+    document.querySelector('.history-toolbar').inert = readOnly || character.finalised;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Advancement
+   *
+   * Once a character is finalised the Advancement step carries it through
+   * a campaign.  The GM awards Experience Rolls, adjusted by the
+   * character's experience modifier, which are spent on:
+   *   - an improvement roll for a skill the character knows: 1d100 plus
+   *     INT; a total over the skill's current value improves it by 1d4+1,
+   *     anything else still by 1;
+   *   - training a characteristic by one point, up to three over the
+   *     campaign's attribute maximum (SIZ cannot be trained);
+   *   - learning a new professional skill at its base value.
+   * Skill gains are kept as an `experience` allocation beside the three
+   * creation pools, and trained points in `advancement.trained`, so the
+   * rules checks still see the character as it was created.  Every award
+   * and improvement is written to the advancement log.  Rolls use the
+   * 'advancement' stream.
+   */
+
+  // Experience Rolls each kind of improvement costs.
+  const ADVANCEMENT_COSTS = { skill: 1, characteristic: 3, newSkill: 3 };
+  const TRAINABLE_ATTRIBUTES = ['STR', 'CON', 'DEX', 'INT', 'POW', 'CHA'];
+
+  function emptyAdvancement() {
+    return { rolls: 0, trained: {}, learned: [], log: [] };
   }
 
-  // Update the display of remaining pools.
-  function updatePoolsDisplay() {
-    $('culturePool').textContent = character.pools.culture;
-    $('careerPool').textContent = character.pools.career;
-    $('bonusPool').textContent = character.pools.bonus;
+  // Highest value training may raise a characteristic to: three above
+  // the species maximum.
+  function trainingLimit(key) {
+    return attributeRange(character, key).max + 3;
   }
 
-  // Roll attributes using 3d6 for each attribute.  Updates the
-  // character's attribute object and derived stats.
-  function rollAttributes() {
-    // Roll attributes following Mythras rules: roll 3d6 for STR, CON, DEX, POW,
-    // CHA; roll 2d6+6 for SIZ and INT.  Results replace existing values.
-    character.attributes.STR = rollDice(3, 6);
-    character.attributes.CON = rollDice(3, 6);
-    character.attributes.DEX = rollDice(3, 6);
-    character.attributes.POW = rollDice(3, 6);
-    character.attributes.CHA = rollDice(3, 6);
-    character.attributes.SIZ = rollDice(2, 6) + 6;
-    character.attributes.INT = rollDice(2, 6) + 6;
-    updateAttributeInputs();
+  // Every skill the character can spend an improvement roll on: the
+  // standard skills, their combat styles and the professional skills
+  // they know.
+  function improvableSkills() {
+    return [
+      ...Object.keys(standardSkills).filter(s => s !== COMBAT_STYLE_SKILL),
+      ...characterCombatStyles(character).map(combatStyleSkill),
+      ...knownProfessionalSkills()
+    ].sort();
+  }
+
+  // Professional skills the character could learn.
+  function learnableSkills() {
+    const known = new Set(knownProfessionalSkills().map(normalizeSkillName));
+    return Object.keys(professionalSkills).filter(s => !known.has(s)).sort();
+  }
+
+  // Add an entry to the advancement log and redraw everything.
+  function logAdvancement(text) {
+    character.advancement.log.push({ date: new Date().toISOString().slice(0, 10), text });
     updateDerivedDisplay();
+    updateAttributeInputs();
     updateSkillTable();
+    renderRollLog();
     updateSummary();
   }
 
-  // Update attribute input boxes to reflect current values.
-  function updateAttributeInputs() {
-    for (const key of Object.keys(character.attributes)) {
-      const input = $(key);
-      input.value = character.attributes[key];
+  // Spend Experience Rolls, or explain why they cannot be spent.
+  function spendExperienceRolls(cost) {
+    if (character.advancement.rolls < cost) {
+      alert(`This needs ${cost} Experience Roll${cost === 1 ? '' : 's'}; ${character.advancement.rolls} remain.`);
+      return false;
     }
+    character.advancement.rolls -= cost;
+    return true;
   }
 
-  // When an attribute input changes, update state and recompute
-  // dependent values.
-  function attributeInputChanged(evt) {
-    const key = evt.target.id;
-    let newVal = parseInt(evt.target.value, 10) || 0;
-    // Minimum and maximum values based on Mythras rules: most attributes
-    // range from 3–18 but INT and SIZ have a minimum of 8 because
-    // they are normally generated by 2d6+6.  Cap all values at 18.
-    const min = (key === 'SIZ' || key === 'INT') ? 8 : 3;
-    if (newVal < min) newVal = min;
-    if (newVal > 18) newVal = 18;
-    // If using point buy, enforce pool restrictions
-    if ($('method').value === 'point') {
-      // Compute tentative remaining after this change
-      const oldVal = character.attributes[key];
-      character.attributes[key] = newVal;
-      updatePointPoolDisplay();
-      if (character.pointPoolRemaining < 0) {
-        // Not enough points: revert to old value
-        character.attributes[key] = oldVal;
-        evt.target.value = oldVal;
-        updatePointPoolDisplay();
+  // The GM awards Experience Rolls; the experience modifier from CHA is
+  // added to every award.
+  function awardExperienceRolls() {
+    const awarded = parseInt($('advAwardCount').value, 10) || 0;
+    if (awarded <= 0) return;
+    const modifier = experienceModifier(character.attributes.CHA);
+    const total = Math.max(0, awarded + modifier);
+    character.advancement.rolls += total;
+    logAdvancement(`Awarded ${awarded} Experience Roll${awarded === 1 ? '' : 's'}${modifier ? `, ${modifier > 0 ? '+' : '−'}${Math.abs(modifier)} experience modifier` : ''}: ${total} gained.`);
+  }
+
+  function improveSkill() {
+    const skill = $('advSkill').value;
+    if (!skill || !spendExperienceRolls(ADVANCEMENT_COSTS.skill)) return;
+    const current = skillTotal(skill);
+    const roll = rollDiceExpression('1d100', 'advancement', `Improve ${skill}`);
+    const total = roll.total + character.attributes.INT;
+    const success = total > current;
+    const gain = success ? rollDiceExpression('1d4+1', 'advancement', `${skill} improvement`).total : 1;
+    if (!character.skillAlloc[skill]) character.skillAlloc[skill] = { culture: 0, career: 0, bonus: 0 };
+    const alloc = character.skillAlloc[skill];
+    alloc.experience = (alloc.experience || 0) + gain;
+    logAdvancement(`${skill}: rolled ${roll.total} + INT ${character.attributes.INT} = ${total} against ${pct(current)}, ${success ? 'success' : 'failure'}; +${gain} to ${pct(current + gain)}.`);
+  }
+
+  function trainCharacteristic() {
+    const key = $('advAttribute').value;
+    const value = character.attributes[key];
+    if (value >= trainingLimit(key)) {
+      alert(`${key} is already at its maximum of ${trainingLimit(key)}.`);
+      return;
+    }
+    if (!spendExperienceRolls(ADVANCEMENT_COSTS.characteristic)) return;
+    character.attributes[key] = value + 1;
+    character.advancement.trained[key] = (character.advancement.trained[key] || 0) + 1;
+    logAdvancement(`Trained ${key} from ${value} to ${value + 1}.`);
+  }
+
+  function learnSkill() {
+    const skill = $('advLearn').value;
+    if (!skill || !spendExperienceRolls(ADVANCEMENT_COSTS.newSkill)) return;
+    character.advancement.learned.push(skill);
+    logAdvancement(`Learned ${skill} at ${pct(skillTotal(skill))}.`);
+  }
+
+  // Show the Experience Rolls, the improvement choices and the log.  The
+  // step is only usable once the character is finalised.
+  function renderAdvancement() {
+    const adv = character.advancement;
+    $('advLocked').hidden = character.finalised;
+    $('advControls').hidden = !character.finalised;
+    const modifier = experienceModifier(character.attributes.CHA);
+    $('advRolls').textContent = `${adv.rolls} Experience Roll${adv.rolls === 1 ? '' : 's'} to spend (experience modifier ${modifier > 0 ? '+' : ''}${modifier} from CHA ${character.attributes.CHA}).`;
+    const keep = (id, options) => {
+      const current = $(id).value;
+      populateSelect($(id), options);
+      if (options.some(o => o.value === current)) $(id).value = current;
+    };
+    keep('advSkill', improvableSkills().map(s => ({ value: s, label: `${s} (${pct(skillTotal(s))})` })));
+    keep('advAttribute', TRAINABLE_ATTRIBUTES.map(k => ({ value: k, label: `${k} (${character.attributes[k]})` })));
+    keep('advLearn', learnableSkills().map(s => ({ value: s, label: `${s} (${pct(computeSkillBase(s, character))})` })));
+    $('advImproveBtn').disabled = adv.rolls < ADVANCEMENT_COSTS.skill;
+    $('advTrainBtn').disabled = adv.rolls < ADVANCEMENT_COSTS.characteristic;
+    $('advLearnBtn').disabled = adv.rolls < ADVANCEMENT_COSTS.newSkill || learnableSkills().length === 0;
+    const log = $('advLog');
+    log.innerHTML = '';
+    adv.log.slice().reverse().forEach(entry => {
+      const li = document.createElement('li');
+      li.textContent = `${entry.date}: ${entry.text}`;
+      log.appendChild(li);
+    });
+    $('advLogEmpty').hidden = adv.log.length > 0;
+  }
+
+  /* ----------------------------------------------------------------------
+   * Undo and redo
+   *
+   * Every change to the character ends in updateSummary(), which schedules
+   * a history entry.  Changes made within HISTORY_DELAY of each other
+   * (one handler calling several others, or a run of keystrokes) become a
+   * single step.  Entries are snapshots stored as JSON, so undoing restores
+   * the whole character exactly as it was, including point allocations
+   * that a culture, career or method change reset.
+   */
+
+  const HISTORY_DELAY = 400;
+  const HISTORY_LIMIT = 100;
+
+  // JSON snapshots before and after the current state, and the current
+  // recorded state itself.
+  let historyPast = [];
+  let historyFuture = [];
+  let historyCurrent = null;
+  let historyTimer = null;
+
+  function scheduleHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = setTimeout(recordHistory, HISTORY_DELAY);
+  }
+
+  // Record the character as a new step if it changed since the last one.
+  // A new step discards anything that could have been redone.
+  function recordHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    const state = JSON.stringify(snapshotCharacter());
+    if (state === historyCurrent) return;
+    if (historyCurrent !== null) {
+      historyPast.push(historyCurrent);
+      if (historyPast.length > HISTORY_LIMIT) historyPast.shift();
+    }
+    historyCurrent = state;
+    historyFuture = [];
+    updateHistoryButtons();
+  }
+
+  // Move one step back (undo) or forward (redo).  A step whose culture,
+  // career or other rules data has since been deleted from the homebrew
+  // pack cannot be restored and is left in place.
+  function stepHistory(from, to, verb) {
+    if (historyTimer) recordHistory();
+    if (from.length === 0) return;
+    const snap = JSON.parse(from[from.length - 1]);
+    const { errors } = validateSnapshot(snap);
+    if (errors.length) {
+      alert(`Cannot ${verb}: ${errors.join(' ')}`);
+      return;
+    }
+    to.push(historyCurrent);
+    historyCurrent = from.pop();
+    restoreCharacter(snap);
+    // Restoring ran updateSummary(); the restored state is already the
+    // current step.
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    historyCurrent = JSON.stringify(snapshotCharacter());
+    updateHistoryButtons();
+  }
+
+  function undo() {
+    stepHistory(historyPast, historyFuture, 'undo');
+  }
+
+  function redo() {
+    stepHistory(historyFuture, historyPast, 'redo');
+  }
+
+  // Start a fresh history at the current character, for a character that
+  // replaced the previous one outright.
+  function resetHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = null;
+    historyPast = [];
+    historyFuture = [];
+    historyCurrent = null;
+    recordHistory();
+  }
+
+  function updateHistoryButtons() {
+    $('undoBtn').disabled = historyPast.length === 0;
+    $('redoBtn').disabled = historyFuture.length === 0;
+  }
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo (Cmd on a Mac).  Text
+  // fields keep the browser's own undo for their contents.
+  function historyKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || readOnly || character.finalised) return;
+    const el = e.target;
+    if (el.tagName === 'TEXTAREA' || (el.tagName === 'INPUT' && el.type === 'text')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) undo();
+    else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+    else return;
+    e.preventDefault();
+  }
+
+  /* ----------------------------------------------------------------------
+   * Character files
+   *
+   * Exported characters and roster entries are wrapped in a versioned
+   * document: { format, version, character }.  Whenever the shape of a
+   * snapshot changes, bump CHARACTER_SCHEMA_VERSION and add a migration
+   * that upgrades documents of the previous version, so that files saved
+   * today keep loading.
+   */
+
+  const CHARACTER_FILE_FORMAT = 'mythras-character';
+  const CHARACTER_SCHEMA_VERSION = 2;
+
+  // Migrations keyed by the version they upgrade from.  Each receives a
+  // document of that version and returns one of the next version.
+  const characterMigrations = {
+    // Version 0 is the bare snapshot stored by the first roster release,
+    // before documents carried a format and version.
+    0: snap => ({ format: CHARACTER_FILE_FORMAT, version: 1, character: snap }),
+    // Version 1 kept equipment as a list of item names, one per purchase,
+    // and armour as item names.  Version 2 keeps { id, qty, unitCost }
+    // entries and armour ids; the price paid is taken to be the current
+    // list price, or nothing for an item no longer in the list.
+    1: doc => {
+      const snap = { ...doc.character };
+      const idFor = name => {
+        const item = findEquipmentByName(name);
+        return item ? item.id : equipmentId(name);
+      };
+      const entries = [];
+      (Array.isArray(snap.equipment) ? snap.equipment : []).forEach(name => {
+        if (typeof name !== 'string') return;
+        const item = findEquipmentByName(name);
+        addEquipment(entries, { id: idFor(name), cost: item ? item.cost : 0 }, 1);
+      });
+      snap.equipment = entries;
+      if (snap.armour && typeof snap.armour === 'object') {
+        const armour = {};
+        Object.keys(snap.armour).forEach(location => {
+          if (typeof snap.armour[location] === 'string') armour[location] = idFor(snap.armour[location]);
+        });
+        snap.armour = armour;
+      }
+      return { format: CHARACTER_FILE_FORMAT, version: 2, character: snap };
+    }
+  };
+
+  // Wrap the current character in a document of the current version.
+  function buildCharacterDocument() {
+    return {
+      format: CHARACTER_FILE_FORMAT,
+      version: CHARACTER_SCHEMA_VERSION,
+      character: snapshotCharacter()
+    };
+  }
+
+  // Bring a document of any supported version up to the current version.
+  // Throws if the document is not a character or is newer than this
+  // generator understands.
+  function migrateCharacterDocument(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      throw new Error('The file does not contain a character.');
+    }
+    // Documents without a format marker are bare version 0 snapshots.
+    let current = doc.format === undefined ? characterMigrations[0](doc) : doc;
+    if (current.format !== CHARACTER_FILE_FORMAT) {
+      throw new Error(`Unexpected file format "${current.format}".`);
+    }
+    if (typeof current.version !== 'number') {
+      throw new Error('The file has no schema version.');
+    }
+    if (current.version > CHARACTER_SCHEMA_VERSION) {
+      throw new Error(`The file uses schema version ${current.version}, but this generator only understands up to version ${CHARACTER_SCHEMA_VERSION}.`);
+    }
+    while (current.version < CHARACTER_SCHEMA_VERSION) {
+      const migrate = characterMigrations[current.version];
+      if (!migrate) throw new Error(`No migration from schema version ${current.version}.`);
+      current = migrate(current);
+    }
+    return current;
+  }
+
+  // Check a snapshot against the current culture, career, age and skill
+  // tables.  Problems that make the character unusable are returned as
+  // errors; anything that can be repaired by dropping or resetting a value
+  // is returned as a warning and repaired in place.
+  function validateSnapshot(snap) {
+    const errors = [];
+    const warnings = [];
+    const knownFields = Object.keys(snapshotCharacter());
+    Object.keys(snap).forEach(key => {
+      if (!knownFields.includes(key)) {
+        warnings.push(`Unknown field "${key}" was ignored.`);
+        delete snap[key];
+      }
+    });
+    // Characters saved before species were introduced are human.
+    if (snap.species === undefined) snap.species = defaultSpeciesKey();
+    if (!species[snap.species]) errors.push(`Unknown species "${snap.species}".`);
+    if (!cultures[snap.culture]) errors.push(`Unknown culture "${snap.culture}".`);
+    if (!careers[snap.career]) errors.push(`Unknown career "${snap.career}".`);
+    if (!ageCategories[snap.age]) errors.push(`Unknown age category "${snap.age}".`);
+    if (snap.method !== 'roll' && snap.method !== 'point') {
+      warnings.push(`Unknown generation method "${snap.method}"; using Roll.`);
+      snap.method = 'roll';
+    }
+    const attrs = snap.attributes || {};
+    Object.keys(character.attributes).forEach(key => {
+      if (typeof attrs[key] !== 'number' || !isFinite(attrs[key])) {
+        errors.push(`Attribute ${key} is missing or not a number.`);
+      }
+    });
+    Object.keys(attrs).forEach(key => {
+      if (!(key in character.attributes)) {
+        warnings.push(`Unknown attribute "${key}" was ignored.`);
+        delete attrs[key];
+      }
+    });
+    ['culture', 'career', 'bonus'].forEach(pool => {
+      if (!snap.pools || typeof snap.pools[pool] !== 'number') {
+        errors.push(`The ${pool} point pool is missing.`);
+      }
+    });
+    // restoreCharacter copies these as they are, so their types are
+    // checked here.  A missing name, seed or purse is filled in there.
+    if (snap.name !== undefined && typeof snap.name !== 'string') errors.push('The name is not text.');
+    if (snap.seed !== undefined && typeof snap.seed !== 'string') errors.push('The seed is not text.');
+    if (snap.socialClass != null && typeof snap.socialClass !== 'string') errors.push('The social class is not text.');
+    if (snap.money !== undefined && !(typeof snap.money === 'number' && isFinite(snap.money) && snap.money >= 0)) {
+      errors.push('The silver is not a non-negative number.');
+    }
+    if (!(typeof snap.pointPoolTotal === 'number' && isFinite(snap.pointPoolTotal) && snap.pointPoolTotal >= 0)) {
+      errors.push('The attribute point pool is missing or not a non-negative number.');
+    }
+    if (errors.length) return { errors, warnings };
+
+    // Skills learned through advancement must be professional skills of
+    // the rules data.  They are known alongside the culture and career
+    // skills.
+    const adv = snap.advancement && typeof snap.advancement === 'object' ? snap.advancement : {};
+    const learned = (Array.isArray(adv.learned) ? adv.learned : []).filter(skill => {
+      if (typeof skill === 'string' && professionalSkills[skill]) return true;
+      warnings.push(`Learned skill "${skill}" is not in the rules data and was dropped.`);
+      return false;
+    });
+
+    // Skill allocations: drop unknown skills and malformed entries so that
+    // updateSkillTable never sees them.
+    const known = collectKnownSkills();
+    learned.forEach(skill => known.add(skill));
+    const alloc = snap.skillAlloc || {};
+    Object.keys(alloc).forEach(skill => {
+      const entry = alloc[skill];
+      if (!known.has(skill)) {
+        warnings.push(`Unknown skill "${skill}" was dropped from the allocations.`);
+        delete alloc[skill];
         return;
-      } else {
-        // Accept change
-        evt.target.value = newVal;
       }
-    } else {
-      // Roll or manual method: accept new value
-      character.attributes[key] = newVal;
-      evt.target.value = newVal;
+      if (!entry || typeof entry !== 'object') {
+        warnings.push(`Allocation for "${skill}" was not readable and was dropped.`);
+        delete alloc[skill];
+        return;
+      }
+      Object.keys(entry).forEach(k => {
+        if (!['culture', 'career', 'bonus', 'experience'].includes(k)) {
+          warnings.push(`Unknown allocation "${k}" on "${skill}" was ignored.`);
+          delete entry[k];
+        }
+      });
+      ['culture', 'career', 'bonus'].forEach(k => {
+        if (typeof entry[k] !== 'number' || !isFinite(entry[k])) entry[k] = 0;
+      });
+      if (entry.experience !== undefined && (typeof entry.experience !== 'number' || !isFinite(entry.experience))) {
+        delete entry.experience;
+      }
+    });
+    snap.skillAlloc = alloc;
+
+    // Professional skill selections must come from the culture and career.
+    const culture = cultures[snap.culture];
+    const career = careers[snap.career];
+    snap.cultureProfs = (snap.cultureProfs || []).filter(skill => {
+      if (culture.professional.includes(skill)) return true;
+      warnings.push(`"${skill}" is not a professional skill of ${culture.name} and was deselected.`);
+      return false;
+    });
+    snap.careerProfs = (snap.careerProfs || []).filter(skill => {
+      if (career.professional.includes(skill)) return true;
+      warnings.push(`"${skill}" is not a professional skill of ${career.name} and was deselected.`);
+      return false;
+    });
+    if (snap.bonusSkill && !known.has(snap.bonusSkill)) {
+      warnings.push(`Unknown bonus skill "${snap.bonusSkill}" was cleared.`);
+      snap.bonusSkill = null;
     }
-    updateDerivedDisplay();
-    updateSkillTable();
-    updateSummary();
+    if (snap.combatStyle && !culture.combatStyles.includes(snap.combatStyle)) {
+      warnings.push(`"${snap.combatStyle}" is not a ${culture.name} combat style; using ${culture.combatStyles[0]}.`);
+      snap.combatStyle = culture.combatStyles[0];
+    }
+    if (snap.socialClass && !culture.socialClasses.some(c => c.name === snap.socialClass)) {
+      warnings.push(`"${snap.socialClass}" is not a ${culture.name} social class; using ${culture.socialClasses[0].name}.`);
+      snap.socialClass = culture.socialClasses[0].name;
+    }
+    // Equipment: entries must name an item, a whole quantity and the
+    // price paid.  Items no longer in the list are kept, since they were
+    // paid for, but flagged.
+    snap.equipment = (Array.isArray(snap.equipment) ? snap.equipment : []).filter(entry => {
+      const valid = entry && typeof entry.id === 'string' && Number.isInteger(entry.qty) && entry.qty > 0 &&
+        typeof entry.unitCost === 'number' && entry.unitCost >= 0;
+      if (!valid) warnings.push(`Unreadable equipment entry ${JSON.stringify(entry)} was dropped.`);
+      return valid;
+    });
+    snap.equipment.forEach(entry => {
+      if (!findEquipmentItem(entry.id)) warnings.push(`Equipment "${entry.id}" is not in the equipment list.`);
+    });
+    // Armour: only owned pieces that cover the location may be worn there.
+    const armour = snap.armour && typeof snap.armour === 'object' ? snap.armour : {};
+    Object.keys(armour).forEach(location => {
+      const loc = ARMOUR_LOCATIONS.find(l => l.key === location);
+      const item = findEquipmentItem(armour[location]);
+      if (!loc || !snap.equipment.some(entry => entry.id === armour[location]) || !item || !item.armour || !item.armour.locations.includes(location)) {
+        warnings.push(`"${item ? item.name : armour[location]}" cannot be worn on ${loc ? loc.name.toLowerCase() : `"${location}"`} and was removed.`);
+        delete armour[location];
+      }
+    });
+    snap.armour = armour;
+    // Background entries are free text; anything else is dropped.
+    const bg = snap.background && typeof snap.background === 'object' ? snap.background : {};
+    snap.background = emptyBackground();
+    BACKGROUND_FIELDS.forEach(field => {
+      const value = bg[field.key];
+      if (field.list) {
+        if (Array.isArray(value)) snap.background[field.key] = value.filter(e => typeof e === 'string');
+      } else if (typeof value === 'string') {
+        snap.background[field.key] = value;
+      }
+    });
+    // Passions need a known type; targets are free text.
+    snap.passions = (Array.isArray(snap.passions) ? snap.passions : []).filter(p => {
+      if (p && passionTypes[p.type]) return true;
+      warnings.push(`The passion "${p && p.type}" is not a known passion type and was dropped.`);
+      return false;
+    }).map(p => ({ type: p.type, target: String(p.target || '') }));
+    // Magic: spells the culture teaches and well-formed spirits only.
+    const fm = culture.folkMagic;
+    snap.folkMagic = (Array.isArray(snap.folkMagic) ? snap.folkMagic : []).filter(spell => {
+      if (fm.available.includes(spell)) return true;
+      warnings.push(`Folk Magic spell "${spell}" is not taught by the ${culture.name} culture and was dropped.`);
+      return false;
+    });
+    if (snap.folkMagic.length > fm.spells) {
+      warnings.push(`Only ${fm.spells} Folk Magic spells may be chosen; the rest were dropped.`);
+      snap.folkMagic = snap.folkMagic.slice(0, fm.spells);
+    }
+    snap.spirits = (Array.isArray(snap.spirits) ? snap.spirits : []).filter(sp => {
+      if (sp && typeof sp === 'object' && typeof sp.type === 'string' && typeof sp.intensity === 'number') return true;
+      warnings.push('A bound spirit was not readable and was dropped.');
+      return false;
+    }).map(sp => ({ name: String(sp.name || ''), type: sp.type, intensity: sp.intensity, fetish: String(sp.fetish || '') }));
+    MAGIC_TRADITIONS.forEach(t => {
+      snap[t.key] = (Array.isArray(snap[t.key]) ? snap[t.key] : []).filter(name => {
+        if (t.options()[name]) return true;
+        warnings.push(`${t.name}: "${name}" is not in the rules data and was dropped.`);
+        return false;
+      });
+    });
+    // Advancement: a readable roll count, training on known
+    // characteristics, the learned skills checked above and a text log.
+    snap.advancement = emptyAdvancement();
+    if (Number.isInteger(adv.rolls) && adv.rolls >= 0) snap.advancement.rolls = adv.rolls;
+    Object.keys(adv.trained || {}).forEach(key => {
+      if (TRAINABLE_ATTRIBUTES.includes(key) && Number.isInteger(adv.trained[key])) snap.advancement.trained[key] = adv.trained[key];
+      else warnings.push(`Training on "${key}" was not readable and was dropped.`);
+    });
+    snap.advancement.learned = learned;
+    snap.advancement.log = (Array.isArray(adv.log) ? adv.log : [])
+      .filter(entry => entry && typeof entry.text === 'string')
+      .map(entry => ({ date: String(entry.date || ''), text: entry.text }));
+    return { errors, warnings };
   }
 
-  // Update the derived statistics display.
-  function updateDerivedDisplay() {
-    const a = character.attributes;
-    const dm = damageModifier(a.STR + a.SIZ);
-    const exp = experienceModifier(a.CHA);
-    const heal = healingRate(a.CON);
-    const luck = luckPoints(a.POW);
-    const hp = hitPointsPerLocation(a.CON + a.SIZ);
-    const init = Math.floor((a.DEX + a.INT) / 2);
-    $('derived').innerHTML = `
-      <div><strong>Damage Modifier:</strong> ${dm}</div>
-      <div><strong>Experience Modifier:</strong> ${exp >= 0 ? '+' + exp : exp}</div>
-      <div><strong>Healing Rate:</strong> ${heal}</div>
-      <div><strong>Luck Points:</strong> ${luck}</div>
-      <div><strong>Initiative:</strong> ${init}</div>
-      <div><strong>Hit Points (per location):</strong> Head ${hp.head}, Chest ${hp.chest}, Abdomen ${hp.abdomen}, Arms ${hp.arm}, Legs ${hp.leg}</div>
-    `;
+  // Migrate and validate a character document.  Returns the repaired
+  // snapshot together with any problems found.
+  function readCharacterDocument(doc) {
+    let migrated;
+    try {
+      migrated = migrateCharacterDocument(JSON.parse(JSON.stringify(doc)));
+    } catch (err) {
+      return { snapshot: null, errors: [err.message], warnings: [] };
+    }
+    const snap = migrated.character;
+    if (!snap || typeof snap !== 'object') {
+      return { snapshot: null, errors: ['The file does not contain a character.'], warnings: [] };
+    }
+    const { errors, warnings } = validateSnapshot(snap);
+    return { snapshot: errors.length ? null : snap, errors, warnings };
   }
 
-  // Roll starting silver based on culture and social class.  This
-  // function looks up the culture's moneyDice and applies the social
-  // class multiplier.  The result is displayed and stored on the
-  // character.
-  function rollStartingSilver() {
-    const def = cultures[character.culture];
-    const roll = rollMoney(def.moneyDice);
-    const cls = def.socialClasses.find(c => c.name === character.socialClass) || def.socialClasses[0];
-    const total = Math.floor(roll * cls.mult);
-    character.money = total;
-    $('silverDisplay').textContent = `${total} sp`;
-    updateSummary();
+  // Offer a JSON value to the user as a file download.
+  function downloadJson(filename, data) {
+    downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
   }
 
-  // Update the summary section.  Displays basic character details and
-  // lists the top 10 skills by total percentage.
-  function updateSummary() {
-    const sum = $('summaryContent');
-    // Gather skill totals and filter those with any allocated points
-    const allSkills = new Set(Object.keys(standardSkills));
-    Object.values(cultures).forEach(c => {
-      c.standard.forEach(s => allSkills.add(s));
-      c.professional.forEach(s => allSkills.add(s));
+  // Offer text content to the user as a file download.
+  function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Turn a character name into a safe file name.
+  function fileNameFor(name, suffix) {
+    const base = (name || 'character').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '_') || 'character';
+    return `${base}${suffix}`;
+  }
+
+  // Show the outcome of an import as a list of messages.
+  function renderImportReport(title, errors, warnings) {
+    const report = $('importReport');
+    report.innerHTML = '';
+    const heading = document.createElement('p');
+    heading.innerHTML = '<strong></strong>';
+    heading.firstChild.textContent = title;
+    report.appendChild(heading);
+    if (errors.length + warnings.length === 0) return;
+    const ul = document.createElement('ul');
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-error';
+      li.textContent = msg;
+      ul.appendChild(li);
     });
-    Object.values(careers).forEach(c => {
-      c.standard.forEach(s => allSkills.add(s));
-      c.professional.forEach(s => allSkills.add(s));
+    warnings.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-warning';
+      li.textContent = msg;
+      ul.appendChild(li);
     });
-    const rows = [];
-    allSkills.forEach(skill => {
-      const base = computeSkillBase(skill, character.attributes);
-      const alloc = character.skillAlloc[skill] || { culture:0, career:0, bonus:0 };
-      const total = base + alloc.culture + alloc.career + alloc.bonus;
-      if (alloc.culture + alloc.career + alloc.bonus > 0) {
-        rows.push({ skill, total });
+    report.appendChild(ul);
+  }
+
+  // Download the current character as a JSON file.
+  function exportCharacter() {
+    downloadJson(fileNameFor(character.name, '.json'), buildCharacterDocument());
+  }
+
+  // Read a character file chosen by the user, validate it and load it.
+  function importCharacterFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (err) {
+        renderImportReport(`Could not import ${file.name}.`, ['The file is not valid JSON.'], []);
+        return;
+      }
+      const { snapshot, errors, warnings } = readCharacterDocument(doc);
+      if (!snapshot) {
+        renderImportReport(`Could not import ${file.name}.`, errors, warnings);
+        return;
+      }
+      restoreCharacter(snapshot);
+      currentRosterId = null;
+      renderRoster();
+      renderImportReport(`Imported ${snapshot.name || file.name}.`, [], warnings);
+    };
+    reader.readAsText(file);
+  }
+
+  /* ----------------------------------------------------------------------
+   * Share links
+   *
+   * A share link carries a whole character document in the URL hash, so a
+   * build can be sent in chat without a file or a server.  The document is
+   * JSON, deflated where the browser offers CompressionStream, and written
+   * as base64url.  The first character of the payload says which:
+   * SHARE_DEFLATED or SHARE_PLAIN.  A character opened from a link is
+   * read-only until the viewer makes their own copy.
+   */
+
+  const SHARE_HASH_KEY = 'character';
+  const SHARE_DEFLATED = 'z';
+  const SHARE_PLAIN = 'j';
+
+  // Steps that stay usable while a shared character is read-only.
+  const READ_ONLY_VIEWS = ['finalise', 'summary', 'sheet'];
+
+  let readOnly = false;
+
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    // Convert in chunks; spreading a large array overflows the stack.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  // Pass bytes through a CompressionStream or DecompressionStream.
+  async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function encodeShareDocument(doc) {
+    const bytes = new TextEncoder().encode(JSON.stringify(doc));
+    if (typeof CompressionStream === 'function') {
+      return SHARE_DEFLATED + bytesToBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+    }
+    return SHARE_PLAIN + bytesToBase64Url(bytes);
+  }
+
+  // Throws with a message for the viewer if the payload cannot be read.
+  async function decodeShareDocument(payload) {
+    const kind = payload.charAt(0);
+    let bytes;
+    try {
+      bytes = base64UrlToBytes(payload.slice(1));
+    } catch (err) {
+      throw new Error('The link is incomplete or damaged.');
+    }
+    if (kind === SHARE_DEFLATED) {
+      if (typeof DecompressionStream !== 'function') {
+        throw new Error('This browser cannot open compressed share links.');
       }
+      try {
+        bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+      } catch (err) {
+        throw new Error('The link is incomplete or damaged.');
+      }
+    } else if (kind !== SHARE_PLAIN) {
+      throw new Error('The link is not a character share link.');
+    }
+    try {
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (err) {
+      throw new Error('The link is incomplete or damaged.');
+    }
+  }
+
+  // The share payload in the current URL, or null if there is none.
+  function sharePayloadFromHash() {
+    const match = location.hash.match(new RegExp(`^#${SHARE_HASH_KEY}=(.+)$`));
+    return match ? match[1] : null;
+  }
+
+  // Build a link to the current character and put it on the clipboard.
+  // Where the clipboard is unavailable the link is shown for copying by
+  // hand.  The roll log is left out: it only records how the character
+  // was rolled and would make the link several times longer.
+  async function copyShareLink() {
+    const status = $('shareLinkStatus');
+    status.innerHTML = '';
+    const message = document.createElement('p');
+    status.appendChild(message);
+    let url;
+    try {
+      const doc = buildCharacterDocument();
+      delete doc.character.rollLog;
+      url = `${location.href.split('#')[0]}#${SHARE_HASH_KEY}=${await encodeShareDocument(doc)}`;
+    } catch (err) {
+      message.className = 'report-error';
+      message.textContent = `Could not create a share link: ${err.message}`;
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      message.textContent = `Share link copied (${url.length} characters).`;
+    } catch (err) {
+      message.textContent = 'Copy this link to share the character:';
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.readOnly = true;
+      field.value = url;
+      field.className = 'share-link-field';
+      status.appendChild(field);
+      field.select();
+    }
+  }
+
+  // Open the character in the URL hash read-only.  Opening a link while
+  // another character is on screen replaces it, so the user is asked
+  // first unless this is the page loading.
+  async function openShareLink(onLoad) {
+    const payload = sharePayloadFromHash();
+    if (!payload) return;
+    if (!onLoad && !confirm('Open the shared character? Unsaved changes to the current character will be lost.')) {
+      return;
+    }
+    let result;
+    try {
+      result = readCharacterDocument(await decodeShareDocument(payload));
+    } catch (err) {
+      result = { snapshot: null, errors: [err.message], warnings: [] };
+    }
+    if (!result.snapshot) {
+      renderShareBanner('Could not open the shared character.', result.errors, result.warnings);
+      return;
+    }
+    restoreCharacter(result.snapshot);
+    currentRosterId = null;
+    renderRoster();
+    resetHistory();
+    setReadOnly(true);
+    renderShareBanner(`Viewing ${result.snapshot.name || 'a shared character'} read-only. Make a copy to edit it or save it to your roster.`, [], result.warnings);
+    showSection('summary');
+  }
+
+  // Show a message above the steps, with the problems found in the link.
+  function renderShareBanner(title, errors, warnings) {
+    const banner = $('shareBanner');
+    banner.hidden = false;
+    $('shareBannerText').textContent = title;
+    $('makeCopyBtn').hidden = !readOnly;
+    $('dismissShareBtn').hidden = readOnly;
+    const list = $('shareBannerReport');
+    list.innerHTML = '';
+    errors.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-error';
+      li.textContent = msg;
+      list.appendChild(li);
+    });
+    warnings.forEach(msg => {
+      const li = document.createElement('li');
+      li.className = 'report-warning';
+      li.textContent = msg;
+      list.appendChild(li);
     });
-    rows.sort((a,b) => b.total - a.total);
-    const skillListHtml = rows.map(r => `<li>${r.skill}: ${pct(r.total)}</li>`).join('');
-    // Build summary sections
-    const identity = `
-      <h3>Identity</h3>
-      <p><strong>Name:</strong> ${character.name || '(Unnamed)'}<br>
-      <strong>Culture:</strong> ${cultures[character.culture].name}<br>
-      <strong>Career:</strong> ${careers[character.career].name}<br>
-      <strong>Age:</strong> ${character.age}<br>
-      <strong>Social Class:</strong> ${character.socialClass || '-'}<br>
-      <strong>Combat Style:</strong> ${character.combatStyle || '-'}<br>
-      <strong>Silver:</strong> ${character.money} sp</p>`;
-    const attribs = `
-      <h3>Attributes</h3>
-      <p>STR ${character.attributes.STR}, CON ${character.attributes.CON}, SIZ ${character.attributes.SIZ}, DEX ${character.attributes.DEX}, INT ${character.attributes.INT}, POW ${character.attributes.POW}, CHA ${character.attributes.CHA}</p>`;
-    // Derived stats
-    const a = character.attributes;
-    const derivedHtml = `
-      <h3>Derived</h3>
-      <p>Damage Modifier: ${damageModifier(a.STR + a.SIZ)}<br>
-      Experience Modifier: ${experienceModifier(a.CHA) >= 0 ? '+' + experienceModifier(a.CHA) : experienceModifier(a.CHA)}<br>
-      Healing Rate: ${healingRate(a.CON)}<br>
-      Luck Points: ${luckPoints(a.POW)}<br>
-      Initiative: ${Math.floor((a.DEX + a.INT) / 2)}<br>
-      Hit Points: Head ${hitPointsPerLocation(a.CON + a.SIZ).head}, Chest ${hitPointsPerLocation(a.CON + a.SIZ).chest}, Abdomen ${hitPointsPerLocation(a.CON + a.SIZ).abdomen}, Arms ${hitPointsPerLocation(a.CON + a.SIZ).arm}, Legs ${hitPointsPerLocation(a.CON + a.SIZ).leg}</p>`;
-    const skillsHtml = `
-      <h3>Notable Skills</h3>
-      <ul>${skillListHtml || '<li>(no allocations yet)</li>'}</ul>`;
-    const equipHtml = `
-      <h3>Equipment</h3>
-      <p>${character.equipment.length > 0 ? character.equipment.join(', ') : '(none)'}</p>`;
-    sum.innerHTML = identity + attribs + derivedHtml + skillsHtml + equipHtml;
+  }
+
+  // Lock or unlock every step that can change the character.
+  function setReadOnly(on) {
+    readOnly = on;
+    document.body.classList.toggle('read-only', on);
+    renderFinalise();
+  }
+
+  // Hide the banner and drop the link from the address bar.
+  function dismissShareLink() {
+    $('shareBanner').hidden = true;
+    history.replaceState(null, '', location.href.split('#')[0]);
+  }
+
+  // Keep the shared character as the user's own: editing is unlocked and
+  // the link is dismissed.
+  function makeSharedCopy() {
+    setReadOnly(false);
+    dismissShareLink();
+    showSection('basic');
   }
 
   /* ----------------------------------------------------------------------
    * Initialisation
    */
+
+  // Show one step and highlight its navigation button.
+  function showSection(id) {
+    document.querySelectorAll('.navbtn').forEach(b => b.classList.toggle('active', b.dataset.target === id));
+    document.querySelectorAll('section').forEach(sec => sec.classList.toggle('active', sec.id === id));
+  }
+
   function init() {
+    campaign = loadCampaign();
+    applyCampaign();
     // Populate selects for age, culture, career
     populateSelect($('ageCat'), Object.entries(ageCategories).map(([k,v]) => ({ value: k, label: k })));
-    populateSelect($('culture'), Object.keys(cultures).map(k => ({ value: k, label: cultures[k].name })));
-    populateSelect($('career'), Object.keys(careers).map(k => ({ value: k, label: careers[k].name })));
+    populateSelect($('species'), speciesKeys().map(k => ({ value: k, label: species[k].name })));
+    populateSelect($('culture'), allowedCultureKeys().map(k => ({ value: k, label: cultures[k].name })));
+    populateSelect($('career'), allowedCareerKeys().map(k => ({ value: k, label: careers[k].name })));
     // Attach event listeners
     $('ageCat').addEventListener('change', updateAgeInfo);
+    $('species').addEventListener('change', speciesChanged);
     $('culture').addEventListener('change', updateCultureOptions);
     $('career').addEventListener('change', updateCareerOptions);
     $('nameInput').addEventListener('input', e => { character.name = e.target.value; updateSummary(); });
-    $('combatStyle').addEventListener('change', e => { character.combatStyle = e.target.value; updateSummary(); });
+    $('combatStyle').addEventListener('change', combatStyleChanged);
     $('rollAttrBtn').addEventListener('click', rollAttributes);
     $('rollSilverBtn').addEventListener('click', rollStartingSilver);
+    $('rollAgeBtn').addEventListener('click', rollAge);
+    $('applySeedBtn').addEventListener('click', () => {
+      const seed = $('seedInput').value.trim();
+      if (seed) applySeed(seed);
+    });
+    $('newSeedBtn').addEventListener('click', () => applySeed(newSeed()));
+    $('randCulture').addEventListener('change', populateRandomiseLocks);
+    $('randomiseBtn').addEventListener('click', randomiseEverything);
+    $('printSheetBtn').addEventListener('click', () => window.print());
+    $('addSpiritBtn').addEventListener('click', addSpirit);
+    $('addPassionBtn').addEventListener('click', addCustomPassion);
+    $('rollBackgroundBtn').addEventListener('click', rollWholeBackground);
+    $('finaliseBtn').addEventListener('click', finaliseCharacter);
+    $('unlockBtn').addEventListener('click', unlockCharacter);
+    $('advAwardBtn').addEventListener('click', awardExperienceRolls);
+    $('advImproveBtn').addEventListener('click', improveSkill);
+    $('advTrainBtn').addEventListener('click', trainCharacteristic);
+    $('advLearnBtn').addEventListener('click', learnSkill);
+    $('undoBtn').addEventListener('click', undo);
+    $('redoBtn').addEventListener('click', redo);
+    document.addEventListener('keydown', historyKeydown);
+    $('batchCulture').addEventListener('change', populateBatchLocks);
+    $('batchGenerateBtn').addEventListener('click', generateNpcBatch);
+    $('batchCsvBtn').addEventListener('click', exportNpcBatchCsv);
+    $('batchJsonBtn').addEventListener('click', exportNpcBatchJson);
+    $('saveCharBtn').addEventListener('click', () => saveCurrentToRoster(false));
+    $('saveCharAsNewBtn').addEventListener('click', () => saveCurrentToRoster(true));
+    $('exportCharBtn').addEventListener('click', exportCharacter);
+    $('shareLinkBtn').addEventListener('click', copyShareLink);
+    $('makeCopyBtn').addEventListener('click', makeSharedCopy);
+    $('dismissShareBtn').addEventListener('click', dismissShareLink);
+    window.addEventListener('hashchange', () => openShareLink(false));
+    $('importCharBtn').addEventListener('click', () => $('importCharFile').click());
+    $('importCharFile').addEventListener('change', e => {
+      if (e.target.files.length) importCharacterFile(e.target.files[0]);
+      e.target.value = '';
+    });
     // Attribute inputs
     ['STR','CON','SIZ','DEX','INT','POW','CHA'].forEach(key => {
       $(key).addEventListener('input', attributeInputChanged);
@@ -1085,19 +6113,27 @@
 
     // Generation method selector
     $('method').addEventListener('change', methodChanged);
+    populateRandomiseLocks();
+    populateBatchLocks();
+    renderNpcBatch();
     // Populate the bonus skill select and attach its handler
     populateBonusSkillSelect();
+    $('bonusSkill').addEventListener('change', bonusSkillChanged);
     // Navigation buttons
     document.querySelectorAll('.navbtn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        document.querySelectorAll('.navbtn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        document.querySelectorAll('section').forEach(sec => sec.classList.remove('active'));
-        $(btn.dataset.target).classList.add('active');
-      });
+      btn.addEventListener('click', () => showSection(btn.dataset.target));
     });
-    // Initialise default selections
+    // Initialise default selections, within the campaign's cultures and
+    // careers
+    if (!species[character.species]) character.species = defaultSpeciesKey();
+    if (!allowedCultureKeys().includes(character.culture)) character.culture = allowedCultureKeys()[0];
+    if (!allowedCareerKeys().includes(character.career)) character.career = allowedCareerKeys()[0];
+    character.seed = newSeed();
+    $('seedInput').value = character.seed;
     $('ageCat').value = character.age;
+    $('species').value = character.species;
+    applyAttributeLimits();
+    renderSpeciesInfo();
     $('culture').value = character.culture;
     $('career').value = character.career;
     updateCultureOptions();
@@ -1107,53 +6143,37 @@
     updateDerivedDisplay();
     updateSkillTable();
     updatePoolsDisplay();
+    renderBackground();
     updateSummary();
 
     // Apply initial method settings (roll vs point buy)
     methodChanged();
 
-    // Populate equipment list once with purchase buttons
-    const eqList = $('equipmentList');
-    eqList.innerHTML = '';
-    Object.keys(equipment).forEach(cat => {
-      const wrapper = document.createElement('div');
-      wrapper.className = 'equipment-category';
-      const header = document.createElement('h3');
-      header.textContent = cat;
-      wrapper.appendChild(header);
-      const ul = document.createElement('ul');
-      equipment[cat].forEach(item => {
-        const li = document.createElement('li');
-        // Display item name and cost
-        const label = document.createElement('span');
-        label.textContent = `${item.name} — ${item.cost} sp`;
-        li.appendChild(label);
-        // Purchase button
-        const btn = document.createElement('button');
-        btn.textContent = 'Buy';
-        btn.style.marginLeft = '0.5rem';
-        btn.addEventListener('click', () => {
-          if (character.money < item.cost) {
-            alert('Not enough silver to purchase this item.');
-            return;
-          }
-          character.money -= item.cost;
-          $('silverDisplay').textContent = `${character.money} sp`;
-          character.equipment.push(item.name);
-          // Append to purchased items list
-          const li2 = document.createElement('li');
-          li2.textContent = item.name;
-          $('purchasedList').appendChild(li2);
-          updateSummary();
-        });
-        li.appendChild(btn);
-        ul.appendChild(li);
-      });
-      wrapper.appendChild(ul);
-      eqList.appendChild(wrapper);
+    // The shop lists the whole equipment table.
+    populateShopCategories();
+    renderShop();
+    renderPurchasedList();
+    ['shopSearch', 'shopCategory', 'shopSort'].forEach(id => {
+      $(id).addEventListener(id === 'shopSearch' ? 'input' : 'change', renderShop);
     });
+
+    renderRoster();
+    initHomebrewEditor();
+    initCampaignEditor();
+    // The starting character is the first step of the undo history.
+    recordHistory();
+    openShareLink(true);
   }
 
-  // Start when DOM is ready
-  document.addEventListener('DOMContentLoaded', init);
+  // Start when DOM is ready and the rules data has been loaded
+  document.addEventListener('DOMContentLoaded', () => {
+    loadRulesData().then(report => {
+      renderDataStatus(report);
+      if (Object.keys(cultures).length && Object.keys(careers).length && Object.keys(standardSkills).length && Object.keys(species).length) {
+        init();
+      }
+    }).catch(err => {
+      renderDataStatus({ errors: [err.message], fallback: [], failed: true });
+    });
+  });
 })();
\ No newline at end of file